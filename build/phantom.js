@@ -11,7 +11,9 @@ const THREADS = cpus <= 2 ? 1 : cpus / 2;
 const ignore = [
     'test/fixtures/jquery/missing.html',
     'test/fixtures/jquery/and_bs_js_both_missing.html',
-    'test/fixtures/charset/not-utf8.html'
+    'test/fixtures/charset/not-utf8.html',
+    // rendered by jsdom instead
+    'test/fixtures/render/dynamic-modal.html'
 ];
 
 glob('test/fixtures/**/*.html', {ignore}, (err, files) => {
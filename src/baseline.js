@@ -0,0 +1,241 @@
+/**
+ * Baselines, which record the known problems of a project so that only new problems are reported,
+ * e.g. to let CI pass despite the problems of legacy pages until they are fixed.
+ * A problem is recorded under its file, its ID and a fingerprint of its message and the path of its element in the document,
+ * which, unlike line numbers, stay the same when lines are added or removed elsewhere.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var Deferred = require('bluebird');
+var writeFile = Deferred.promisify(fs.writeFile);
+
+var BASELINE_VERSION = 1;
+var FINGERPRINT_LENGTH = 16;
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} id ID of the lint problem
+ * @property {string} fingerprint Fingerprint of the problem's message and element
+ * @property {integer} count How many times the problem occurs in the file
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {integer} version Version of the baseline format
+ * @property {Object.<string, BaselineEntry[]>} files The entries of each file, by file
+ */
+
+/**
+ * @param {Object} node Cheerio or DOM node
+ * @returns {boolean} Whether the node is an element
+ */
+function isElement(node) {
+    if (typeof node.type === 'string') {
+        return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+    }
+    return node.nodeType === 1;
+}
+
+/**
+ * @param {Object} element Cheerio or DOM element
+ * @returns {string} Lowercase tag name of the element
+ */
+function nameOf(element) {
+    return (element.name || element.localName).toLowerCase();
+}
+
+/**
+ * @param {Object} element Cheerio or DOM element
+ * @returns {Object[]} The element and its siblings with the same tag name, in document order
+ */
+function sameNamedSiblingsOf(element) {
+    // Cheerio's top-level nodes have no parent, but they are linked to their siblings all the same
+    var isDomNode = typeof element.type !== 'string';
+    var previousKey = isDomNode ? 'previousSibling' : 'prev';
+    var nextKey = isDomNode ? 'nextSibling' : 'next';
+    var siblings = [element];
+    var sibling = null;
+    for (sibling = element[previousKey]; sibling; sibling = sibling[previousKey]) {
+        siblings.unshift(sibling);
+    }
+    for (sibling = element[nextKey]; sibling; sibling = sibling[nextKey]) {
+        siblings.push(sibling);
+    }
+    return siblings.filter(function (node) {
+        return isElement(node) && nameOf(node) === nameOf(element);
+    });
+}
+
+/**
+ * @param {Object} element Cheerio or DOM element, or plain copy of an element
+ * @returns {string} Path of the element from the root of its document, e.g. "html>body>div[1]>button";
+ *      the index in brackets counts the preceding siblings with the same tag name
+ */
+function elementPathOf(element) {
+    if (typeof element.elementPath === 'string') {
+        // a plain copy of an element (see results.js)
+        return element.elementPath;
+    }
+    var segments = [];
+    for (var node = element; node && isElement(node); node = node.parent || node.parentNode) {
+        var sameNamed = sameNamedSiblingsOf(node);
+        segments.unshift(sameNamed.length > 1 ? nameOf(node) + '[' + sameNamed.indexOf(node) + ']' : nameOf(node));
+    }
+    return segments.join('>');
+}
+exports.elementPathOf = elementPathOf;
+
+/**
+ * @param {string} id ID of a lint problem
+ * @param {string} message Message of the problem
+ * @param {string} elementPath Path of the element that the problem concerns, or "" for document-level problems
+ * @returns {string} Fingerprint of the problem
+ */
+function fingerprintOf(id, message, elementPath) {
+    return crypto.createHash('sha1').update([id, message, elementPath].join('\n')).digest('hex').slice(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * @param {(LintError|LintWarning)} problem A lint problem
+ * @returns {string[]} The fingerprint of each location of the problem (each of its elements, or the document)
+ */
+function fingerprintsOf(problem) {
+    var elements = problem.elements ? problem.elements.toArray() : [];
+    if (!elements.length) {
+        return [fingerprintOf(problem.id, problem.message, '')];
+    }
+    return elements.map(function (element) {
+        return fingerprintOf(problem.id, problem.message, elementPathOf(element));
+    });
+}
+exports.fingerprintsOf = fingerprintsOf;
+
+/**
+ * Records the problems of files in a baseline.
+ * @param {Object[]} files The linted files, with `key` (name of the file in the baseline) and `problems` properties
+ * @returns {Baseline} The baseline
+ */
+function createBaseline(files) {
+    var baseline = {
+        version: BASELINE_VERSION,
+        files: {}
+    };
+    files.forEach(function (file) {
+        var entries = {};
+        file.problems.forEach(function (problem) {
+            fingerprintsOf(problem).forEach(function (fingerprint) {
+                var key = problem.id + ' ' + fingerprint;
+                if (!entries[key]) {
+                    entries[key] = {
+                        id: problem.id,
+                        fingerprint: fingerprint,
+                        count: 0
+                    };
+                }
+                entries[key].count++;
+            });
+        });
+        var keys = Object.keys(entries).sort();
+        if (keys.length) {
+            baseline.files[file.key] = keys.map(function (key) {
+                return entries[key];
+            });
+        }
+    });
+    return baseline;
+}
+exports.createBaseline = createBaseline;
+
+/**
+ * Leaves out the problems of a file that are recorded in a baseline.
+ * Problems with several elements keep just the elements whose problems aren't recorded.
+ * @param {Baseline} baseline The baseline
+ * @param {string} key Name of the file in the baseline
+ * @param {Array.<(LintError|LintWarning)>} problems The problems of the file
+ * @returns {Object} Object with `problems` (the new problems) and `stale` (the `BaselineEntry`s, with the counts left over,
+ *      of the recorded problems that no longer occur) properties
+ */
+function applyBaseline(baseline, key, problems) {
+    var remaining = {};
+    (baseline.files[key] || []).forEach(function (entry) {
+        remaining[entry.id + ' ' + entry.fingerprint] = entry.count;
+    });
+    function isRecorded(id, fingerprint) {
+        var entryKey = id + ' ' + fingerprint;
+        if (!remaining[entryKey]) {
+            return false;
+        }
+        remaining[entryKey]--;
+        return true;
+    }
+    var newProblems = problems.filter(function (problem) {
+        var fingerprints = fingerprintsOf(problem);
+        if (!problem.elements || !problem.elements.length) {
+            return !isRecorded(problem.id, fingerprints[0]);
+        }
+        var elements = problem.elements.toArray();
+        var newElements = elements.filter(function (element, index) {
+            return !isRecorded(problem.id, fingerprints[index]);
+        });
+        if (newElements.length === elements.length) {
+            return true;
+        }
+        problem.elements = problem.elements.filter(function (index, element) {
+            return newElements.indexOf(element) !== -1;
+        });
+        // fixes edit the elements they fix
+        problem.fixes = problem.fixes.filter(function (fix) {
+            return newElements.some(function (element) {
+                return typeof element.endIndex === 'number' && fix.range[0] >= element.startIndex && fix.range[1] <= element.endIndex + 1;
+            });
+        });
+        return newElements.length > 0;
+    });
+    var stale = (baseline.files[key] || []).filter(function (entry) {
+        return remaining[entry.id + ' ' + entry.fingerprint] > 0;
+    }).map(function (entry) {
+        return {
+            id: entry.id,
+            fingerprint: entry.fingerprint,
+            count: remaining[entry.id + ' ' + entry.fingerprint]
+        };
+    });
+    return {
+        problems: newProblems,
+        stale: stale
+    };
+}
+exports.applyBaseline = applyBaseline;
+
+/**
+ * @param {string} filePath Path of a baseline file
+ * @returns {Baseline} The baseline
+ */
+function readBaseline(filePath) {
+    var baseline = null;
+    try {
+        baseline = JSON.parse(fs.readFileSync(filePath, {encoding: 'utf8'}));
+    } catch (err) {
+        err.message = 'Cannot read baseline file: ' + filePath + '\nError: ' + err.message;
+        throw err;
+    }
+    if (baseline === null || typeof baseline !== 'object' || baseline.version !== BASELINE_VERSION ||
+        baseline.files === null || typeof baseline.files !== 'object') {
+        throw new Error(filePath + ': not a Bootlint baseline (version ' + BASELINE_VERSION + ')');
+    }
+    return baseline;
+}
+exports.readBaseline = readBaseline;
+
+/**
+ * @param {string} filePath Path of a baseline file
+ * @param {Baseline} baseline The baseline
+ * @returns {Promise} Promise that is resolved once the file has been written
+ */
+function writeBaseline(filePath, baseline) {
+    return writeFile(filePath, JSON.stringify(baseline, null, 2) + '\n', {encoding: 'utf8'});
+}
+exports.writeBaseline = writeBaseline;
@@ -9,33 +9,53 @@ var cheerio = require('cheerio');
 var parseUrl = require('url').parse;
 var semver = require('semver');
 var voidElements = require('void-elements');
+var _config = require('./config');
+var _files = require('./files');
+var _fix = require('./fix');
 var _location = require('./location');
+var _preprocessors = require('./preprocessors');
 
 var LocationIndex = _location.LocationIndex;
 
 (function (exports) {
     'use strict';
+    // the stock grid of Bootstrap v3, which the `grid` configuration option can customize (see `Grid`)
     var NUM_COLS = 12;
-    var COL_REGEX = /\bcol-(xs|sm|md|lg)-(\d{1,2})\b/;
-    var COL_REGEX_G = /\bcol-(xs|sm|md|lg)-(\d{1,2})\b/g;
-    var COL_CLASSES = [];
     var SCREENS = ['xs', 'sm', 'md', 'lg'];
-    SCREENS.forEach(function (screen) {
+    var CONTAINER_CLASSES = ['.container', '.container-fluid', '.modal-body'];
+    // Bootstrap v4 grid; the breakpoint-less classes (e.g. `.col-6`) take the place of v3's `xs` ones
+    var V4_BREAKPOINTS = ['', 'sm', 'md', 'lg', 'xl'];
+    var V4_COL_REGEX = /^col(?:-(sm|md|lg|xl))?(?:-(\d{1,2}|auto))?$/;
+    var V4_COL_CLASSES = [];
+    V4_BREAKPOINTS.forEach(function (breakpoint) {
+        var prefix = breakpoint ? '.col-' + breakpoint : '.col';
+        V4_COL_CLASSES.push(prefix, prefix + '-auto');
         for (var n = 1; n <= NUM_COLS; n++) {
-            COL_CLASSES.push('.col-' + screen + '-' + n);
+            V4_COL_CLASSES.push(prefix + '-' + n);
         }
     });
-    var SCREEN2NUM = {
-        xs: 0,
-        sm: 1,
-        md: 2,
-        lg: 3
-    };
-    var NUM2SCREEN = ['xs', 'sm', 'md', 'lg'];
     var IN_NODE_JS = Boolean(cheerio.load);
     var MIN_JQUERY_VERSION = '1.9.1'; // as of Bootstrap v3.3.0
     var CURRENT_BOOTSTRAP_VERSION = '3.4.1';
     var BOOTSTRAP_VERSION_4 = '4.0.0';
+    var BOOTSTRAP_VERSION_5 = '5.0.0';
+    var SUPPORTED_BOOTSTRAP_VERSIONS = [3, 4];
+    var BOOTSTRAP_3_AND_4 = {bootstrapVersions: [3, 4]};
+    // linters that check whole pages, which don't apply to fragments of pages
+    var DOCUMENT_LEVEL = {
+        bootstrapVersions: [3, 4],
+        scope: 'document'
+    };
+    var BOOTSTRAP_4_ONLY = {bootstrapVersions: [4]};
+    var MIGRATION_TO_4 = {
+        bootstrapVersions: [],
+        migrateTo: 4
+    };
+    // linters of the accessibility rule pack, which only run when the configuration enables the pack
+    var ACCESSIBILITY = {
+        bootstrapVersions: [3, 4],
+        pack: 'accessibility'
+    };
     var PLUGINS = [
         'affix',
         'alert',
@@ -60,6 +80,13 @@ var LocationIndex = _location.LocationIndex;
         'script[src="bootstrap.min.js"]'
     ].join(',');
     var WIKI_URL = 'https://github.com/twbs/bootlint/wiki/';
+    // Bootlint's own linter IDs look like "E001"; those of plugins are namespaced, e.g. "acme/W001" or "@acme/widgets/W001"
+    var LINTER_ID_REGEX = /^(?:((?:@[\w.-]+\/)?[\w.-]+)\/)?([EW])\d{3}$/;
+    var DIRECTIVE_REGEX = /^\s*bootlint-(disable-file|disable-next-element|disable|enable)(?:\s+([\s\S]*?))?\s*$/;
+    var UNUSED_DIRECTIVE_ID = 'W018';
+    var MAX_FIX_PASSES = 10;
+    var LINTER_SCOPES = ['document', 'element'];
+    var RULE_PACKS = ['accessibility'];
 
     function compareNums(a, b) {
         return a - b;
@@ -78,6 +105,220 @@ var LocationIndex = _location.LocationIndex;
             return element.tagName.toUpperCase();
         };
 
+    var childNodesOf = IN_NODE_JS ?
+        function (node) {
+            return node.children || [];
+        } :
+        function (node) {
+            /* istanbul ignore next */
+            return Array.prototype.slice.call(node.childNodes);
+        };
+
+    var parentNodeOf = IN_NODE_JS ?
+        function (node) {
+            return node.parent;
+        } :
+        function (node) {
+            /* istanbul ignore next */
+            return node.parentNode;
+        };
+
+    var isElementNode = IN_NODE_JS ?
+        function (node) {
+            return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+        } :
+        function (node) {
+            /* istanbul ignore next */
+            return node.nodeType === 1;
+        };
+
+    var commentTextOf = IN_NODE_JS ?
+        function (node) {
+            return node.type === 'comment' ? node.data : null;
+        } :
+        function (node) {
+            /* istanbul ignore next */
+            return node.nodeType === 8 ? node.nodeValue : null;
+        };
+
+    var attributeNamesOf = IN_NODE_JS ?
+        function (element) {
+            return Object.keys(element.attribs || {});
+        } :
+        function (element) {
+            /* istanbul ignore next */
+            return Array.prototype.map.call(element.attributes, function (attribute) {
+                return attribute.name;
+            });
+        };
+
+    /**
+     * @param {(Element|Object)} element A DOM element
+     * @param {string} name Name of an attribute
+     * @returns {(string|null)} The value of the element's attribute, or null if it doesn't have the attribute
+     */
+    var attributeOf = IN_NODE_JS ?
+        function (element, name) {
+            var value = element.attribs && element.attribs[name];
+            return typeof value === 'string' ? value : null;
+        } :
+        function (element, name) {
+            /* istanbul ignore next */
+            return element.getAttribute(name);
+        };
+
+    /**
+     * @param {(Element|Object)} element A DOM element
+     * @returns {string[]} The distinct classes of the element
+     */
+    function classNamesOf(element) {
+        var names = [];
+        (attributeOf(element, 'class') || '').split(/\s+/).forEach(function (name) {
+            if (name && names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        });
+        return names;
+    }
+
+    function hasClass(element, name) {
+        return classNamesOf(element).indexOf(name) !== -1;
+    }
+
+    /**
+     * @param {string[]} selectors Class selectors, e.g. ".row"
+     * @returns {Object.<string, boolean>} Set of the classes
+     */
+    function classSetOf(selectors) {
+        var classSet = Object.create(null);
+        selectors.forEach(function (selector) {
+            classSet[selector.slice(1)] = true;
+        });
+        return classSet;
+    }
+
+    function hasClassIn(element, classSet) {
+        return classNamesOf(element).some(function (name) {
+            return classSet[name] === true;
+        });
+    }
+
+    var V4_COL_CLASS_SET = classSetOf(V4_COL_CLASSES);
+
+    /**
+     * The grid of Bootstrap v3. Projects that compile Bootstrap from its Less source can change its number of columns
+     * and its breakpoints, and may have containers of their own.
+     * @param {Object} [definition] Customizations of the stock grid, from the `grid` configuration option
+     * @param {integer} [definition.columns=12] Number of columns (`@grid-columns`)
+     * @param {string[]} [definition.breakpoints=["xs", "sm", "md", "lg"]] Names of the screen sizes of the grid classes, from the smallest up
+     * @param {string[]} [definition.containers=[]] Classes of additional elements that `.row`s may be descendants of, e.g. "page-wrapper"
+     * @class
+     */
+    function Grid(definition) {
+        definition = definition || {};
+        var numCols = typeof definition.columns === 'undefined' ? NUM_COLS : definition.columns;
+        var screens = definition.breakpoints || SCREENS;
+        var containers = definition.containers || [];
+        if (typeof numCols !== 'number' || numCols % 1 !== 0 || numCols < 1) {
+            throw new Error('Grid columns must be a positive integer: ' + numCols);
+        }
+        if (!Array.isArray(screens) || !screens.length || screens.some(function (screen) {
+            return typeof screen !== 'string' || !/^[a-z0-9]+$/i.test(screen);
+        })) {
+            throw new Error('Grid breakpoints must be a non-empty array of names made of letters and digits: ' + screens);
+        }
+        if (!Array.isArray(containers) || containers.some(function (container) {
+            return typeof container !== 'string';
+        })) {
+            throw new Error('Grid containers must be an array of class names: ' + containers);
+        }
+
+        this.numCols = numCols;
+        // names of the screen sizes, from the smallest up; their indexes are the screen size numbers
+        this.screens = screens;
+        this.colClasses = [];
+        screens.forEach(function (screen) {
+            for (var n = 1; n <= numCols; n++) {
+                this.colClasses.push('.col-' + screen + '-' + n);
+            }
+        }, this);
+        this.colClassSet = classSetOf(this.colClasses);
+        this.containerClasses = CONTAINER_CLASSES.concat(containers.map(function (container) {
+            return '.' + container;
+        }));
+        this.containerClassSet = classSetOf(this.containerClasses);
+        var screensPattern = '(' + screens.join('|') + ')';
+        this.colRegex = new RegExp('\\bcol-' + screensPattern + '-(\\d{1,2})\\b');
+        this.colRegexG = new RegExp(this.colRegex.source, 'g');
+        this.offsetRegex = new RegExp('\\bcol-' + screensPattern + '-offset-\\d+\\b');
+        // matches the width, offset, push and pull classes
+        this.gridClassRegex = new RegExp('^col-' + screensPattern + '-(?:(offset|push|pull)-)?(\\d{1,2})$');
+        this.visibleClassRegex = new RegExp('^visible-' + screensPattern + '(-block|-inline|-inline-block)?$');
+    }
+
+    var grids = Object.create(null);
+    /**
+     * @param {Object} [definition] Customizations of the stock grid (see `Grid`)
+     * @returns {Grid} The grid, which is shared by all of the documents linted with the same definition
+     */
+    function gridFor(definition) {
+        var key = JSON.stringify(definition || {});
+        if (!grids[key]) {
+            grids[key] = new Grid(definition);
+        }
+        return grids[key];
+    }
+
+    /**
+     * @param {(Element|Object)} node A DOM node
+     * @returns {(Element|Object|null)} The parent element of the node; null for the top-level elements of the document
+     */
+    function parentElementOf(node) {
+        var parent = parentNodeOf(node);
+        return parent && isElementNode(parent) ? parent : null;
+    }
+
+    /**
+     * @param {(Element|Object)} element A DOM element
+     * @param {function} test Function that is called with ancestors of the element, starting with its parent, until it returns true
+     * @returns {boolean} Whether the test is true of any ancestor of the element
+     */
+    function hasAncestor(element, test) {
+        for (var ancestor = parentElementOf(element); ancestor; ancestor = parentElementOf(ancestor)) {
+            if (test(ancestor)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function isTableColumnTag(element) {
+        return ['COL', 'TH', 'TD'].indexOf(tagNameOf(element)) !== -1;
+    }
+
+    function hasFloatStyle(element) {
+        // test for `float:*` in the style attribute
+        return /float\s*:\s*[a-z]+/i.test(attributeOf(element, 'style') || '');
+    }
+
+    function childElementsOf(element) {
+        return childNodesOf(element).filter(isElementNode);
+    }
+
+    /**
+     * @param {(Element|Object)} first A DOM node
+     * @param {(Element|Object)} second Another DOM node in the same document
+     * @returns {boolean} Whether the first node starts before the second one in the document
+     */
+    var precedes = IN_NODE_JS ?
+        function (first, second) {
+            return first.startIndex < second.startIndex;
+        } :
+        function (first, second) {
+            /* istanbul ignore next */
+            return Boolean(first.compareDocumentPosition(second) & 4); // eslint-disable-line no-bitwise
+        };
+
     function filenameFromUrl(url) {
         var filename = url.replace(/[#?].*$/, ''); // strip querystring & fragment ID
         var lastSlash = filename.lastIndexOf('/');
@@ -91,24 +332,21 @@ var LocationIndex = _location.LocationIndex;
         return classes.replace(new RegExp('\\b' + klass + '\\b', 'g'), '');
     }
 
-    function columnClassKey(colClass) {
-        return SCREEN2NUM[COL_REGEX.exec(colClass)[1]];
-    }
-
-    function compareColumnClasses(a, b) {
-        return columnClassKey(a) - columnClassKey(b);
-    }
-
     /**
      * Moves any grid column classes to the end of the class string and sorts the grid classes by ascending screen size.
      * @param {string} classes The "class" attribute of a DOM node
+     * @param {Grid} grid The grid
      * @returns {string} The processed "class" attribute value
      */
-    function sortedColumnClasses(classes) {
+    function sortedColumnClasses(classes, grid) {
+        function columnClassKey(colClass) {
+            return grid.screens.indexOf(grid.colRegex.exec(colClass)[1]);
+        }
+
         // extract column classes
         var colClasses = [];
         while (true) {
-            var match = COL_REGEX.exec(classes);
+            var match = grid.colRegex.exec(classes);
             if (!match) {
                 break;
             }
@@ -117,20 +355,23 @@ var LocationIndex = _location.LocationIndex;
             classes = withoutClass(classes, colClass);
         }
 
-        colClasses.sort(compareColumnClasses);
+        colClasses.sort(function (a, b) {
+            return columnClassKey(a) - columnClassKey(b);
+        });
         return classes + ' ' + colClasses.join(' ');
     }
 
     /**
      * @param {string} classes The "class" attribute of a DOM node
-     * @returns {Object.<string, integer[]>} Object mapping grid column widths (1 thru 12) to sorted arrays of screen size numbers (see SCREEN2NUM)
-     *      Widths not used in the classes will not have an entry in the object.
+     * @param {Grid} grid The grid
+     * @returns {Object.<string, integer[]>} Object mapping grid column widths (1 thru the number of columns) to sorted arrays of screen size numbers
+     *      (see `Grid`). Widths not used in the classes will not have an entry in the object.
      */
-    function width2screensFor(classes) {
+    function width2screensFor(classes, grid) {
         var width = null;
         var width2screens = {};
         while (true) {
-            var match = COL_REGEX_G.exec(classes);
+            var match = grid.colRegexG.exec(classes);
             if (!match) {
                 break;
             }
@@ -140,7 +381,7 @@ var LocationIndex = _location.LocationIndex;
             if (!screens) {
                 screens = width2screens[width] = [];
             }
-            screens.push(SCREEN2NUM[screen]);
+            screens.push(grid.screens.indexOf(screen));
         }
 
         for (width in width2screens) {
@@ -187,6 +428,83 @@ var LocationIndex = _location.LocationIndex;
         return runs;
     }
 
+    /**
+     * Works out how an element is laid out as a grid column at each screen size. Following the grid's mobile-first inheritance,
+     * each grid class applies from its screen size up, until a class for a larger screen size overrides it.
+     * @param {(Element|Object)} element A child element of a `.row`
+     * @param {Grid} grid The grid
+     * @returns {Object[]} For each screen size of the grid, an object that maps "width", "offset", "push" and "pull"
+     *      to the class that sets it (`klass`) and its number of columns (`value`). Properties that no class sets are missing;
+     *      without a "width", the element isn't laid out as a grid column at that screen size.
+     */
+    function columnLayoutsOf(element, grid) {
+        var classesByScreen = grid.screens.map(function () {
+            return {};
+        });
+        classNamesOf(element).forEach(function (klass) {
+            var match = grid.gridClassRegex.exec(klass);
+            if (!match) {
+                return;
+            }
+            var property = match[2] || 'width';
+            var value = Number(match[3]);
+            // skip classes that the grid doesn't define, e.g. `.col-xs-13` or `.col-xs-0`
+            if (value > grid.numCols || (property === 'width' && value === 0)) {
+                return;
+            }
+            classesByScreen[grid.screens.indexOf(match[1])][property] = {
+                klass: klass,
+                value: value
+            };
+        });
+        var inherited = {};
+        return classesByScreen.map(function (classes) {
+            var layout = {};
+            ['width', 'offset', 'push', 'pull'].forEach(function (property) {
+                inherited[property] = classes[property] || inherited[property];
+                if (inherited[property]) {
+                    layout[property] = inherited[property];
+                }
+            });
+            return layout;
+        });
+    }
+
+    function gridValueOf(setting) {
+        return setting ? setting.value : 0;
+    }
+
+    /**
+     * @param {(Element|Object)} element An element, e.g. a `.clearfix`
+     * @param {string} screen A screen size, e.g. "sm"
+     * @param {Grid} grid The grid
+     * @returns {boolean} Whether the element is displayed as a block at the screen size, given its responsive utility classes
+     */
+    function isVisibleAt(element, screen, grid) {
+        var classes = classNamesOf(element);
+        if (classes.indexOf('hidden-' + screen) !== -1) {
+            return false;
+        }
+        var visibleClasses = classes.filter(function (klass) {
+            return grid.visibleClassRegex.test(klass);
+        });
+        return !visibleClasses.length || visibleClasses.indexOf('visible-' + screen) !== -1 || visibleClasses.indexOf('visible-' + screen + '-block') !== -1;
+    }
+
+    /**
+     * @param {string[]} screens Screen sizes, e.g. ["xs", "md"]
+     * @returns {string} Text naming the breakpoints of the screen sizes, e.g. "`xs` and `md` breakpoints"
+     */
+    function breakpointsText(screens) {
+        var names = screens.map(function (screen) {
+            return '`' + screen + '`';
+        });
+        if (names.length === 1) {
+            return names[0] + ' breakpoint';
+        }
+        return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1] + ' breakpoints';
+    }
+
     /**
      * @returns {(Window|null)} The browser window object, or null if this is not running in a browser environment
      */
@@ -241,13 +559,82 @@ var LocationIndex = _location.LocationIndex;
         }).sort(semver.compare);
     }
 
-    function bootstrapScriptsIn($) {
-        var longhands = $('script[src*="bootstrap.js"]').filter(function (i, script) {
+    /**
+     * @param {jQuery} $ jQuery or Cheerio object for the document
+     * @param {DocumentIndex} index The index of the document
+     * @returns {jQuery} The `<link>`s and `<script>`s of the document that include Bootstrap's CSS or JS
+     */
+    function bootstrapFilesIn($, index) {
+        return $(index.withTags(['link', 'script'])).filter(BOOTSTRAP_FILES);
+    }
+
+    /**
+     * Guesses the major version of Bootstrap that the document uses, from the versions of Bootstrap's jQuery plugins
+     * (when running in a browser) and the version numbers in the URLs of Bootstrap's CSS and JS files.
+     * @param {jQuery} $ jQuery or Cheerio object for the document
+     * @param {DocumentIndex} index The index of the document
+     * @returns {integer} 4 if the newest version found is v4 or later; otherwise 3
+     */
+    function detectedBootstrapVersion($, index) {
+        var theWindow = getBrowserWindowObject();
+        var globaljQuery = theWindow && (theWindow.$ || theWindow.jQuery);
+        /* istanbul ignore next */
+        var versions = globaljQuery ? jqueryPluginVersions(globaljQuery) : [];
+        bootstrapFilesIn($, index).each(function () {
+            var version = versionInLinkedElement($, this);
+            if (version !== null) {
+                versions.push(version);
+            }
+        });
+        var isV4 = versions.some(function (version) {
+            return semver.gte(version, BOOTSTRAP_VERSION_4, true);
+        });
+        return isV4 ? 4 : 3;
+    }
+
+    /**
+     * @param {jQuery} $ jQuery or Cheerio object for the document
+     * @param {string} selector Selector from an attribute such as `data-target` or `href`
+     * @returns {jQuery} The elements matching the selector; empty if it isn't a valid selector (e.g. a URL)
+     */
+    function targetsOf($, selector) {
+        if (!selector) {
+            return $([]);
+        }
+        try {
+            return $(selector);
+        } catch (e) {
+            return $([]);
+        }
+    }
+
+    /**
+     * Finds the selector of the element that a data-API trigger acts on, the same way as Bootstrap's jQuery plugins:
+     * the trigger's `data-target` attribute, or else the fragment of its `href` attribute.
+     * @param {(Element|Object)} trigger An element with a `data-toggle` attribute, or a carousel control
+     * @returns {?string} The selector, or null if the trigger has neither attribute
+     */
+    function dataApiTargetOf(trigger) {
+        var target = attributeOf(trigger, 'data-target');
+        if (target) {
+            return target;
+        }
+        var href = attributeOf(trigger, 'href');
+        if (href === null) {
+            return null;
+        }
+        // strip everything before the fragment, e.g. "page.html#details" targets "#details"
+        return href.replace(/.*(?=#[^\s]+$)/, '');
+    }
+
+    function bootstrapScriptsIn($, index) {
+        var scripts = $(index.withTag('script'));
+        var longhands = scripts.filter('script[src*="bootstrap.js"]').filter(function (i, script) {
             var url = $(script).attr('src');
             var filename = filenameFromUrl(url);
             return filename === 'bootstrap.js';
         });
-        var minifieds = $('script[src*="bootstrap.min.js"]').filter(function (i, script) {
+        var minifieds = scripts.filter('script[src*="bootstrap.min.js"]').filter(function (i, script) {
             var url = $(script).attr('src');
             var filename = filenameFromUrl(url);
             return filename === 'bootstrap.min.js';
@@ -259,17 +646,266 @@ var LocationIndex = _location.LocationIndex;
         };
     }
 
+    /**
+     * @param {(Comment|Object)} node A comment node
+     * @param {string} text The text of the comment
+     * @returns {(Object|null)} The `<!-- bootlint-... -->` directive of the comment, if it is one. A directive has a `type`, an array of the `ids`
+     *      it applies to (empty if it applies to all IDs), its comment `node`, the `target` element of a "disable-next-element" directive,
+     *      and whether it has been `used` to suppress a problem.
+     */
+    function directiveOf(node, text) {
+        var match = DIRECTIVE_REGEX.exec(text);
+        if (!match) {
+            return null;
+        }
+        return {
+            type: match[1],
+            ids: match[2] ? match[2].split(/[\s,]+/) : [],
+            node: node,
+            target: null,
+            used: false
+        };
+    }
+
+    function addToIndex(map, key, element) {
+        var elements = map[key];
+        if (elements) {
+            elements.push(element);
+        } else {
+            map[key] = [element];
+        }
+    }
+
+    /**
+     * Index of the elements of a document by tag name, class and attribute name, built in one walk of the document by `indexDocument()`.
+     * Linters look up elements in it instead of querying the whole document.
+     * @class
+     */
+    function DocumentIndex() {
+        /**
+         * All of the elements of the document, in document order
+         * @type {Array.<(Element|Object)>}
+         */
+        this.elements = [];
+        /**
+         * The `<!-- bootlint-... -->` directives of the document, in document order (see `directiveOf()`)
+         * @type {Object[]}
+         */
+        this.directives = [];
+        // the events of each element (see `addLinter()`), in the same order as the elements
+        this._events = [];
+        this._byTag = Object.create(null);
+        this._byClass = Object.create(null);
+        this._byAttribute = Object.create(null);
+    }
+
+    /**
+     * @param {(Element|Object)} element The next element of the document
+     * @returns {undefined} Nothing
+     */
+    DocumentIndex.prototype._add = function (element) {
+        var tag = tagNameOf(element).toLowerCase();
+        var events = ['*', tag];
+        addToIndex(this._byTag, tag, element);
+        classNamesOf(element).forEach(function (name) {
+            addToIndex(this._byClass, name, element);
+            events.push('.' + name);
+        }, this);
+        attributeNamesOf(element).forEach(function (name) {
+            addToIndex(this._byAttribute, name, element);
+            events.push('[' + name + ']');
+        }, this);
+        this.elements.push(element);
+        this._events.push(events);
+    };
+
+    /**
+     * @param {string} name A tag name, e.g. "div"
+     * @returns {Array.<(Element|Object)>} The elements with the tag name, in document order
+     */
+    DocumentIndex.prototype.withTag = function (name) {
+        return (this._byTag[name.toLowerCase()] || []).slice();
+    };
+
+    /**
+     * @param {string[]} names Tag names
+     * @returns {Array.<(Element|Object)>} The elements with any of the tag names, in document order
+     */
+    DocumentIndex.prototype.withTags = function (names) {
+        var elements = [];
+        names.forEach(function (name) {
+            elements = elements.concat(this.withTag(name));
+        }, this);
+        return elements.sort(function (first, second) {
+            return precedes(first, second) ? -1 : 1;
+        });
+    };
+
+    /**
+     * @param {string} name A class, e.g. "row"
+     * @returns {Array.<(Element|Object)>} The elements with the class, in document order
+     */
+    DocumentIndex.prototype.withClass = function (name) {
+        return (this._byClass[name] || []).slice();
+    };
+
+    /**
+     * @param {string} name An attribute name, e.g. "data-toggle"
+     * @returns {Array.<(Element|Object)>} The elements with the attribute, in document order
+     */
+    DocumentIndex.prototype.withAttribute = function (name) {
+        return (this._byAttribute[name.toLowerCase()] || []).slice();
+    };
+
+    /**
+     * Walks a document once to index its elements and find its `<!-- bootlint-... -->` directives.
+     * @param {(Document|Object)} root The root node of the document
+     * @param {(ClassAliases|null)} [classAliases] The rewriting of the document's classes, which is applied to the elements before they are indexed
+     * @returns {DocumentIndex} The index of the document
+     */
+    function indexDocument(root, classAliases) {
+        var index = new DocumentIndex();
+        var awaitingTarget = [];
+        function visit(node) {
+            var text = commentTextOf(node);
+            if (text !== null) {
+                var directive = directiveOf(node, text);
+                if (directive) {
+                    index.directives.push(directive);
+                    if (directive.type === 'disable-next-element') {
+                        awaitingTarget.push(directive);
+                    }
+                }
+            } else if (isElementNode(node)) {
+                awaitingTarget.forEach(function (pending) {
+                    pending.target = node;
+                });
+                awaitingTarget = [];
+                if (classAliases) {
+                    classAliases.rewrite(node);
+                }
+                index._add(node);
+                childNodesOf(node).forEach(visit);
+            }
+        }
+        childNodesOf(root).forEach(visit);
+        return index;
+    }
+
+    /**
+     * Subscribes the handlers of a linter to the events of elements. A handler that is given for several events
+     * is called only once for an element that has more than one of them.
+     * @param {Object.<string, Object[]>} subscriptions Map from events to the subscriptions to them
+     * @param {Object.<string, function>} handlers Map from events to the linter's handlers of them (see `addLinter()`)
+     * @returns {undefined} Nothing
+     */
+    function subscribe(subscriptions, handlers) {
+        var linterSubscriptions = [];
+        Object.keys(handlers).forEach(function (event) {
+            if (event === 'end') {
+                return;
+            }
+            var handler = handlers[event];
+            var subscription = linterSubscriptions.filter(function (existing) {
+                return existing.handler === handler;
+            })[0];
+            if (!subscription) {
+                subscription = {
+                    handler: handler,
+                    lastElement: null
+                };
+                linterSubscriptions.push(subscription);
+            }
+            if (subscriptions[event]) {
+                subscriptions[event].push(subscription);
+            } else {
+                subscriptions[event] = [subscription];
+            }
+        });
+    }
+
+    /**
+     * Calls the subscribed handlers with each element of a document whose events they are subscribed to, in document order.
+     * @param {DocumentIndex} index The index of the document
+     * @param {Object.<string, Object[]>} subscriptions Map from events to the subscriptions to them (see `subscribe()`)
+     * @returns {undefined} Nothing
+     */
+    function dispatchEvents(index, subscriptions) {
+        var elements = index.elements;
+        for (var i = 0; i < elements.length; i++) {
+            var element = elements[i];
+            var events = index._events[i];
+            for (var j = 0; j < events.length; j++) {
+                var subscribed = subscriptions[events[j]];
+                if (!subscribed) {
+                    continue;
+                }
+                for (var k = 0; k < subscribed.length; k++) {
+                    var subscription = subscribed[k];
+                    if (subscription.lastElement !== element) {
+                        subscription.lastElement = element;
+                        subscription.handler(element);
+                    }
+                }
+            }
+        }
+    }
+
+    function isSameOrDescendantOf(node, ancestor) {
+        while (node) {
+            if (node === ancestor) {
+                return true;
+            }
+            node = parentNodeOf(node);
+        }
+        return false;
+    }
+
+    /**
+     * @param {Object[]} directives Directives in document order, as found by `indexDocument()`
+     * @param {string} id ID of the lint problem
+     * @param {(Element|Object|null)} element Element the problem refers to, or null for problems about the document as a whole
+     * @returns {(Object|null)} The directive that suppresses the problem, if any
+     */
+    function directiveSuppressing(directives, id, element) {
+        var rangeDirective = null;
+        for (var i = 0; i < directives.length; i++) {
+            var directive = directives[i];
+            if (directive.ids.length && directive.ids.indexOf(id) === -1) {
+                continue;
+            }
+            if (directive.type === 'disable-file') {
+                return directive;
+            }
+            if (!element) {
+                continue;
+            }
+            if (directive.type === 'disable-next-element') {
+                if (directive.target && isSameOrDescendantOf(element, directive.target)) {
+                    return directive;
+                }
+            } else if (precedes(directive.node, element)) {
+                // the last applicable "disable" or "enable" before the element wins
+                rangeDirective = directive.type === 'disable' ? directive : null;
+            }
+        }
+        return rangeDirective;
+    }
+
     /**
      * @param {integer} id Unique string ID for this type of lint error. Of the form "E###" (e.g. "E123").
      * @param {string} message Human-readable string describing the error
      * @param {jQuery} elements jQuery or Cheerio collection of referenced DOM elements pointing to all problem locations in the document
+     * @param {Array} [fixes] Automatic fixes for the error; see `setAttributeFix()` and `removeElementFix()`
      * @class
      */
-    function LintError(id, message, elements) {
+    function LintError(id, message, elements, fixes) {
         this.id = id;
+        this.severity = 'error';
         this.url = WIKI_URL + id;
         this.message = message;
         this.elements = elements || cheerio('');
+        this.fixes = fixes || [];
     }
     exports.LintError = LintError;
 
@@ -277,51 +913,287 @@ var LocationIndex = _location.LocationIndex;
      * @param {integer} id Unique string ID for this type of lint warning. Of the form "W###" (e.g. "W123").
      * @param {string} message Human-readable string describing the warning
      * @param {jQuery} elements jQuery or Cheerio collection of referenced DOM elements pointing to all problem locations in the document
+     * @param {Array} [fixes] Automatic fixes for the warning; see `setAttributeFix()` and `removeElementFix()`
      * @class
      */
-    function LintWarning(id, message, elements) {
+    function LintWarning(id, message, elements, fixes) {
         this.id = id;
+        this.severity = 'warning';
         this.url = WIKI_URL + id;
         this.message = message;
         this.elements = elements || cheerio('');
+        this.fixes = fixes || [];
     }
     exports.LintWarning = LintWarning;
 
-    var allLinters = {};
-    function addLinter(id, linter) {
-        if (allLinters[id]) {
-            /* istanbul ignore next */
-            throw new Error('Linter already registered with ID: ' + id);
-        }
-
-        var Problem = null;
-        if (id[0] === 'E') {
-            Problem = LintError;
-        } else if (id[0] === 'W') {
-            Problem = LintWarning;
-        } else {
-            /* istanbul ignore next */
-            throw new Error('Invalid linter ID: ' + id);
+    /**
+     * @param {string} [severity] Severity that the configuration assigns to a linter ("warn" or "error"), if any
+     * @param {function} defaultProblem The class of the linter's problems according to its ID (`LintError` or `LintWarning`)
+     * @returns {function} The class of the problems that the linter should report
+     */
+    function problemClassFor(severity, defaultProblem) {
+        if (severity === 'error') {
+            return LintError;
         }
-
-        function linterWrapper($, reporter) {
-            function specializedReporter(message, elements) {
-                reporter(new Problem(id, message, elements));
-            }
-
-            linter($, specializedReporter);
+        if (severity === 'warn') {
+            return LintWarning;
         }
+        return defaultProblem;
+    }
 
-        linterWrapper.id = id;
-        allLinters[id] = linterWrapper;
+    /**
+     * Describes a fix that sets an attribute of an element.
+     * Linters pass arrays of fix descriptions to their reporter, and Bootlint turns them into edits of the HTML source.
+     * A fix that consists of several changes which must be made together is described by an array of them.
+     * @param {(Element|Object)} element The element
+     * @param {string} attribute Name of the attribute to add or change
+     * @param {string} value New value of the attribute
+     * @returns {Object} The fix description
+     */
+    function setAttributeFix(element, attribute, value) {
+        return {
+            element: element,
+            attribute: attribute,
+            value: value
+        };
+    }
+
+    /**
+     * Describes a fix that removes an element from the document.
+     * @param {(Element|Object)} element The element
+     * @returns {Object} The fix description
+     */
+    function removeElementFix(element) {
+        return {
+            element: element,
+            remove: true
+        };
+    }
+
+    function fixedElementOf(fix) {
+        return Array.isArray(fix) ? fix[0].element : fix.element;
+    }
+
+    var allLinters = {};
+    /**
+     * Linters are either functions or visitors. A function is called with the jQuery or Cheerio object of the document,
+     * a reporter, the `DocumentIndex` of the document and the `Grid` of the configuration, after the document has been walked.
+     * A visitor is an object whose `create()` method is called with the same arguments before the document is walked
+     * and returns a map from events to handlers. The handlers are called with each element that has the event while the document is walked,
+     * in document order: "*" for all elements, a lowercase tag name (e.g. "div"), a class selector (e.g. ".row")
+     * or an attribute name in brackets (e.g. "[data-toggle]"). The "end" handler, if any, is called after the walk.
+     * @param {string} id Unique string ID of the linter. Its first letter determines whether the linter reports errors ("E") or warnings ("W"),
+     *      unless the configuration overrides the severity.
+     * @param {(function|Object)} linter Linter function or visitor
+     * @param {Object} [options] Options
+     * @param {integer[]} [options.bootstrapVersions=[3]] Major versions of Bootstrap that the linter applies to
+     * @param {integer} [options.migrateTo] If given, the linter only runs when reporting what is left to migrate to this major version of Bootstrap
+     * @param {string} [options.scope="element"] "document" if the linter checks whole pages, so that it is skipped when linting fragments
+     * @param {string} [options.pack] If given, the linter only runs when the configuration enables this rule pack (see `RULE_PACKS`)
+     * @returns {undefined} Nothing
+     */
+    function addLinter(id, linter, options) {
+        if (allLinters[id]) {
+            throw new Error('Linter already registered with ID: ' + id);
+        }
+
+        var match = LINTER_ID_REGEX.exec(id);
+        var Problem = null;
+        if (match && match[2] === 'E') {
+            Problem = LintError;
+        } else if (match && match[2] === 'W') {
+            Problem = LintWarning;
+        } else {
+            throw new Error('Invalid linter ID: ' + id);
+        }
+        var namespace = match[1] || null;
+
+        function handlersOf($, reporter, index, grid) {
+            if (typeof linter === 'function') {
+                return {
+                    end: function () {
+                        linter($, reporter, index, grid);
+                    }
+                };
+            }
+            return linter.create($, reporter, index, grid);
+        }
+
+        allLinters[id] = {
+            id: id,
+            namespace: namespace,
+            bootstrapVersions: options && options.bootstrapVersions || [3],
+            migrateTo: options && options.migrateTo || null,
+            scope: options && options.scope || 'element',
+            pack: options && options.pack || null,
+            /**
+             * @param {Object} $ The jQuery or Cheerio object of the document
+             * @param {reporter} reporter Function to call with each lint problem
+             * @param {string} [severity] Severity that the configuration assigns to the linter, if any
+             * @param {DocumentIndex} index The index of the document
+             * @param {Grid} grid The grid of the configuration
+             * @returns {Object.<string, function>} The handlers of the linter
+             */
+            create: function ($, reporter, severity, index, grid) {
+                var SeverityProblem = problemClassFor(severity, Problem);
+
+                function specializedReporter(message, elements, fixes) {
+                    var problem = new SeverityProblem(id, message, elements, fixes);
+                    if (namespace) {
+                        // the Bootlint wiki only documents Bootlint's own linters
+                        problem.url = options && options.url || null;
+                    }
+                    reporter(problem);
+                }
+
+                return handlersOf($, specializedReporter, index, grid);
+            }
+        };
+    }
+
+    /**
+     * @param {string[]} events Events of elements (see `addLinter()`)
+     * @param {function} handler Function to call with each element that has any of the events
+     * @param {function} end Function to call after the walk of the document
+     * @returns {Object.<string, function>} The handlers of a visitor
+     */
+    function handlersFor(events, handler, end) {
+        var handlers = {end: end};
+        events.forEach(function (event) {
+            handlers[event] = handler;
+        });
+        return handlers;
+    }
+
+    /**
+     * Adds a visitor linter that collects the elements with certain events while the document is walked,
+     * and checks them afterwards.
+     * @param {string} id Unique string ID of the linter
+     * @param {(Object[]|function)} checks The checks of the linter, whose problems are reported in this order,
+     *      or a function that is called with the `Grid` of the configuration and returns them. Each check has these properties:
+     *      `on`: the events of the elements to check (see `addLinter()`);
+     *      `test`: optionally, a function that is called with each of those elements during the walk and returns whether to check it;
+     *      `select`: optionally, a selector that filters the checked elements, or a function that is called with the jQuery or Cheerio collection
+     *          of them, the jQuery or Cheerio object of the document and its `DocumentIndex`, and returns the collection of elements to report;
+     *      `message`: the message of the problem;
+     *      `fix`: optionally, a function that is called with each reported element and the jQuery or Cheerio object and returns its fix;
+     *      `withoutElements`: whether to report the problem without referring to the elements.
+     * @param {Object} [options] Options (see `addLinter()`)
+     * @returns {undefined} Nothing
+     */
+    function addElementLinter(id, checks, options) {
+        addLinter(id, {
+            create: function ($, reporter, index, grid) {
+                var gridChecks = typeof checks === 'function' ? checks(grid) : checks;
+                var collectorsByEvent = {};
+                var candidatesOfChecks = gridChecks.map(function (check) {
+                    var candidates = [];
+                    var lastElement = null;
+                    var collect = function (element) {
+                        if (element !== lastElement && (!check.test || check.test(element))) {
+                            candidates.push(element);
+                        }
+                        lastElement = element;
+                    };
+                    check.on.forEach(function (event) {
+                        if (collectorsByEvent[event]) {
+                            collectorsByEvent[event].push(collect);
+                        } else {
+                            collectorsByEvent[event] = [collect];
+                        }
+                    });
+                    return candidates;
+                });
+
+                var handlers = {};
+                Object.keys(collectorsByEvent).forEach(function (event) {
+                    var collectors = collectorsByEvent[event];
+                    handlers[event] = function (element) {
+                        collectors.forEach(function (collect) {
+                            collect(element);
+                        });
+                    };
+                });
+                handlers.end = function () {
+                    gridChecks.forEach(function (check, checkIndex) {
+                        var candidates = candidatesOfChecks[checkIndex];
+                        if (!candidates.length) {
+                            return;
+                        }
+                        var elements = $(candidates);
+                        if (typeof check.select === 'string') {
+                            elements = elements.filter(check.select);
+                        } else if (check.select) {
+                            elements = check.select(elements, $, index);
+                        }
+                        if (!elements.length) {
+                            return;
+                        }
+                        if (check.withoutElements) {
+                            reporter(check.message);
+                            return;
+                        }
+                        var fixes = [];
+                        if (check.fix) {
+                            fixes = elements.toArray().map(function (element) {
+                                return check.fix(element, $);
+                            });
+                        }
+                        reporter(check.message, elements, fixes);
+                    });
+                };
+                return handlers;
+            }
+        }, options);
+    }
+
+    /**
+     * Registers a linter that is not part of Bootlint itself, such as one from a plugin.
+     * Its problems are reported, located, fixed and disabled just like those of Bootlint's own linters,
+     * but it only runs when its namespace is among the `plugins` of the configuration.
+     * @param {string} id Namespaced ID of the linter, e.g. "acme/W001" for a warning or "acme/E001" for an error
+     * @param {(function|Object)} linter Function that is called with the jQuery or Cheerio object of the document, a reporter
+     *      and the index of the document, or a visitor object whose `create()` method returns handlers of the elements (see `addLinter()`)
+     * @param {Object} [options] Options
+     * @param {string} [options.url] URL of the documentation of the linter's problems
+     * @param {integer[]} [options.bootstrapVersions=[3, 4]] Major versions of Bootstrap that the linter applies to
+     * @param {string} [options.scope="element"] "document" if the linter checks whole pages, so that it doesn't apply to fragments of pages;
+     *      "element" if it checks individual elements
+     * @returns {undefined} Nothing
+     */
+    exports.addLinter = function (id, linter, options) {
+        if (typeof id !== 'string' || id.indexOf('/') === -1) {
+            throw new Error('Linters from outside of Bootlint must have namespaced IDs, e.g. "acme/W001": ' + id);
+        }
+        if (typeof linter !== 'function' && !(linter && typeof linter.create === 'function')) {
+            throw new Error('Linter must be a function or an object with a create() method: ' + id);
+        }
+        options = options || {};
+        if (typeof options.scope !== 'undefined' && LINTER_SCOPES.indexOf(options.scope) === -1) {
+            throw new Error('Linter scope must be one of: ' + LINTER_SCOPES.join(', ') + ': ' + id);
+        }
+        addLinter(id, linter, {
+            url: options.url,
+            bootstrapVersions: options.bootstrapVersions || SUPPORTED_BOOTSTRAP_VERSIONS,
+            scope: options.scope
+        });
+    };
+
+    /**
+     * @param {string} name Name of a plugin, with or without the "bootlint-plugin" part of its npm package name
+     * @returns {string} The namespace of the plugin's linter IDs, e.g. "acme" for "bootlint-plugin-acme" or "@acme" for "@acme/bootlint-plugin"
+     */
+    function pluginNamespaceOf(name) {
+        return name.replace(/(^|\/)bootlint-plugin(-|$)/, '$1').replace(/\/$/, '');
     }
 
 
-    addLinter('W001', function lintMetaCharsetUtf8($, reporter) {
-        var meta = $('head>meta[charset]');
+    addLinter('W001', function lintMetaCharsetUtf8($, reporter, index) {
+        var metas = $(index.withTag('meta'));
+        var meta = metas.filter('head>meta[charset]');
         var charset = meta.attr('charset');
         if (!charset) {
-            meta = $([
+            meta = metas.filter([
                 'head>meta[http-equiv="Content-Type"][content="text/html; charset=utf-8"]',
                 'head>meta[http-equiv="content-type"][content="text/html; charset=utf-8"]',
                 'head>meta[http-equiv="Content-Type"][content="text/html; charset=UTF-8"]',
@@ -333,33 +1205,32 @@ var LocationIndex = _location.LocationIndex;
         } else if (charset.toLowerCase() !== 'utf-8') {
             reporter('charset `<meta>` tag is specifying a legacy, non-UTF-8 charset', meta);
         }
-    });
-    addLinter('W002', function lintXUaCompatible($, reporter) {
-        var meta = $([
+    }, DOCUMENT_LEVEL);
+    addLinter('W002', function lintXUaCompatible($, reporter, index) {
+        var meta = $(index.withTag('meta')).filter([
             'head>meta[http-equiv="X-UA-Compatible"][content="IE=edge"]',
             'head>meta[http-equiv="x-ua-compatible"][content="ie=edge"]'
         ].join(','));
         if (!meta.length) {
             reporter('`<head>` is missing X-UA-Compatible `<meta>` tag that disables old IE compatibility modes');
         }
-    });
-    addLinter('W003', function lintViewport($, reporter) {
-        var meta = $('head>meta[name="viewport"][content]');
+    }, DOCUMENT_LEVEL);
+    addLinter('W003', function lintViewport($, reporter, index) {
+        var meta = $(index.withTag('meta')).filter('head>meta[name="viewport"][content]');
         if (!meta.length) {
             reporter('`<head>` is missing viewport `<meta>` tag that enables responsiveness');
         }
-    });
-    addLinter('W004', function lintRemoteModals($, reporter) {
-        var remoteModalTriggers = $('[data-toggle="modal"][data-remote]');
-        if (remoteModalTriggers.length) {
-            reporter('Found one or more modals using the deprecated `remote` option', remoteModalTriggers);
-        }
-    });
-    addLinter('W005', function lintJquery($, reporter) {
+    }, DOCUMENT_LEVEL);
+    addElementLinter('W004', [{
+        on: ['[data-remote]'],
+        select: '[data-toggle="modal"][data-remote]',
+        message: 'Found one or more modals using the deprecated `remote` option'
+    }]);
+    addLinter('W005', function lintJquery($, reporter, index) {
         var OLD_JQUERY = 'Found what might be an outdated version of jQuery; Bootstrap requires jQuery v' + MIN_JQUERY_VERSION + ' or higher';
         var NO_JQUERY_BUT_BS_JS = 'Unable to locate jQuery, which is required for Bootstrap\'s JavaScript plugins to work';
         var NO_JQUERY_NOR_BS_JS = 'Unable to locate jQuery, which is required for Bootstrap\'s JavaScript plugins to work; however, you might not be using Bootstrap\'s JavaScript';
-        var bsScripts = bootstrapScriptsIn($);
+        var bsScripts = bootstrapScriptsIn($, index);
         var hasBsJs = Boolean(bsScripts.minifieds.length || bsScripts.longhands.length);
         var theWindow = null;
         try {
@@ -406,7 +1277,7 @@ var LocationIndex = _location.LocationIndex;
         }
 
         // check for jQuery <script>s
-        var jqueries = $([
+        var jqueries = $(index.withTag('script')).filter([
             'script[src*="jquery"]',
             'script[src*="jQuery"]'
         ].join(','));
@@ -430,84 +1301,101 @@ var LocationIndex = _location.LocationIndex;
                 reporter(OLD_JQUERY, script);
             }
         });
-    });
-    addLinter('W006', function lintTooltipsOnDisabledElems($, reporter) {
-        var selector = [
+    }, DOCUMENT_LEVEL);
+    addElementLinter('W006', [{
+        on: ['[data-toggle]'],
+        select: [
             '[disabled][data-toggle="tooltip"]',
             '.disabled[data-toggle="tooltip"]',
             '[disabled][data-toggle="popover"]',
             '.disabled[data-toggle="popover"]'
-        ].join(',');
-        var disabledWithTooltips = $(selector);
-        if (disabledWithTooltips.length) {
-            reporter(
-                'Tooltips and popovers on disabled elements cannot be triggered by user interaction unless the element becomes enabled.' +
-                ' To have tooltips and popovers be triggerable by the user even when their associated element is disabled,' +
-                ' put the disabled element inside a wrapper `<div>` and apply the tooltip or popover to the wrapper `<div>` instead.',
-                disabledWithTooltips
-            );
-        }
-    });
-    addLinter('W007', function lintBtnType($, reporter) {
-        var badBtnType = $('button:not([type="submit"], [type="reset"], [type="button"])');
-        if (badBtnType.length) {
-            reporter('Found one or more `<button>`s missing a `type` attribute.', badBtnType);
-        }
-    });
-    addLinter('W008', function lintTooltipsInBtnGroups($, reporter) {
-        var nonBodyContainers = $('.btn-group [data-toggle="tooltip"]:not([data-container="body"]), .btn-group [data-toggle="popover"]:not([data-container="body"])');
-        if (nonBodyContainers.length) {
-            reporter('Tooltips and popovers within button groups should have their `container` set to `\'body\'`. Found tooltips/popovers that might lack this setting.', nonBodyContainers);
+        ].join(','),
+        message: 'Tooltips and popovers on disabled elements cannot be triggered by user interaction unless the element becomes enabled.' +
+            ' To have tooltips and popovers be triggerable by the user even when their associated element is disabled,' +
+            ' put the disabled element inside a wrapper `<div>` and apply the tooltip or popover to the wrapper `<div>` instead.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W007', [{
+        on: ['button'],
+        select: 'button:not([type="submit"], [type="reset"], [type="button"])',
+        message: 'Found one or more `<button>`s missing a `type` attribute.',
+        fix: function (button, $) {
+            // keep the implied behavior of the button: it only submits something if it belongs to a form
+            var belongsToForm = $(button).closest('form').length || typeof $(button).attr('form') !== 'undefined';
+            return setAttributeFix(button, 'type', belongsToForm ? 'submit' : 'button');
+        }
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W008', [{
+        on: ['[data-toggle]'],
+        select: '.btn-group [data-toggle="tooltip"]:not([data-container="body"]), .btn-group [data-toggle="popover"]:not([data-container="body"])',
+        message: 'Tooltips and popovers within button groups should have their `container` set to `\'body\'`. Found tooltips/popovers that might lack this setting.'
+    }], BOOTSTRAP_3_AND_4);
+    addLinter('W009', {
+        create: function lintEmptySpacerCols($, reporter, index, grid) {
+            var columns = [];
+            return handlersFor(grid.colClasses, function (col) {
+                columns.push(col);
+            }, function () {
+                if (!columns.length) {
+                    return;
+                }
+                $(columns).filter(':not(:last-child)').each(function (_index, col) {
+                    var column = $(col);
+                    var isVoidElement = voidElements[col.tagName.toLowerCase()];
+                    // can't just use :empty because :empty excludes nodes with all-whitespace text content
+                    var hasText = Boolean(column.text().trim().length);
+                    var hasChildren = Boolean(column.children(':first-child').length);
+                    if (hasChildren || hasText || isVoidElement) {
+                        return;
+                    }
+
+                    var colClasses = column.attr('class').split(/\s+/g).filter(function (klass) {
+                        return grid.colRegex.test(klass);
+                    });
+                    colClasses = sortedColumnClasses(colClasses.join(' '), grid).trim();
+
+                    var colRegex = new RegExp('\\b(col-)(' + grid.screens.join('|') + ')(-\\d+)\\b', 'g');
+                    var offsetClasses = colClasses.replace(colRegex, '$1$2-offset$3');
+
+                    var fixes = [];
+                    var nextColumn = column.next();
+                    var nextClasses = nextColumn.attr('class') || '';
+                    if (grid.colRegex.test(nextClasses) && !grid.offsetRegex.test(nextClasses)) {
+                        fixes.push([
+                            removeElementFix(col),
+                            setAttributeFix(nextColumn[0], 'class', nextClasses + ' ' + offsetClasses)
+                        ]);
+                    }
+
+                    reporter('Using empty spacer columns isn\'t necessary with Bootstrap\'s grid. So instead of having an empty grid column with `class="' + colClasses + '"` , just add `class="' + offsetClasses + '"` to the next grid column.', column, fixes);
+                });
+            });
         }
     });
-    addLinter('W009', function lintEmptySpacerCols($, reporter) {
-        var selector = COL_CLASSES.map(function (colClass) {
-            return colClass + ':not(:last-child)';
-        }).join(',');
-        var columns = $(selector);
-        columns.each(function (_index, col) {
-            var column = $(col);
-            var isVoidElement = voidElements[col.tagName.toLowerCase()];
-            // can't just use :empty because :empty excludes nodes with all-whitespace text content
-            var hasText = Boolean(column.text().trim().length);
-            var hasChildren = Boolean(column.children(':first-child').length);
-            if (hasChildren || hasText || isVoidElement) {
-                return;
-            }
+    addElementLinter('W010', [{
+        on: ['.pull-left', '.pull-right'],
+        select: '.media>.pull-left, .media>.pull-right',
+        message: 'Using `.pull-left` or `.pull-right` as part of the media object component is deprecated as of Bootstrap v3.3.0. Use `.media-left` or `.media-right` instead.',
+        withoutElements: true
+    }]);
+    addLinter('W012', {
+        create: function lintNavbarContainers($, reporter) {
+            var navBars = [];
+            return handlersFor(['.navbar'], function (navBar) {
+                navBars.push(navBar);
+            }, function () {
+                navBars.forEach(function (navBar) {
+                    var hasContainerChildren = childElementsOf(navBar).some(function (child) {
+                        return hasClass(child, 'container') || hasClass(child, 'container-fluid');
+                    });
 
-            var colClasses = column.attr('class').split(/\s+/g).filter(function (klass) {
-                return COL_REGEX.test(klass);
+                    if (!hasContainerChildren) {
+                        reporter('`.navbar`\'s first child element should always be either `.container` or `.container-fluid`', $(navBar));
+                    }
+                });
             });
-            colClasses = sortedColumnClasses(colClasses.join(' ')).trim();
-
-            var colRegex = new RegExp('\\b(col-)(' + SCREENS.join('|') + ')(-\\d+)\\b', 'g');
-            var offsetClasses = colClasses.replace(colRegex, '$1$2-offset$3');
-
-            reporter('Using empty spacer columns isn\'t necessary with Bootstrap\'s grid. So instead of having an empty grid column with `class="' + colClasses + '"` , just add `class="' + offsetClasses + '"` to the next grid column.', column);
-        });
-    });
-    addLinter('W010', function lintMediaPulls($, reporter) {
-        var mediaPulls = $('.media>.pull-left, .media>.pull-right');
-        if (mediaPulls.length) {
-            reporter('Using `.pull-left` or `.pull-right` as part of the media object component is deprecated as of Bootstrap v3.3.0. Use `.media-left` or `.media-right` instead.');
         }
     });
-    addLinter('W012', function lintNavbarContainers($, reporter) {
-        var navBars = $('.navbar');
-        var containers = [
-            '.container',
-            '.container-fluid'
-        ].join(',');
-        navBars.each(function () {
-            var navBar = $(this);
-            var hasContainerChildren = Boolean(navBar.children(containers).length);
-
-            if (!hasContainerChildren) {
-                reporter('`.navbar`\'s first child element should always be either `.container` or `.container-fluid`', navBar);
-            }
-        });
-    });
-    addLinter('W013', function lintOutdatedBootstrap($, reporter) {
+    addLinter('W013', function lintOutdatedBootstrap($, reporter, index) {
         var OUTDATED_BOOTSTRAP = 'Bootstrap version might be outdated. Latest version is at least ' + CURRENT_BOOTSTRAP_VERSION + ' ; saw what appears to be usage of Bootstrap ';
         var theWindow = getBrowserWindowObject();
         var globaljQuery = theWindow && (theWindow.$ || theWindow.jQuery);
@@ -523,7 +1411,7 @@ var LocationIndex = _location.LocationIndex;
             }
         }
         // check for Bootstrap <link>s and <script>s
-        var bootstraps = $(BOOTSTRAP_FILES);
+        var bootstraps = bootstrapFilesIn($, index);
         bootstraps.each(function () {
             var version = versionInLinkedElement($, this);
             if (version === null) {
@@ -534,20 +1422,29 @@ var LocationIndex = _location.LocationIndex;
             }
         });
     });
-    addLinter('W014', function lintCarouselControls($, reporter) {
-        var controls = $('.carousel-indicators > li, .carousel-control');
-        controls.each(function (_index, cont) {
-            var control = $(cont);
-            var target = control.attr('href') || control.attr('data-target');
-            var carousel = $(target);
+    addLinter('W014', {
+        create: function lintCarouselControls($, reporter) {
+            var controls = [];
+            return handlersFor(['li', '.carousel-control'], function (control) {
+                controls.push(control);
+            }, function () {
+                if (!controls.length) {
+                    return;
+                }
+                $(controls).filter('.carousel-indicators > li, .carousel-control').each(function (_index, cont) {
+                    var control = $(cont);
+                    var target = control.attr('href') || control.attr('data-target');
+                    var carousel = $(target);
 
-            if (!carousel.length || carousel.is(':not(.carousel)')) {
-                reporter('Carousel controls and indicators should use `href` or `data-target` to reference an element with class `.carousel`.', control);
-            }
-        });
+                    if (!carousel.length || carousel.is(':not(.carousel)')) {
+                        reporter('Carousel controls and indicators should use `href` or `data-target` to reference an element with class `.carousel`.', control);
+                    }
+                });
+            });
+        }
     });
-    addLinter('W015', function lintNewBootstrap($, reporter) {
-        var FUTURE_VERSION_ERROR = 'Detected what appears to be Bootstrap v4 or later. This version of Bootlint only supports Bootstrap v3.';
+    addLinter('W015', function lintNewBootstrap($, reporter, index) {
+        var FUTURE_VERSION_ERROR = 'Detected what appears to be Bootstrap v5 or later. This version of Bootlint only supports Bootstrap v3 and v4.';
         var theWindow = getBrowserWindowObject();
 
         var globaljQuery = theWindow && (theWindow.$ || theWindow.jQuery);
@@ -556,43 +1453,45 @@ var LocationIndex = _location.LocationIndex;
             var versions = jqueryPluginVersions(globaljQuery);
             if (versions.length) {
                 var minVersion = versions[0];
-                if (semver.gte(minVersion, BOOTSTRAP_VERSION_4, true)) {
+                if (semver.gte(minVersion, BOOTSTRAP_VERSION_5, true)) {
                     reporter(FUTURE_VERSION_ERROR);
                     return;
                 }
             }
         }
         // check for Bootstrap <link>s and <script>s
-        var bootstraps = $(BOOTSTRAP_FILES);
+        var bootstraps = bootstrapFilesIn($, index);
         bootstraps.each(function () {
             var version = versionInLinkedElement($, this);
             if (version === null) {
                 return;
             }
-            if (semver.gte(version, BOOTSTRAP_VERSION_4, true)) {
+            if (semver.gte(version, BOOTSTRAP_VERSION_5, true)) {
                 reporter(FUTURE_VERSION_ERROR, $(this));
             }
         });
-    });
-    addLinter('W016', function lintDisabledClassOnButton($, reporter) {
-        var btnsWithDisabledClass = $('button.btn.disabled, input.btn.disabled');
-        if (btnsWithDisabledClass.length) {
-            reporter('Using the `.disabled` class on a `<button>` or `<input>` only changes the appearance of the element. It doesn\'t prevent the user from interacting with the element (for example, clicking on it or focusing it). If you want to truly disable the element, use the `disabled` attribute instead.', btnsWithDisabledClass);
-        }
-    });
-    addLinter('W017', function lintInputsMissingTypeAttr($, reporter) {
-        var inputsMissingTypeAttr = $('input:not([type])');
-        if (inputsMissingTypeAttr.length) {
-            reporter('Found one or more `<input>`s missing a `type` attribute.', inputsMissingTypeAttr);
-        }
-    });
+    }, BOOTSTRAP_3_AND_4);
+    addElementLinter('W016', [{
+        on: ['.disabled'],
+        select: 'button.btn.disabled, input.btn.disabled',
+        message: 'Using the `.disabled` class on a `<button>` or `<input>` only changes the appearance of the element. It doesn\'t prevent the user from interacting with the element (for example, clicking on it or focusing it). If you want to truly disable the element, use the `disabled` attribute instead.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W017', [{
+        on: ['input'],
+        select: 'input:not([type])',
+        message: 'Found one or more `<input>`s missing a `type` attribute.',
+        fix: function (input) {
+            // "text" is what browsers assume for <input>s without a type
+            return setAttributeFix(input, 'type', 'text');
+        }
+    }], BOOTSTRAP_3_AND_4);
 
     addLinter('E001', (function () {
         var MISSING_DOCTYPE = 'Document is missing a DOCTYPE declaration';
         var NON_HTML5_DOCTYPE = 'Document declares a non-HTML5 DOCTYPE';
         if (IN_NODE_JS) {
-            return function lintDoctype($, reporter) {
-                var doctype = $(':root')[0];
+            return function lintDoctype($, reporter, index) {
+                var doctype = index.elements[0];
                 while (doctype && !isDoctype(doctype)) {
                     doctype = doctype.prev;
                 }
@@ -619,128 +1518,120 @@ var LocationIndex = _location.LocationIndex;
                 reporter(NON_HTML5_DOCTYPE);
             }
         };
-    })());
-    addLinter('E002', function lintBootstrapv2($, reporter) {
-        var columnClasses = [];
-        for (var n = 1; n <= 12; n++) {
-            columnClasses.push('.span' + n);
-        }
-        var selector = columnClasses.join(',');
-        var spanNs = $(selector);
-        if (spanNs.length) {
-            reporter('Found one or more uses of outdated Bootstrap v2 `.spanN` grid classes', spanNs);
-        }
-    });
-    addLinter('E003', function lintContainers($, reporter) {
-        var notAnyColClass = COL_CLASSES.map(function (colClass) {
-            return ':not(' + colClass + ')';
-        }).join('');
-        var selector = '*' + notAnyColClass + '>.row';
-        var rowsOutsideColumns = $(selector);
-        var rowsOutsideColumnsAndContainers = rowsOutsideColumns.filter(function () {
-            var parent = $(this).parent();
-            while (parent.length) {
-                if (parent.is('.container, .container-fluid, .modal-body')) {
-                    return false;
-                }
-                parent = $(parent).parent();
+    })(), DOCUMENT_LEVEL);
+    addElementLinter('E002', [{
+        on: (function () {
+            var columnClasses = [];
+            for (var n = 1; n <= 12; n++) {
+                columnClasses.push('.span' + n);
             }
-            return true;
-        });
-        if (rowsOutsideColumnsAndContainers.length) {
-            reporter('Found one or more `.row`s that were not children of a grid column or descendants of a `.container` or `.container-fluid` or `.modal-body`', rowsOutsideColumnsAndContainers);
-        }
-    });
-    addLinter('E004', function lintNestedContainers($, reporter) {
-        var nestedContainers = $('.container, .container-fluid').children('.container, .container-fluid');
-        if (nestedContainers.length) {
-            reporter('Containers (`.container` and `.container-fluid`) are not nestable', nestedContainers);
-        }
-    });
-    addLinter('E005', function lintRowAndColOnSameElem($, reporter) {
-        var selector = COL_CLASSES.map(function (col) {
-            return '.row' + col;
-        }).join(',');
-
-        var rowCols = $(selector);
-        if (rowCols.length) {
-            reporter('Found both `.row` and `.col-*-*` used on the same element', rowCols);
-        }
-    });
-    addLinter('E006', function lintInputGroupFormControlTypes($, reporter) {
-        var selectInputGroups = $('.input-group select');
-        if (selectInputGroups.length) {
-            reporter('`.input-group` contains a `<select>`; this should be avoided as `<select>`s cannot be fully styled in WebKit browsers', selectInputGroups);
-        }
-        var textareaInputGroups = $('.input-group textarea');
-        if (textareaInputGroups.length) {
-            reporter('`.input-group` contains a `<textarea>`; only text-based `<input>`s are permitted in an `.input-group`', textareaInputGroups);
-        }
-    });
-    addLinter('E007', function lintBootstrapJs($, reporter) {
-        var scripts = bootstrapScriptsIn($);
+            return columnClasses;
+        })(),
+        message: 'Found one or more uses of outdated Bootstrap v2 `.spanN` grid classes'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E003', function (grid) {
+        return [{
+            on: ['.row'],
+            test: function (row) {
+                var parent = parentElementOf(row);
+                return parent !== null && !hasClassIn(parent, grid.colClassSet) && !hasAncestor(row, function (ancestor) {
+                    return hasClassIn(ancestor, grid.containerClassSet);
+                });
+            },
+            message: 'Found one or more `.row`s that were not children of a grid column or descendants of a ' + grid.containerClasses.map(function (container) {
+                return '`' + container + '`';
+            }).join(' or ')
+        }];
+    });
+    addElementLinter('E004', [{
+        on: ['.container', '.container-fluid'],
+        select: function (containers) {
+            return containers.children('.container, .container-fluid');
+        },
+        message: 'Containers (`.container` and `.container-fluid`) are not nestable'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E005', function (grid) {
+        return [{
+            on: ['.row'],
+            test: function (row) {
+                return hasClassIn(row, grid.colClassSet);
+            },
+            message: 'Found both `.row` and `.col-*-*` used on the same element'
+        }];
+    });
+    addElementLinter('E006', [
+        {
+            on: ['select'],
+            select: '.input-group select',
+            message: '`.input-group` contains a `<select>`; this should be avoided as `<select>`s cannot be fully styled in WebKit browsers'
+        },
+        {
+            on: ['textarea'],
+            select: '.input-group textarea',
+            message: '`.input-group` contains a `<textarea>`; only text-based `<input>`s are permitted in an `.input-group`'
+        }
+    ], BOOTSTRAP_3_AND_4);
+    addLinter('E007', function lintBootstrapJs($, reporter, index) {
+        var scripts = bootstrapScriptsIn($, index);
         if (scripts.longhands.length && scripts.minifieds.length) {
             reporter('Only one copy of Bootstrap\'s JS should be included; currently the webpage includes both bootstrap.js and bootstrap.min.js', scripts.longhands.add(scripts.minifieds));
         }
-    });
-    addLinter('E009', function lintMissingInputGroupSizes($, reporter) {
-        var selector = [
+    }, DOCUMENT_LEVEL);
+    addElementLinter('E009', [{
+        on: ['.btn-lg', '.input-lg', '.btn-sm', '.input-sm'],
+        select: [
             '.input-group:not(.input-group-lg) .btn-lg',
             '.input-group:not(.input-group-lg) .input-lg',
             '.input-group:not(.input-group-sm) .btn-sm',
             '.input-group:not(.input-group-sm) .input-sm'
-        ].join(',');
-        var badInputGroupSizing = $(selector);
-        if (badInputGroupSizing.length) {
-            reporter('Button and input sizing within `.input-group`s can cause issues. Instead, use input group sizing classes `.input-group-lg` or `.input-group-sm`', badInputGroupSizing);
-        }
-    });
-    addLinter('E010', function lintMultipleFormControlsInInputGroup($, reporter) {
-        var badInputGroups = $('.input-group').filter(function (i, inputGroup) {
-            return $(inputGroup).find('.form-control').length > 1;
-        });
-        if (badInputGroups.length) {
-            reporter('Input groups cannot contain multiple `.form-control`s', badInputGroups);
-        }
-    });
-    addLinter('E011', function lintFormGroupMixedWithInputGroup($, reporter) {
-        var badMixes = $('.input-group.form-group');
-        if (badMixes.length) {
-            reporter('`.input-group` and `.form-group` cannot be used directly on the same element. Instead, nest the `.input-group` within the `.form-group`', badMixes);
-        }
-    });
-    addLinter('E012', function lintGridClassMixedWithInputGroup($, reporter) {
-        var selector = COL_CLASSES.map(function (colClass) {
-            return '.input-group' + colClass;
-        }).join(',');
-
-        var badMixes = $(selector);
-        if (badMixes.length) {
-            reporter('`.input-group` and `.col-*-*` cannot be used directly on the same element. Instead, nest the `.input-group` within the `.col-*-*`', badMixes);
-        }
-    });
-    addLinter('E013', function lintRowChildrenAreCols($, reporter) {
-        var ALLOWED_CHILDREN = COL_CLASSES.concat(['script', '.clearfix', '.bs-customizer-input']);
-        var selector = '.row>*' + ALLOWED_CHILDREN.map(function (colClass) {
-            return ':not(' + colClass + ')';
-        }).join('');
-
-        var nonColRowChildren = $(selector);
-        if (nonColRowChildren.length) {
-            reporter('Only columns (`.col-*-*`) may be children of `.row`s', nonColRowChildren);
-        }
-    });
-    addLinter('E014', function lintColParentsAreRowsOrFormGroups($, reporter) {
-        var selector = COL_CLASSES.map(function (colClass) {
-            return '*:not(.row):not(.form-group)>' + colClass + ':not(col):not(th):not(td)';
-        }).join(',');
-
-        var colsOutsideRowsAndFormGroups = $(selector);
-        if (colsOutsideRowsAndFormGroups.length) {
-            reporter('Columns (`.col-*-*`) can only be children of `.row`s or `.form-group`s', colsOutsideRowsAndFormGroups);
-        }
-    });
-    addLinter('E015', function lintInputGroupsWithMultipleAddOnsPerSide($, reporter) {
+        ].join(','),
+        message: 'Button and input sizing within `.input-group`s can cause issues. Instead, use input group sizing classes `.input-group-lg` or `.input-group-sm`'
+    }]);
+    addElementLinter('E010', [{
+        on: ['.input-group'],
+        select: function (inputGroups, $) {
+            return inputGroups.filter(function (i, inputGroup) {
+                return $(inputGroup).find('.form-control').length > 1;
+            });
+        },
+        message: 'Input groups cannot contain multiple `.form-control`s'
+    }]);
+    addElementLinter('E011', [{
+        on: ['.input-group'],
+        select: '.form-group',
+        message: '`.input-group` and `.form-group` cannot be used directly on the same element. Instead, nest the `.input-group` within the `.form-group`'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E012', function (grid) {
+        return [{
+            on: ['.input-group'],
+            test: function (inputGroup) {
+                return hasClassIn(inputGroup, grid.colClassSet);
+            },
+            message: '`.input-group` and `.col-*-*` cannot be used directly on the same element. Instead, nest the `.input-group` within the `.col-*-*`'
+        }];
+    });
+    addElementLinter('E013', function (grid) {
+        var ALLOWED_CHILD_CLASS_SET = classSetOf(grid.colClasses.concat(['.clearfix', '.bs-customizer-input']));
+        return [{
+            on: ['*'],
+            test: function (child) {
+                var parent = parentElementOf(child);
+                return parent !== null && hasClass(parent, 'row') && tagNameOf(child) !== 'SCRIPT' && !hasClassIn(child, ALLOWED_CHILD_CLASS_SET);
+            },
+            message: 'Only columns (`.col-*-*`) may be children of `.row`s'
+        }];
+    });
+    addElementLinter('E014', function (grid) {
+        return [{
+            on: grid.colClasses,
+            test: function (column) {
+                var parent = parentElementOf(column);
+                return parent !== null && !hasClass(parent, 'row') && !hasClass(parent, 'form-group') && !isTableColumnTag(column);
+            },
+            message: 'Columns (`.col-*-*`) can only be children of `.row`s or `.form-group`s'
+        }];
+    });
+    addElementLinter('E015', (function () {
         var addOnClasses = ['.input-group-addon', '.input-group-btn'];
         var combos = [];
         addOnClasses.forEach(function (first) {
@@ -748,418 +1639,1421 @@ var LocationIndex = _location.LocationIndex;
                 combos.push('.input-group>' + first + '+' + second);
             });
         });
-        var selector = combos.join(',');
-        var multipleAddOns = $(selector);
-        if (multipleAddOns.length) {
-            reporter('Having multiple add-ons on a single side of an input group is not supported', multipleAddOns);
-        }
-    });
-    addLinter('E016', function lintBtnToggle($, reporter) {
-        var badBtnToggle = $('.btn.dropdown-toggle ~ .btn');
-        if (badBtnToggle.length) {
-            reporter('`.btn.dropdown-toggle` must be the last button in a button group.', badBtnToggle);
-        }
-    });
-    addLinter('E017', function lintBlockCheckboxes($, reporter) {
-        var badCheckboxes = $('.checkbox').filter(function (i, div) {
-            return $(div).filter(':has(>label>input[type="checkbox"])').length <= 0;
-        });
-        if (badCheckboxes.length) {
-            reporter('Incorrect markup used with the `.checkbox` class. The correct markup structure is `.checkbox>label>input[type="checkbox"]`', badCheckboxes);
-        }
-    });
-    addLinter('E018', function lintBlockRadios($, reporter) {
-        var badRadios = $('.radio').filter(function (i, div) {
-            return $(div).filter(':has(>label>input[type="radio"])').length <= 0;
-        });
-        if (badRadios.length) {
-            reporter('Incorrect markup used with the `.radio` class. The correct markup structure is `.radio>label>input[type="radio"]`', badRadios);
-        }
-    });
-    addLinter('E019', function lintInlineCheckboxes($, reporter) {
-        var wrongElems = $('.checkbox-inline:not(label)');
-        if (wrongElems.length) {
-            reporter('`.checkbox-inline` should only be used on `<label>` elements', wrongElems);
-        }
-        var badStructures = $('.checkbox-inline').filter(function (i, label) {
-            return $(label).children('input[type="checkbox"]').length <= 0;
-        });
-        if (badStructures.length) {
-            reporter('Incorrect markup used with the `.checkbox-inline` class. The correct markup structure is `label.checkbox-inline>input[type="checkbox"]`', badStructures);
-        }
-    });
-    addLinter('E020', function lintInlineRadios($, reporter) {
-        var wrongElems = $('.radio-inline:not(label)');
-        if (wrongElems.length) {
-            reporter('`.radio-inline` should only be used on `<label>` elements', wrongElems);
-        }
-        var badStructures = $('.radio-inline').filter(function (i, label) {
-            return $(label).children('input[type="radio"]').length <= 0;
-        });
-        if (badStructures.length) {
-            reporter('Incorrect markup used with the `.radio-inline` class. The correct markup structure is `label.radio-inline>input[type="radio"]`', badStructures);
-        }
-    });
-    addLinter('E021', function lintButtonsCheckedActive($, reporter) {
-        var selector = [
+        return [{
+            on: addOnClasses,
+            select: combos.join(','),
+            message: 'Having multiple add-ons on a single side of an input group is not supported'
+        }];
+    })());
+    addElementLinter('E016', [{
+        on: ['.btn'],
+        select: '.btn.dropdown-toggle ~ .btn',
+        message: '`.btn.dropdown-toggle` must be the last button in a button group.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E017', [{
+        on: ['.checkbox'],
+        select: function (checkboxes, $) {
+            return checkboxes.filter(function (i, div) {
+                return $(div).filter(':has(>label>input[type="checkbox"])').length <= 0;
+            });
+        },
+        message: 'Incorrect markup used with the `.checkbox` class. The correct markup structure is `.checkbox>label>input[type="checkbox"]`'
+    }]);
+    addElementLinter('E018', [{
+        on: ['.radio'],
+        select: function (radios, $) {
+            return radios.filter(function (i, div) {
+                return $(div).filter(':has(>label>input[type="radio"])').length <= 0;
+            });
+        },
+        message: 'Incorrect markup used with the `.radio` class. The correct markup structure is `.radio>label>input[type="radio"]`'
+    }]);
+    addElementLinter('E019', [
+        {
+            on: ['.checkbox-inline'],
+            select: ':not(label)',
+            message: '`.checkbox-inline` should only be used on `<label>` elements'
+        },
+        {
+            on: ['.checkbox-inline'],
+            select: function (labels, $) {
+                return labels.filter(function (i, label) {
+                    return $(label).children('input[type="checkbox"]').length <= 0;
+                });
+            },
+            message: 'Incorrect markup used with the `.checkbox-inline` class. The correct markup structure is `label.checkbox-inline>input[type="checkbox"]`'
+        }
+    ]);
+    addElementLinter('E020', [
+        {
+            on: ['.radio-inline'],
+            select: ':not(label)',
+            message: '`.radio-inline` should only be used on `<label>` elements'
+        },
+        {
+            on: ['.radio-inline'],
+            select: function (labels, $) {
+                return labels.filter(function (i, label) {
+                    return $(label).children('input[type="radio"]').length <= 0;
+                });
+            },
+            message: 'Incorrect markup used with the `.radio-inline` class. The correct markup structure is `label.radio-inline>input[type="radio"]`'
+        }
+    ]);
+    addElementLinter('E021', [{
+        on: ['input'],
+        select: [
             '[data-toggle="buttons"]>label:not(.active)>input[type="checkbox"][checked]',
             '[data-toggle="buttons"]>label.active>input[type="checkbox"]:not([checked])',
             '[data-toggle="buttons"]>label:not(.active)>input[type="radio"][checked]',
             '[data-toggle="buttons"]>label.active>input[type="radio"]:not([checked])'
-        ].join(',');
-        var mismatchedButtonInputs = $(selector);
-        if (mismatchedButtonInputs.length) {
-            reporter('`.active` class used without the `checked` attribute (or vice-versa) in a button group using the button.js plugin', mismatchedButtonInputs);
-        }
-    });
-    addLinter('E022', function lintModalsWithinOtherComponents($, reporter) {
-        var selector = [
-            '.table .modal',
-            '.navbar .modal'
-        ].join(',');
-        var badNestings = $(selector);
-        if (badNestings.length) {
-            reporter('Modal markup should not be placed within other components, so as to avoid the component\'s styles interfering with the modal\'s appearance or functionality', badNestings);
-        }
-    });
-    addLinter('E023', function lintPanelBodyWithoutPanel($, reporter) {
-        var badPanelBody = $('.panel-body').parent(':not(.panel, .panel-collapse)');
-        if (badPanelBody.length) {
-            reporter('`.panel-body` must have a `.panel` or `.panel-collapse` parent', badPanelBody);
-        }
-    });
-    addLinter('E024', function lintPanelHeadingWithoutPanel($, reporter) {
-        var badPanelHeading = $('.panel-heading').parent(':not(.panel)');
-        if (badPanelHeading.length) {
-            reporter('`.panel-heading` must have a `.panel` parent', badPanelHeading);
-        }
-    });
-    addLinter('E025', function lintPanelFooterWithoutPanel($, reporter) {
-        var badPanelFooter = $('.panel-footer').parent(':not(.panel, .panel-collapse)');
-        if (badPanelFooter.length) {
-            reporter('`.panel-footer` must have a `.panel` or `.panel-collapse` parent', badPanelFooter);
-        }
-    });
-    addLinter('E026', function lintPanelTitleWithoutPanelHeading($, reporter) {
-        var badPanelTitle = $('.panel-title').parent(':not(.panel-heading)');
-        if (badPanelTitle.length) {
-            reporter('`.panel-title` must have a `.panel-heading` parent', badPanelTitle);
-        }
-    });
-    addLinter('E027', function lintTableResponsive($, reporter) {
-        var badStructure = $('.table.table-responsive, table.table-responsive');
-        if (badStructure.length) {
-            reporter('`.table-responsive` is supposed to be used on the table\'s parent wrapper `<div>`, not on the table itself', badStructure);
-        }
-    });
-    addLinter('E028', function lintFormControlFeedbackWithoutHasFeedback($, reporter) {
-        var ancestorsMissingClasses = $('.form-control-feedback').filter(function () {
-            return $(this).closest('.form-group.has-feedback').length !== 1;
-        });
-        if (ancestorsMissingClasses.length) {
-            reporter('`.form-control-feedback` must have a `.form-group.has-feedback` ancestor', ancestorsMissingClasses);
-        }
-    });
-    addLinter('E029', function lintRedundantColumnClasses($, reporter) {
-        var columns = $(COL_CLASSES.join(','));
-        columns.each(function (_index, col) {
-            var column = $(col);
-            var classes = column.attr('class');
-            var simplifiedClasses = classes;
-            var width2screens = width2screensFor(classes);
-            var isRedundant = false;
-            for (var width = 1; width <= NUM_COLS; width++) {
-                var screens = width2screens[width];
-                if (!screens) {
-                    continue;
-                }
-                var runs = incrementingRunsFrom(screens);
-                if (!runs.length) {
-                    continue;
-                }
+        ].join(','),
+        message: '`.active` class used without the `checked` attribute (or vice-versa) in a button group using the button.js plugin'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E022', [{
+        on: ['.modal'],
+        select: '.table .modal, .navbar .modal',
+        message: 'Modal markup should not be placed within other components, so as to avoid the component\'s styles interfering with the modal\'s appearance or functionality'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E023', [{
+        on: ['.panel-body'],
+        select: function (panelBodies) {
+            return panelBodies.parent(':not(.panel, .panel-collapse)');
+        },
+        message: '`.panel-body` must have a `.panel` or `.panel-collapse` parent'
+    }]);
+    addElementLinter('E024', [{
+        on: ['.panel-heading'],
+        select: function (panelHeadings) {
+            return panelHeadings.parent(':not(.panel)');
+        },
+        message: '`.panel-heading` must have a `.panel` parent'
+    }]);
+    addElementLinter('E025', [{
+        on: ['.panel-footer'],
+        select: function (panelFooters) {
+            return panelFooters.parent(':not(.panel, .panel-collapse)');
+        },
+        message: '`.panel-footer` must have a `.panel` or `.panel-collapse` parent'
+    }]);
+    addElementLinter('E026', [{
+        on: ['.panel-title'],
+        select: function (panelTitles) {
+            return panelTitles.parent(':not(.panel-heading)');
+        },
+        message: '`.panel-title` must have a `.panel-heading` parent'
+    }]);
+    addElementLinter('E027', [{
+        on: ['.table-responsive'],
+        select: '.table.table-responsive, table.table-responsive',
+        message: '`.table-responsive` is supposed to be used on the table\'s parent wrapper `<div>`, not on the table itself'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E028', [{
+        on: ['.form-control-feedback'],
+        select: function (feedbacks, $) {
+            return feedbacks.filter(function () {
+                return $(this).closest('.form-group.has-feedback').length !== 1;
+            });
+        },
+        message: '`.form-control-feedback` must have a `.form-group.has-feedback` ancestor'
+    }]);
+    addLinter('E029', {
+        create: function lintRedundantColumnClasses($, reporter, index, grid) {
+            var columns = [];
+            return handlersFor(grid.colClasses, function (col) {
+                columns.push(col);
+            }, function () {
+                columns.forEach(function (col) {
+                    var column = $(col);
+                    var classes = column.attr('class');
+                    var simplifiedClasses = classes;
+                    var width2screens = width2screensFor(classes, grid);
+                    var isRedundant = false;
+                    for (var width = 1; width <= grid.numCols; width++) {
+                        var screens = width2screens[width];
+                        if (!screens) {
+                            continue;
+                        }
+                        var runs = incrementingRunsFrom(screens);
+                        if (!runs.length) {
+                            continue;
+                        }
 
-                isRedundant = true;
+                        isRedundant = true;
 
-                for (var i = 0; i < runs.length; i++) {
-                    var run = runs[i];
-                    var min = run[0];
-                    var max = run[1];
+                        for (var i = 0; i < runs.length; i++) {
+                            var run = runs[i];
+                            var min = run[0];
+                            var max = run[1];
 
-                    // remove redundant classes
-                    for (var screenNum = min + 1; screenNum <= max; screenNum++) {
-                        var colClass = 'col-' + NUM2SCREEN[screenNum] + '-' + width;
-                        simplifiedClasses = withoutClass(simplifiedClasses, colClass);
+                            // remove redundant classes
+                            for (var screenNum = min + 1; screenNum <= max; screenNum++) {
+                                var colClass = 'col-' + grid.screens[screenNum] + '-' + width;
+                                simplifiedClasses = withoutClass(simplifiedClasses, colClass);
+                            }
+                        }
+                    }
+                    if (!isRedundant) {
+                        return;
                     }
-                }
-            }
-            if (!isRedundant) {
-                return;
-            }
 
-            simplifiedClasses = sortedColumnClasses(simplifiedClasses);
-            simplifiedClasses = simplifiedClasses.replace(/ {2,}/g, ' ').trim();
-            var oldClass = '`class="' + classes + '"`';
-            var newClass = '`class="' + simplifiedClasses + '"`';
-            reporter(
-                'Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), ' +
-                oldClass + ' is redundant and can be simplified to ' + newClass,
-                column
-            );
-        });
-    });
-    addLinter('E030', function lintSoloGlyphiconClasses($, reporter) {
-        var missingGlyphiconClass = $('[class*="glyphicon-"]:not(.glyphicon):not(.glyphicon-class)').filter(function () {
-            return /\bglyphicon-([a-zA-Z]+)\b/.test($(this).attr('class'));
-        });
-        if (missingGlyphiconClass.length) {
-            reporter('Found elements with a `.glyphicon-*` class that were missing the additional required `.glyphicon` class.', missingGlyphiconClass);
+                    simplifiedClasses = sortedColumnClasses(simplifiedClasses, grid);
+                    simplifiedClasses = simplifiedClasses.replace(/ {2,}/g, ' ').trim();
+                    var oldClass = '`class="' + classes + '"`';
+                    var newClass = '`class="' + simplifiedClasses + '"`';
+                    reporter(
+                        'Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), ' +
+                        oldClass + ' is redundant and can be simplified to ' + newClass,
+                        column,
+                        [setAttributeFix(col, 'class', simplifiedClasses)]
+                    );
+                });
+            });
         }
     });
-    addLinter('E031', function lintGlyphiconOnNonEmptyElement($, reporter) {
-        var glyphiconNotEmpty = $('.glyphicon:not(:empty)');
-        if (glyphiconNotEmpty.length) {
-            reporter('Glyphicon classes must only be used on elements that contain no text content and have no child elements.', glyphiconNotEmpty);
+    addLinter('W039', {
+        create: function lintGridArithmetic($, reporter, index, grid) {
+            var rows = [];
+            return handlersFor(['.row'], function (row) {
+                rows.push(row);
+            }, function () {
+                rows.forEach(function (row) {
+                    var children = childElementsOf(row);
+                    var layouts = children.map(function (child) {
+                        return columnLayoutsOf(child, grid);
+                    });
+                    var wrappingScreens = [];
+                    // the classes that make columns overflow the row, with the columns and screen sizes concerned
+                    var overflows = [];
+                    var noteOverflow = function (column, klass, screen) {
+                        var matches = overflows.filter(function (overflow) {
+                            return overflow.column === column && overflow.klass === klass;
+                        });
+                        if (matches.length) {
+                            matches[0].screens.push(screen);
+                        } else {
+                            overflows.push({
+                                column: column,
+                                klass: klass,
+                                screens: [screen]
+                            });
+                        }
+                    };
+
+                    grid.screens.forEach(function (screen, screenNum) {
+                        // the position where the next column starts, and the number of columns in the current line
+                        var position = 0;
+                        var columnsInLine = 0;
+                        children.forEach(function (child, i) {
+                            if (!isVisibleAt(child, screen, grid)) {
+                                return;
+                            }
+                            if (hasClass(child, 'clearfix')) {
+                                position = 0;
+                                columnsInLine = 0;
+                                return;
+                            }
+                            var layout = layouts[i][screenNum];
+                            if (!layout.width) {
+                                return;
+                            }
+                            var width = layout.width.value;
+                            var offset = gridValueOf(layout.offset);
+                            var push = gridValueOf(layout.push);
+                            var pull = gridValueOf(layout.pull);
+                            if (position + offset + width > grid.numCols) {
+                                // The column wraps onto a new line, where it can snag on the taller columns of the line before.
+                                // Full-width columns and lines with a single column can't snag.
+                                if (columnsInLine > 1 && offset + width < grid.numCols && wrappingScreens.indexOf(screen) === -1) {
+                                    wrappingScreens.push(screen);
+                                }
+                                position = 0;
+                                columnsInLine = 0;
+                            }
+                            var start = position + offset;
+                            position = start + width;
+                            columnsInLine++;
+
+                            if (offset && offset + width > grid.numCols) {
+                                noteOverflow(child, layout.offset.klass, screen);
+                            }
+                            if (push && start + push + width > grid.numCols) {
+                                noteOverflow(child, layout.push.klass, screen);
+                            }
+                            if (pull && start - pull < 0) {
+                                noteOverflow(child, layout.pull.klass, screen);
+                            }
+                        });
+                    });
+
+                    if (wrappingScreens.length) {
+                        reporter('The grid columns of this `.row` add up to more than ' + grid.numCols + ' at the ' + breakpointsText(wrappingScreens) +
+                            ', so they wrap onto new lines, where they can snag on taller columns. ' +
+                            'Add a responsive column reset (e.g. `<div class="clearfix visible-' + wrappingScreens[0] + '-block"></div>`) where each line ends.', $(row));
+                    }
+                    overflows.forEach(function (overflow) {
+                        reporter('`.' + overflow.klass + '` makes this column overflow its `.row` at the ' + breakpointsText(overflow.screens) + '.', $(overflow.column));
+                    });
+                });
+            });
         }
     });
-    addLinter('E032', function lintModalStructure($, reporter) {
-        var elements;
+    addElementLinter('E030', [{
+        on: ['[class]'],
+        test: function (element) {
+            return /\bglyphicon-([a-zA-Z]+)\b/.test(attributeOf(element, 'class')) && !hasClass(element, 'glyphicon') && !hasClass(element, 'glyphicon-class');
+        },
+        message: 'Found elements with a `.glyphicon-*` class that were missing the additional required `.glyphicon` class.'
+    }]);
+    addElementLinter('E031', [{
+        on: ['.glyphicon'],
+        select: ':not(:empty)',
+        message: 'Glyphicon classes must only be used on elements that contain no text content and have no child elements.'
+    }]);
+    addElementLinter('E032', [
+        ['.modal-dialog', '.modal', '`.modal-dialog` must be a child of `.modal`'],
+        ['.modal-content', '.modal-dialog', '`.modal-content` must be a child of `.modal-dialog`'],
+        ['.modal-header', '.modal-content', '`.modal-header` must be a child of `.modal-content`'],
+        ['.modal-body', '.modal-content', '`.modal-body` must be a child of `.modal-content`'],
+        ['.modal-footer', '.modal-content', '`.modal-footer` must be a child of `.modal-content`'],
+        ['.modal-title', '.modal-header', '`.modal-title` must be a child of `.modal-header`']
+    ].map(function (structure) {
+        return {
+            on: [structure[0]],
+            select: function (parts) {
+                return parts.parent(':not(' + structure[1] + ')');
+            },
+            message: structure[2]
+        };
+    }), BOOTSTRAP_3_AND_4);
+    addElementLinter('E033', [{
+        on: ['.alert'],
+        select: '.alert:not(.alert-dismissible):has([data-dismiss="alert"])',
+        message: '`.alert` with dismiss button must have class `.alert-dismissible`'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E034', [{
+        on: ['.close'],
+        select: function (closes, $) {
+            var alertCloses = closes.filter('.alert>.close');
+            var nonFirstChildCloses = alertCloses.filter(':not(:first-child)');
+            var closesPrecededByText = alertCloses.filter(function () {
+                var firstNode = $(this).parent().contents().eq(0);
+                var firstNodeIsText = IN_NODE_JS ? firstNode[0].type === 'text' : firstNode[0].nodeType === 3;
+                return Boolean(firstNodeIsText && firstNode.text().trim());
+            });
+            return nonFirstChildCloses.add(closesPrecededByText);
+        },
+        message: '`.close` button for `.alert` must be the first element in the `.alert`'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E035', [{
+        on: ['.form-group'],
+        select: '.form-inline, .form-horizontal',
+        message: 'Neither `.form-inline` nor `.form-horizontal` should be used directly on a `.form-group`. Instead, nest the `.form-group` within the `.form-inline` or `.form-horizontal`'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E037', function (grid) {
+        return [{
+            on: grid.screens.map(function (screen) {
+                return '.col-' + screen + '-0';
+            }),
+            message: 'Column widths must be positive integers (and <= ' + grid.numCols + '). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
+        }];
+    });
+    addElementLinter('E038', [{
+        on: ['.media-left', '.media-right'],
+        select: function (mediaPulls, $) {
+            return mediaPulls.filter(function () {
+                return !$(this).parent().closest('.media').length;
+            });
+        },
+        message: '`.media-left` and `.media-right` should not be used outside of `.media` objects.'
+    }]);
+    addElementLinter('E039', [{
+        on: ['.navbar-left', '.navbar-right'],
+        select: function (navbarPulls, $) {
+            return navbarPulls.filter(function () {
+                return !$(this).parent().closest('.navbar').length;
+            });
+        },
+        message: '`.navbar-left` and `.navbar-right` should not be used outside of navbars.'
+    }]);
+    addElementLinter('E040', [{
+        on: ['.modal'],
+        select: '.hide',
+        message: '`.hide` should not be used on `.modal` in Bootstrap v3.'
+    }]);
+    addElementLinter('E041', [
+        {
+            on: ['.carousel'],
+            select: function (carousels, $) {
+                return carousels.filter(function () {
+                    return $(this).children('.carousel-inner').length !== 1;
+                });
+            },
+            message: '`.carousel` must have exactly one `.carousel-inner` child.'
+        },
+        {
+            on: ['.carousel-inner'],
+            select: function (inners, $) {
+                return inners.filter(function () {
+                    return $(this).children('.item.active').length !== 1;
+                });
+            },
+            message: '`.carousel-inner` must have exactly one `.item.active` child.'
+        }
+    ]);
+    addElementLinter('E042', [
+        {
+            on: ['.form-control'],
+            select: ':not(input,textarea,select)',
+            message: '`.form-control` should only be used on `<input>`s, `<textarea>`s, and `<select>`s.'
+        },
+        {
+            on: ['.form-control'],
+            select: 'input.form-control:not(' + [
+                'color',
+                'email',
+                'number',
+                'password',
+                'search',
+                'tel',
+                'text',
+                'url',
+                'date',
+                'month',
+                'week',
+                'time'
+            ].map(function (type) {
+                return '[type="' + type + '"]';
+            }).join(',') + ')',
+            message: '`.form-control` cannot be used on non-textual `<input>`s, such as those whose `type` is: `file`, `checkbox`, `radio`, `range`, `button`'
+        }
+    ], BOOTSTRAP_3_AND_4);
+    addElementLinter('E043', [{
+        on: ['.btn', '.navbar-btn'],
+        select: '.navbar-nav a.btn, .navbar-nav a.navbar-btn',
+        message: 'Button classes (`.btn`, `.btn-*`, `.navbar-btn`) cannot be used on `<a>`s within `.navbar-nav`s.'
+    }]);
+    addElementLinter('E044', [{
+        on: ['.input-group'],
+        select: function (inputGroups, $) {
+            return inputGroups.filter(function () {
+                var inputGroup = $(this);
+                return !inputGroup.children('.form-control').length || !inputGroup.children('.input-group-addon, .input-group-btn').length;
+            });
+        },
+        message: '`.input-group` must have a `.form-control` and either an `.input-group-addon` or an `.input-group-btn`.'
+    }]);
+    addElementLinter('E045', [{
+        on: ['.img-responsive'],
+        select: ':not(img)',
+        message: '`.img-responsive` should only be used on `<img>`s'
+    }]);
+    addElementLinter('E046', [{
+        on: ['.modal'],
+        select: ':not([tabindex])',
+        message: '`.modal` elements must have a `tabindex` attribute.',
+        fix: function (modal) {
+            return setAttributeFix(modal, 'tabindex', '-1');
+        }
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E047', [{
+        on: ['.btn'],
+        select: ':not(a,button,input,label)',
+        message: '`.btn` should only be used on `<a>`, `<button>`, `<input>`, or `<label>` elements.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E048', [{
+        on: ['.modal'],
+        select: ':not([role="dialog"])',
+        message: '`.modal` must have a `role="dialog"` attribute.',
+        fix: function (modal) {
+            return setAttributeFix(modal, 'role', 'dialog');
+        }
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E049', [{
+        on: ['.modal-dialog'],
+        select: ':not([role="document"])',
+        message: '`.modal-dialog` must have a `role="document"` attribute.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E050', [{
+        on: ['.form-group'],
+        select: '.form-group > .form-group',
+        message: '`.form-group`s should not be nested.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('E051', function (grid) {
+        return [
+            {
+                on: ['.pull-left', '.pull-right'],
+                test: function (element) {
+                    return hasClassIn(element, grid.colClassSet);
+                },
+                message: '`.pull-right` and `.pull-left` must not be used on `.col-*-*` elements'
+            },
+            {
+                on: ['[style]'],
+                test: function (element) {
+                    return hasClassIn(element, grid.colClassSet) && hasFloatStyle(element);
+                },
+                message: 'Manually added `float` styles must not be added on `.col-*-*` elements'
+            }
+        ];
+    });
+    addElementLinter('E052', [
+        {
+            on: ['.row'],
+            select: '.pull-right, .pull-left',
+            message: '`.pull-right` and `.pull-left` must not be used on `.row` elements'
+        },
+        {
+            on: ['.row'],
+            test: hasFloatStyle,
+            message: 'Manually added `float` styles must not be added on `.row` elements'
+        }
+    ]);
+
+    // Bootstrap v4 linters
+    addElementLinter('E053', [{
+        on: V4_COL_CLASSES,
+        test: function (column) {
+            var parent = parentElementOf(column);
+            return parent !== null && !hasClass(parent, 'row') && !hasClass(parent, 'form-row') && !isTableColumnTag(column);
+        },
+        message: 'Columns (`.col`, `.col-*`) can only be children of `.row`s or `.form-row`s'
+    }], BOOTSTRAP_4_ONLY);
+    addElementLinter('E054', (function () {
+        var ALLOWED_CHILD_CLASS_SET = classSetOf(V4_COL_CLASSES.concat(['.w-100', '.bs-customizer-input']));
+        return [{
+            on: ['*'],
+            test: function (child) {
+                var parent = parentElementOf(child);
+                return parent !== null && (hasClass(parent, 'row') || hasClass(parent, 'form-row')) &&
+                    tagNameOf(child) !== 'SCRIPT' && !hasClassIn(child, ALLOWED_CHILD_CLASS_SET);
+            },
+            message: 'Only columns (`.col`, `.col-*`) may be children of `.row`s and `.form-row`s'
+        }];
+    })(), BOOTSTRAP_4_ONLY);
+    addElementLinter('E055', [{
+        on: ['.row', '.form-row'],
+        test: function (row) {
+            return hasClassIn(row, V4_COL_CLASS_SET);
+        },
+        message: 'Found both `.row` (or `.form-row`) and `.col`/`.col-*` used on the same element'
+    }], BOOTSTRAP_4_ONLY);
+    addLinter('E056', {
+        create: function lintV4RedundantColumnClasses($, reporter) {
+            var columns = [];
+            return handlersFor(V4_COL_CLASSES, function (col) {
+                columns.push(col);
+            }, function () {
+                columns.forEach(function (col) {
+                    var column = $(col);
+                    var classes = column.attr('class').trim().split(/\s+/g);
+                    // maps each width ("1" thru "12", "auto", or "" for equal-width columns) to the breakpoint numbers using it
+                    var width2breakpoints = {};
+                    classes.forEach(function (klass) {
+                        var match = V4_COL_REGEX.exec(klass);
+                        if (!match) {
+                            return;
+                        }
+                        var width = match[2] || '';
+                        var breakpoints = width2breakpoints[width] || (width2breakpoints[width] = []);
+                        breakpoints.push(V4_BREAKPOINTS.indexOf(match[1] || ''));
+                    });
 
-        elements = $('.modal-dialog').parent(':not(.modal)');
-        if (elements.length) {
-            reporter('`.modal-dialog` must be a child of `.modal`', elements);
-        }
+                    var redundantClasses = [];
+                    Object.keys(width2breakpoints).forEach(function (width) {
+                        var runs = incrementingRunsFrom(width2breakpoints[width].sort(compareNums));
+                        runs.forEach(function (run) {
+                            for (var breakpointNum = run[0] + 1; breakpointNum <= run[1]; breakpointNum++) {
+                                redundantClasses.push(['col', V4_BREAKPOINTS[breakpointNum], width].filter(Boolean).join('-'));
+                            }
+                        });
+                    });
+                    if (!redundantClasses.length) {
+                        return;
+                    }
 
-        elements = $('.modal-content').parent(':not(.modal-dialog)');
-        if (elements.length) {
-            reporter('`.modal-content` must be a child of `.modal-dialog`', elements);
+                    var simplifiedClasses = classes.filter(function (klass) {
+                        return redundantClasses.indexOf(klass) === -1;
+                    }).join(' ');
+                    reporter(
+                        'Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), ' +
+                        '`class="' + column.attr('class') + '"` is redundant and can be simplified to `class="' + simplifiedClasses + '"`',
+                        column,
+                        [setAttributeFix(col, 'class', simplifiedClasses)]
+                    );
+                });
+            });
         }
+    }, BOOTSTRAP_4_ONLY);
+    addElementLinter('E057', [{
+        on: ['.card-header', '.card-body', '.card-footer', '.card-img-top', '.card-img-bottom', '.card-img-overlay'],
+        select: function (cardParts, $) {
+            return cardParts.filter(function () {
+                return !$(this).parent().closest('.card').length;
+            });
+        },
+        message: '`.card-header`, `.card-body`, `.card-footer`, `.card-img-top`, `.card-img-bottom`, and `.card-img-overlay` should not be used outside of `.card`s.'
+    }], BOOTSTRAP_4_ONLY);
+    addElementLinter('E058', (function () {
+        var CARD_LAYOUT_CLASS_SET = classSetOf(['.card-group', '.card-deck', '.card-columns']);
+        return [{
+            on: ['*'],
+            test: function (child) {
+                var parent = parentElementOf(child);
+                return parent !== null && hasClassIn(parent, CARD_LAYOUT_CLASS_SET) && !hasClass(child, 'card');
+            },
+            message: 'Only `.card`s may be children of `.card-group`s, `.card-deck`s, and `.card-columns`.'
+        }];
+    })(), BOOTSTRAP_4_ONLY);
+    addElementLinter('E059', [
+        {
+            on: ['.custom-control'],
+            select: ':not(.custom-checkbox):not(.custom-radio):not(.custom-switch)',
+            message: '`.custom-control` must be used together with `.custom-checkbox`, `.custom-radio`, or `.custom-switch`.'
+        },
+        {
+            on: ['.custom-control'],
+            select: function (customControls, $) {
+                return customControls.filter(function (i, div) {
+                    return !$(div).children('input.custom-control-input').first().next('label.custom-control-label').length;
+                });
+            },
+            message: 'Incorrect markup used with the `.custom-control` class. The correct markup structure is `.custom-control>input.custom-control-input+label.custom-control-label`'
+        }
+    ], BOOTSTRAP_4_ONLY);
+    addElementLinter('E060', [{
+        on: V4_BREAKPOINTS.map(function (breakpoint) {
+            return '.navbar-expand' + (breakpoint ? '-' + breakpoint : '');
+        }),
+        test: function (element) {
+            return !hasClass(element, 'navbar');
+        },
+        message: '`.navbar-expand` and `.navbar-expand-*` should only be used on `.navbar`s.'
+    }], BOOTSTRAP_4_ONLY);
+    addElementLinter('W019', [{
+        on: ['.navbar'],
+        select: function (navbars, $) {
+            return navbars.filter(function () {
+                var navbar = $(this);
+                return navbar.find('.navbar-collapse').length && !/(^|\s)navbar-expand(-(sm|md|lg|xl))?(\s|$)/.test(navbar.attr('class'));
+            });
+        },
+        message: '`.navbar`s with a `.navbar-collapse` should have a `.navbar-expand` or `.navbar-expand-*` class; otherwise they are collapsed on all screen sizes.'
+    }], BOOTSTRAP_4_ONLY);
 
-        elements = $('.modal-header').parent(':not(.modal-content)');
-        if (elements.length) {
-            reporter('`.modal-header` must be a child of `.modal-content`', elements);
-        }
+    // Data-API target linters
+    function hasToggle(element, toggles) {
+        return toggles.indexOf(attributeOf(element, 'data-toggle')) !== -1;
+    }
 
-        elements = $('.modal-body').parent(':not(.modal-content)');
-        if (elements.length) {
-            reporter('`.modal-body` must be a child of `.modal-content`', elements);
-        }
+    /**
+     * Checks for modal triggers whose `data-target` or `href` doesn't reference a `.modal`, shared by E061 (Bootstrap 4) and W040 (Bootstrap 3).
+     * @param {string} message Message of the problem
+     * @returns {Object[]} The checks
+     */
+    function modalTargetChecks(message) {
+        return [{
+            on: ['[data-toggle]'],
+            test: function (element) {
+                return hasToggle(element, ['modal']);
+            },
+            select: function (triggers, $) {
+                return triggers.filter(function (i, trigger) {
+                    return !targetsOf($, dataApiTargetOf(trigger)).filter('.modal').length;
+                });
+            },
+            message: message
+        }];
+    }
 
-        elements = $('.modal-footer').parent(':not(.modal-content)');
-        if (elements.length) {
-            reporter('`.modal-footer` must be a child of `.modal-content`', elements);
-        }
+    addElementLinter('E061', modalTargetChecks('Elements with `data-toggle="modal"` must use `data-target` or `href` to reference an element with class `.modal`.'), BOOTSTRAP_4_ONLY);
+    addElementLinter('W040', modalTargetChecks('Elements with `data-toggle="modal"` should use `data-target` or `href` to reference an element with class `.modal`.'));
+    addElementLinter('W033', [{
+        on: ['[data-toggle]'],
+        test: function (element) {
+            return hasToggle(element, ['collapse']);
+        },
+        select: function (triggers, $) {
+            return triggers.filter(function (i, trigger) {
+                var targets = targetsOf($, dataApiTargetOf(trigger));
+                return !targets.length || targets.is(':not(.collapse)');
+            });
+        },
+        message: 'Elements with `data-toggle="collapse"` must use `data-target` or `href` to reference elements with class `.collapse`.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W034', [{
+        on: ['[data-toggle]'],
+        test: function (element) {
+            return hasToggle(element, ['tab', 'pill']);
+        },
+        select: function (triggers, $) {
+            return triggers.filter(function (i, trigger) {
+                var targets = targetsOf($, dataApiTargetOf(trigger));
+                return !targets.length || targets.filter('.tab-content > .tab-pane').length !== targets.length;
+            });
+        },
+        message: 'Elements with `data-toggle="tab"` or `data-toggle="pill"` must use `data-target` or `href` to reference a `.tab-pane` that is a child of a `.tab-content`.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W035', [{
+        on: ['[data-spy]'],
+        test: function (element) {
+            return attributeOf(element, 'data-spy') === 'scroll';
+        },
+        select: function (spies, $) {
+            return spies.filter(function (i, spy) {
+                return !targetsOf($, attributeOf(spy, 'data-target')).find('.nav, .list-group').addBack('.nav, .list-group').length;
+            });
+        },
+        message: 'Elements with `data-spy="scroll"` must use `data-target` to reference a `.nav` (or, in Bootstrap v4, a `.list-group`), or an element that contains one.'
+    }], BOOTSTRAP_3_AND_4);
+    addElementLinter('W036', [{
+        on: ['[data-parent]'],
+        select: function (elements, $) {
+            return elements.filter(function (i, element) {
+                var panelGroups = targetsOf($, attributeOf(element, 'data-parent')).filter('.panel-group').toArray();
+                return !hasAncestor(element, function (ancestor) {
+                    return panelGroups.indexOf(ancestor) !== -1;
+                });
+            });
+        },
+        message: '`data-parent` must reference a `.panel-group` that contains the element.'
+    }]);
+    addElementLinter('W037', [{
+        on: ['.navbar-toggle', '.navbar-toggler'],
+        select: function (toggles, $) {
+            return toggles.filter(function (i, toggle) {
+                var targets = targetsOf($, dataApiTargetOf(toggle));
+                return !targets.length || targets.is(':not(.navbar-collapse)');
+            });
+        },
+        message: '`.navbar-toggle`s and `.navbar-toggler`s must use `data-target` to reference a `.navbar-collapse`.'
+    }], BOOTSTRAP_3_AND_4);
+    addLinter('W038', function lintAmbiguousDataApiTargets($, reporter, index) {
+        var elementsById = Object.create(null);
+        index.withAttribute('id').forEach(function (element) {
+            addToIndex(elementsById, attributeOf(element, 'id'), element);
+        });
+        var selectors = [];
+        index.withAttribute('data-toggle').forEach(function (trigger) {
+            if (hasToggle(trigger, ['collapse', 'modal', 'tab', 'pill'])) {
+                selectors.push(dataApiTargetOf(trigger));
+            }
+        });
+        index.withAttribute('data-spy').forEach(function (spy) {
+            selectors.push(attributeOf(spy, 'data-target'));
+        });
+        index.withAttribute('data-parent').forEach(function (element) {
+            selectors.push(attributeOf(element, 'data-parent'));
+        });
+        index.withClass('carousel-control').concat(index.withAttribute('data-slide-to')).forEach(function (control) {
+            selectors.push(dataApiTargetOf(control));
+        });
 
-        elements = $('.modal-title').parent(':not(.modal-header)');
-        if (elements.length) {
-            reporter('`.modal-title` must be a child of `.modal-header`', elements);
-        }
-    });
-    addLinter('E033', function lintAlertMissingDismissible($, reporter) {
-        var alertsMissingDismissible = $('.alert:not(.alert-dismissible):has([data-dismiss="alert"])');
-        if (alertsMissingDismissible.length) {
-            reporter('`.alert` with dismiss button must have class `.alert-dismissible`', alertsMissingDismissible);
-        }
-    });
-    addLinter('E034', function lintAlertDismissStructure($, reporter) {
-        var nonFirstChildCloses = $('.alert>.close:not(:first-child)');
-        var closesPrecededByText = $('.alert>.close').filter(function () {
-            var firstNode = $(this).parent().contents().eq(0);
-            var firstNodeIsText = IN_NODE_JS ? firstNode[0].type === 'text' : firstNode[0].nodeType === 3;
-            return Boolean(firstNodeIsText && firstNode.text().trim());
+        var ambiguousIds = [];
+        selectors.forEach(function (selector) {
+            var idRegex = /#([\w-]+)/g;
+            var match;
+            while ((match = idRegex.exec(selector || '')) !== null) {
+                var id = match[1];
+                if (elementsById[id] && elementsById[id].length > 1 && ambiguousIds.indexOf(id) === -1) {
+                    ambiguousIds.push(id);
+                }
+            }
         });
-        var problematicCloses = nonFirstChildCloses.add(closesPrecededByText);
-        if (problematicCloses.length) {
-            reporter('`.close` button for `.alert` must be the first element in the `.alert`', problematicCloses);
-        }
-    });
-    addLinter('E035', function lintFormGroupWithFormClass($, reporter) {
-        var badFormGroups = $('.form-group.form-inline, .form-group.form-horizontal');
-        if (badFormGroups.length) {
-            reporter('Neither `.form-inline` nor `.form-horizontal` should be used directly on a `.form-group`. Instead, nest the `.form-group` within the `.form-inline` or `.form-horizontal`', badFormGroups);
-        }
-    });
-    addLinter('E037', function lintColZeros($, reporter) {
-        var selector = SCREENS.map(function (screen) {
-            return '.col-' + screen + '-0';
-        }).join(',');
-        var elements = $(selector);
-        if (elements.length) {
-            reporter('Column widths must be positive integers (and <= 12 by default). Found usage(s) of invalid nonexistent `.col-*-0` classes.', elements);
-        }
-    });
-    addLinter('E038', function lintMediaPulls($, reporter) {
-        var mediaPullsOutsideMedia = $('.media-left, .media-right').filter(function () {
-            return !$(this).parent().closest('.media').length;
+        ambiguousIds.sort(function (first, second) {
+            return precedes(elementsById[first][0], elementsById[second][0]) ? -1 : 1;
+        }).forEach(function (id) {
+            reporter('More than one element has `id="' + id + '"`, so the `data-target`, `href` or `data-parent` attributes that reference it are ambiguous.', $(elementsById[id]));
         });
-        if (mediaPullsOutsideMedia.length) {
-            reporter('`.media-left` and `.media-right` should not be used outside of `.media` objects.', mediaPullsOutsideMedia);
-        }
-    });
-    addLinter('E039', function lintNavbarPulls($, reporter) {
-        var navbarPullsOutsideNavbars = $('.navbar-left, .navbar-right').filter(function () {
-            return !$(this).parent().closest('.navbar').length;
+    }, BOOTSTRAP_3_AND_4);
+
+    // Accessibility linters
+    function hasAriaLabel(element) {
+        return Boolean((attributeOf(element, 'aria-label') || '').trim() || (attributeOf(element, 'aria-labelledby') || '').trim());
+    }
+
+    addElementLinter('W027', [{
+        on: ['.modal'],
+        select: function (modals, $, index) {
+            var titleIds = index.withClass('modal-title').map(function (title) {
+                return attributeOf(title, 'id');
+            });
+            return modals.filter(function (i, modal) {
+                var labelIds = (attributeOf(modal, 'aria-labelledby') || '').split(/\s+/);
+                return !labelIds.some(function (labelId) {
+                    return labelId && titleIds.indexOf(labelId) !== -1;
+                });
+            });
+        },
+        message: '`.modal` must have an `aria-labelledby` attribute that refers to the `id` of its `.modal-title`.'
+    }], ACCESSIBILITY);
+    addElementLinter('W028', [{
+        on: ['.btn'],
+        test: function (button) {
+            return !hasAriaLabel(button);
+        },
+        select: function (buttons, $) {
+            return buttons.filter(function () {
+                var button = $(this);
+                return button.find('.glyphicon').length && !button.text().trim();
+            });
+        },
+        message: 'Icon-only `.btn`s must have an `aria-label` attribute or text in an `.sr-only` element, so that screen readers can announce them.'
+    }], {
+        bootstrapVersions: [3],
+        pack: 'accessibility'
+    });
+    addElementLinter('W029', [{
+        on: ['.progress-bar'],
+        test: function (progressBar) {
+            return ['aria-valuenow', 'aria-valuemin', 'aria-valuemax'].some(function (attribute) {
+                return attributeOf(progressBar, attribute) === null;
+            });
+        },
+        message: '`.progress-bar` must have `aria-valuenow`, `aria-valuemin` and `aria-valuemax` attributes.'
+    }], ACCESSIBILITY);
+    addElementLinter('W030', [{
+        on: ['.dropdown-toggle'],
+        test: function (toggle) {
+            return attributeOf(toggle, 'aria-haspopup') === null || attributeOf(toggle, 'aria-expanded') === null;
+        },
+        message: '`.dropdown-toggle` must have `aria-haspopup` and `aria-expanded` attributes.',
+        fix: function (toggle) {
+            var fix = [];
+            if (attributeOf(toggle, 'aria-haspopup') === null) {
+                fix.push(setAttributeFix(toggle, 'aria-haspopup', 'true'));
+            }
+            if (attributeOf(toggle, 'aria-expanded') === null) {
+                // dropdowns start out closed
+                fix.push(setAttributeFix(toggle, 'aria-expanded', 'false'));
+            }
+            return fix;
+        }
+    }], ACCESSIBILITY);
+    addElementLinter('W031', [{
+        on: ['.alert'],
+        select: ':not([role="alert"])',
+        message: '`.alert` must have a `role="alert"` attribute.',
+        fix: function (alert) {
+            return setAttributeFix(alert, 'role', 'alert');
+        }
+    }], ACCESSIBILITY);
+    addElementLinter('W032', [{
+        on: ['.form-control'],
+        test: function (control) {
+            return !hasAriaLabel(control);
+        },
+        select: function (controls, $, index) {
+            var labeledIds = index.withTag('label').map(function (label) {
+                return attributeOf(label, 'for');
+            });
+            return controls.filter(function (i, control) {
+                var id = attributeOf(control, 'id');
+                var hasLabel = id !== null && labeledIds.indexOf(id) !== -1;
+                return !hasLabel && !$(control).closest('label').length;
+            });
+        },
+        message: '`.form-control`s must have an associated `<label>`, or an `aria-label` or `aria-labelledby` attribute.'
+    }], ACCESSIBILITY);
+
+    // Bootstrap v3 to v4 migration linters
+    /**
+     * @param {string} selector A selector without commas, e.g. ".nav>li:not(.nav-item)"
+     * @returns {string} The event of the elements that it matches (see `addLinter()`): the tag name or else the first class of its last compound selector
+     */
+    function subjectEventOf(selector) {
+        var subject = selector.split(/\s*[\s>+~]\s*/).pop();
+        var match = /^([a-z][\w-]*)|^(\.[\w-]+)/i.exec(subject);
+        return match[1] ? match[1].toLowerCase() : match[2];
+    }
+
+    /**
+     * Adds a linter that reports Bootstrap v3 markup along with its Bootstrap v4 replacement.
+     * @param {string} id Unique string ID of the linter
+     * @param {(Array.<string[]>|function)} replacements Pairs of a selector for Bootstrap v3 markup and a description of how to migrate it,
+     *      or a function that is called with the `Grid` of the configuration and returns them
+     * @returns {undefined} Nothing
+     */
+    function addMigrationLinter(id, replacements) {
+        addElementLinter(id, function (grid) {
+            var gridReplacements = typeof replacements === 'function' ? replacements(grid) : replacements;
+            return gridReplacements.map(function (replacement) {
+                var selector = replacement[0];
+                var event = subjectEventOf(selector);
+                return {
+                    on: [event],
+                    select: selector === event ? null : selector,
+                    message: '`' + selector + '` is Bootstrap v3 markup; in Bootstrap v4, ' + replacement[1] + '.'
+                };
+            });
+        }, MIGRATION_TO_4);
+    }
+
+    addMigrationLinter('W020', function (grid) {
+        var replacements = [];
+        // the smallest screen size is the one without an infix in Bootstrap v4
+        var smallestScreen = grid.screens[0];
+        for (var n = 1; n <= grid.numCols; n++) {
+            replacements.push(['.col-' + smallestScreen + '-' + n, 'use `.col-' + n + '` instead']);
+        }
+        grid.screens.forEach(function (screen) {
+            var infix = screen === smallestScreen ? '' : '-' + screen;
+            for (var m = 0; m <= grid.numCols; m++) {
+                replacements.push(['.col-' + screen + '-offset-' + m, 'use `.offset' + infix + '-' + m + '` instead']);
+            }
         });
-        if (navbarPullsOutsideNavbars.length) {
-            reporter('`.navbar-left` and `.navbar-right` should not be used outside of navbars.', navbarPullsOutsideNavbars);
-        }
-    });
-    addLinter('E040', function lintModalHide($, reporter) {
-        var modalsWithHide = $('.modal.hide');
-        if (modalsWithHide.length) {
-            reporter('`.hide` should not be used on `.modal` in Bootstrap v3.', modalsWithHide);
-        }
-    });
-    addLinter('E041', function lintCarouselStructure($, reporter) {
-        var carouselsWithWrongInners = $('.carousel').filter(function () {
-            return $(this).children('.carousel-inner').length !== 1;
+        grid.screens.forEach(function (screen) {
+            for (var m = 0; m <= grid.numCols; m++) {
+                replacements.push(['.col-' + screen + '-push-' + m, 'reorder columns with `.order-*` classes instead']);
+                replacements.push(['.col-' + screen + '-pull-' + m, 'reorder columns with `.order-*` classes instead']);
+            }
+        });
+        grid.screens.forEach(function (screen) {
+            replacements.push(['.hidden-' + screen, 'use display utilities such as `.d-none` and `.d-md-block` instead']);
+            ['', '-block', '-inline', '-inline-block'].forEach(function (suffix) {
+                replacements.push(['.visible-' + screen + suffix, 'use display utilities such as `.d-none` and `.d-md-block` instead']);
+            });
         });
-        if (carouselsWithWrongInners.length) {
-            reporter('`.carousel` must have exactly one `.carousel-inner` child.', carouselsWithWrongInners);
+        replacements.push(
+            ['.hidden-print', 'use `.d-print-none` instead'],
+            ['.visible-print', 'use `.d-print-block` instead'],
+            ['.visible-print-block', 'use `.d-print-block` instead'],
+            ['.visible-print-inline', 'use `.d-print-inline` instead'],
+            ['.visible-print-inline-block', 'use `.d-print-inline-block` instead']
+        );
+        return replacements;
+    });
+    addMigrationLinter('W021', [
+        ['.panel', 'use `.card` instead'],
+        ['.panel-heading', 'use `.card-header` instead'],
+        ['.panel-title', 'use `.card-title` instead'],
+        ['.panel-body', 'use `.card-body` instead'],
+        ['.panel-footer', 'use `.card-footer` instead'],
+        ['.panel-default', 'drop it; cards have no default contextual class'],
+        ['.panel-primary', 'use `.border-primary` (or `.bg-primary` with `.text-white`) on the `.card` instead'],
+        ['.panel-success', 'use `.border-success` (or `.bg-success` with `.text-white`) on the `.card` instead'],
+        ['.panel-info', 'use `.border-info` (or `.bg-info` with `.text-white`) on the `.card` instead'],
+        ['.panel-warning', 'use `.border-warning` (or `.bg-warning`) on the `.card` instead'],
+        ['.panel-danger', 'use `.border-danger` (or `.bg-danger` with `.text-white`) on the `.card` instead'],
+        ['.panel-group', 'use `.accordion` instead'],
+        ['.well', 'use a `.card` with a `.card-body` instead'],
+        ['.thumbnail', 'use a `.card`, or `.img-thumbnail` on the image, instead']
+    ]);
+    addMigrationLinter('W022', [
+        ['.glyphicon', 'there is no icon font; use an icon library such as Font Awesome or Bootstrap Icons instead']
+    ]);
+    addMigrationLinter('W023', [
+        ['.pull-left', 'use `.float-left` instead'],
+        ['.pull-right', 'use `.float-right` instead'],
+        ['.center-block', 'use `.d-block` with `.mx-auto` instead'],
+        ['.hidden', 'use `.d-none` instead'],
+        ['.show', 'use `.d-block` instead; `.show` now marks expanded and visible components'],
+        ['.img-responsive', 'use `.img-fluid` instead'],
+        ['.img-rounded', 'use `.rounded` instead'],
+        ['.img-circle', 'use `.rounded-circle` instead'],
+        ['.caret', 'drop it; `.dropdown-toggle` draws its own caret'],
+        ['.affix', 'use `.sticky-top` instead'],
+        ['.page-header', 'use spacing and border utilities (e.g. `.pb-2 .mt-4 .mb-2 .border-bottom`) instead'],
+        ['.dl-horizontal', 'use `.row` on the `<dl>` with grid column classes on its `<dt>`s and `<dd>`s instead'],
+        ['.blockquote-reverse', 'use `.blockquote` with `.text-right` instead']
+    ]);
+    addMigrationLinter('W024', [
+        ['.navbar-left', 'use `.mr-auto` instead'],
+        ['.navbar-right', 'use `.ml-auto` instead'],
+        ['.navbar-default', 'use `.navbar-light` with a background utility such as `.bg-light` instead'],
+        ['.navbar-inverse', 'use `.navbar-dark` with a background utility such as `.bg-dark` instead'],
+        ['.navbar-toggle', 'use `.navbar-toggler` instead'],
+        ['.icon-bar', 'use a single `.navbar-toggler-icon` instead'],
+        ['.navbar-header', 'drop it; navbars use flexbox instead'],
+        ['.navbar-fixed-top', 'use `.fixed-top` instead'],
+        ['.navbar-fixed-bottom', 'use `.fixed-bottom` instead'],
+        ['.navbar-static-top', 'drop it; navbars are static by default'],
+        ['.navbar-btn', 'drop it; buttons in navbars need no extra class'],
+        ['.navbar-form', 'use `.form-inline` instead'],
+        ['.navbar-nav>li:not(.nav-item)', 'use `.nav-item` on the `<li>`s and `.nav-link` on their links instead']
+    ]);
+    addMigrationLinter('W025', [
+        ['.control-label', 'use `.col-form-label` (or no class on plain labels) instead'],
+        ['.help-block', 'use `.form-text` instead'],
+        ['.input-lg', 'use `.form-control-lg` instead'],
+        ['.input-sm', 'use `.form-control-sm` instead'],
+        ['.checkbox', 'use `.form-check` with `.form-check-input` and `.form-check-label` instead'],
+        ['.radio', 'use `.form-check` with `.form-check-input` and `.form-check-label` instead'],
+        ['.checkbox-inline', 'use `.form-check.form-check-inline` instead'],
+        ['.radio-inline', 'use `.form-check.form-check-inline` instead'],
+        ['.has-error', 'use `.is-invalid` on the form control instead'],
+        ['.has-success', 'use `.is-valid` on the form control instead'],
+        ['.has-warning', 'drop it; there is no warning validation state'],
+        ['.has-feedback', 'drop it; feedback is styled by `.invalid-feedback` and `.valid-feedback`'],
+        ['.form-control-feedback', 'use `.invalid-feedback` or `.valid-feedback` instead'],
+        ['.form-horizontal', 'use `.row` with grid column classes in each `.form-group` instead'],
+        ['.form-control-static', 'use `.form-control-plaintext` instead'],
+        ['.input-group-addon', 'use `.input-group-text` within an `.input-group-prepend` or `.input-group-append` instead'],
+        ['.input-group-btn', 'use `.input-group-prepend` or `.input-group-append` instead']
+    ]);
+    addMigrationLinter('W026', [
+        ['.btn-default', 'use `.btn-secondary` instead'],
+        ['.btn-xs', 'use `.btn-sm` instead'],
+        ['.btn-group-justified', 'use `.d-flex` on the group and `.w-100` on its buttons instead'],
+        ['.label', 'use `.badge` instead'],
+        ['.label-default', 'use `.badge-secondary` instead'],
+        ['.label-primary', 'use `.badge-primary` instead'],
+        ['.label-success', 'use `.badge-success` instead'],
+        ['.label-info', 'use `.badge-info` instead'],
+        ['.label-warning', 'use `.badge-warning` instead'],
+        ['.label-danger', 'use `.badge-danger` instead'],
+        ['.progress-bar-success', 'use `.bg-success` instead'],
+        ['.progress-bar-info', 'use `.bg-info` instead'],
+        ['.progress-bar-warning', 'use `.bg-warning` instead'],
+        ['.progress-bar-danger', 'use `.bg-danger` instead'],
+        ['.pager', 'use `.pagination` instead'],
+        ['.table-condensed', 'use `.table-sm` instead'],
+        ['.carousel-inner>.item', 'use `.carousel-item` instead'],
+        ['.nav:not(.navbar-nav)>li:not(.nav-item)', 'use `.nav-item` on the `<li>`s and `.nav-link` on their links instead'],
+        ['.dropdown-menu>li:not(.dropdown-item)', 'drop the `<li>`s and use `.dropdown-item` on the links instead'],
+        ['.list-inline>li:not(.list-inline-item)', 'use `.list-inline-item` on the `<li>`s instead'],
+        ['.media-left', 'drop it; space the `.media-object` with margin utilities such as `.mr-3` instead'],
+        ['.media-right', 'drop it; space the `.media-object` with margin utilities such as `.ml-3` instead'],
+        ['.media-heading', 'use a heading with margin utilities such as `.mt-0` instead']
+    ]);
+
+    /**
+     * @param {(string[]|Object)} [config] Array of string IDs of linters to disable, or a configuration object
+     * @returns {Object} The configuration object
+     */
+    function normalizedConfig(config) {
+        if (Array.isArray(config)) {
+            return {disabledIds: config};
         }
+        return config || {};
+    }
 
-        var innersWithWrongActiveItems = $('.carousel-inner').filter(function () {
-            return $(this).children('.item.active').length !== 1;
+    /**
+     * @param {Object} config Configuration object
+     * @param {string[]} [config.disabledIds] Array of string IDs of linters to disable
+     * @param {Object.<string, string>} [config.rules] Map from linter IDs to severities; linters whose severity is "off" are disabled
+     *      ("warn" and "error" override the severity of the other linters' problems)
+     * @returns {Object.<string, boolean>} Set of the IDs of the disabled linters
+     */
+    function disabledIdSetFor(config) {
+        var disabledIds = config.disabledIds || [];
+        var rules = config.rules || {};
+        var disabledIdSet = {};
+        disabledIds.forEach(function (disabledId) {
+            disabledIdSet[disabledId] = true;
+        });
+        Object.keys(rules).forEach(function (id) {
+            if (rules[id] === 'off') {
+                disabledIdSet[id] = true;
+            }
         });
-        if (innersWithWrongActiveItems.length) {
-            reporter('`.carousel-inner` must have exactly one `.item.active` child.', innersWithWrongActiveItems);
+        return disabledIdSet;
+    }
+
+    /**
+     * Adds the source locations of an element to it: `startLocation`, the `startTagEndIndex` and `startTagEndLocation`
+     * of the `>` that ends its start tag, and the `endLocation` of its `endIndex`, i.e. of its last character.
+     * Elements whose end isn't known from the parser end with their start tag.
+     * @param {Object} element Cheerio element
+     * @param {string} html The HTML source
+     * @param {LocationIndex} locationIndex Index of the HTML source
+     * @returns {undefined} Nothing
+     */
+    function locateElement(element, html, locationIndex) {
+        if (typeof element.startIndex !== 'number') {
+            return;
         }
-    });
-    addLinter('E042', function lintFormControlOnWrongControl($, reporter) {
-        var formControlsOnWrongTags = $('.form-control:not(input,textarea,select)');
-        if (formControlsOnWrongTags.length) {
-            reporter('`.form-control` should only be used on `<input>`s, `<textarea>`s, and `<select>`s.', formControlsOnWrongTags);
-        }
-
-        var formControlsOnWrongTypes = $('input.form-control:not(' + [
-            'color',
-            'email',
-            'number',
-            'password',
-            'search',
-            'tel',
-            'text',
-            'url',
-            'date',
-            'month',
-            'week',
-            'time'
-        ].map(function (type) {
-            return '[type="' + type + '"]';
-        }).join(',') + ')');
-        if (formControlsOnWrongTypes.length) {
-            reporter('`.form-control` cannot be used on non-textual `<input>`s, such as those whose `type` is: `file`, `checkbox`, `radio`, `range`, `button`', formControlsOnWrongTypes);
+        var location = locationIndex.locationOf(element.startIndex);
+        if (location) {
+            element.startLocation = location;
         }
-    });
-    addLinter('E043', function lintNavbarNavAnchorButtons($, reporter) {
-        var navbarNavAnchorBtns = $('.navbar-nav a.btn, .navbar-nav a.navbar-btn');
-        if (navbarNavAnchorBtns.length) {
-            reporter('Button classes (`.btn`, `.btn-*`, `.navbar-btn`) cannot be used on `<a>`s within `.navbar-nav`s.', navbarNavAnchorBtns);
+        var startTag = _fix.startTagAt(html, element.startIndex);
+        if (startTag) {
+            element.startTagEndIndex = startTag.end - 1;
+            element.startTagEndLocation = locationIndex.locationOf(element.startTagEndIndex);
+            if (typeof element.endIndex !== 'number') {
+                element.endIndex = element.startTagEndIndex;
+            }
         }
-    });
-    addLinter('E044', function lintInputGroupAddonChildren($, reporter) {
-        var badInputGroups = $('.input-group').filter(function () {
-            var inputGroup = $(this);
-            return !inputGroup.children('.form-control').length || !inputGroup.children('.input-group-addon, .input-group-btn').length;
-        });
-        if (badInputGroups.length) {
-            reporter('`.input-group` must have a `.form-control` and either an `.input-group-addon` or an `.input-group-btn`.', badInputGroups);
+        if (typeof element.endIndex === 'number') {
+            element.endLocation = locationIndex.locationOf(element.endIndex);
         }
-    });
-    addLinter('E045', function lintImgResponsiveOnNonImgs($, reporter) {
-        var imgResponsiveNotOnImg = $('.img-responsive:not(img)');
-        if (imgResponsiveNotOnImg.length) {
-            reporter('`.img-responsive` should only be used on `<img>`s', imgResponsiveNotOnImg);
+    }
+
+    /**
+     * @param {DocumentIndex} index The index of the document
+     * @param {(boolean|string)} [fragment=false] Whether the document is a fragment of a page, or "auto" to guess
+     * @returns {boolean} Whether to lint the document as a fragment, i.e. without the document-level linters
+     */
+    function isFragmentOf(index, fragment) {
+        if (typeof fragment === 'undefined' || fragment === false) {
+            return false;
         }
-    });
-    addLinter('E046', function lintModalTabIndex($, reporter) {
-        var modalsWithoutTabindex = $('.modal:not([tabindex])');
-        if (modalsWithoutTabindex.length) {
-            reporter('`.modal` elements must have a `tabindex` attribute.', modalsWithoutTabindex);
+        if (fragment === true) {
+            return true;
         }
-    });
-    addLinter('E047', function lintBtnElements($, reporter) {
-        var btns = $('.btn:not(a,button,input,label)');
-        if (btns.length) {
-            reporter('`.btn` should only be used on `<a>`, `<button>`, `<input>`, or `<label>` elements.', btns);
+        if (fragment !== 'auto') {
+            throw new Error('Unsupported fragment mode: ' + fragment);
         }
-    });
-    addLinter('E048', function lintModalRole($, reporter) {
-        var modals = $('.modal:not([role="dialog"])');
-        if (modals.length) {
-            reporter('`.modal` must have a `role="dialog"` attribute.', modals);
+        // browsers always add <html> and <head>, so only the source can tell
+        return IN_NODE_JS && !index.withTags(['html', 'head']).length;
+    }
+
+    // property of the elements whose classes `ClassAliases` rewrote, holding the rewrite
+    var CLASS_REWRITE_PROPERTY = '_bootlintClassRewrite';
+
+    var setClassAttribute = IN_NODE_JS ?
+        function (element, value) {
+            element.attribs.class = value;
+        } :
+        function (element, value) {
+            /* istanbul ignore next */
+            element.setAttribute('class', value);
+        };
+
+    /**
+     * Rewrites the classes of the elements of a document to Bootstrap's class names, so that projects which give
+     * Bootstrap's styles their own class names (e.g. with Less or Sass mixins, or a prefix) can be linted like stock markup.
+     * `indexDocument()` has each element rewritten before indexing it. The rewritten names are translated back in the problems,
+     * and `restore()` puts the original classes back once the linters are done.
+     * @param {Object.<string, string>} aliases Map from the project's class names to the (space-separated) Bootstrap classes they stand for
+     * @param {string} prefix Prefix of the project's names of Bootstrap classes (e.g. "bs-"), or "" if there isn't one
+     * @class
+     */
+    function ClassAliases(aliases, prefix) {
+        this._aliases = aliases;
+        this._prefix = prefix;
+        // the rewritten elements
+        this._rewritten = [];
+        // map from Bootstrap class names to the project's names they were rewritten from; null if that isn't unambiguous
+        this._originalNames = Object.create(null);
+        // set of the names that the author uses as they are
+        this._verbatimNames = Object.create(null);
+    }
+
+    /**
+     * @param {string} name A class name of the document
+     * @returns {(string[]|null)} The Bootstrap classes that the name stands for, or null if it stands for itself
+     */
+    ClassAliases.prototype._bootstrapClassesOf = function (name) {
+        if (Object.prototype.hasOwnProperty.call(this._aliases, name)) {
+            return this._aliases[name].split(/\s+/).filter(Boolean);
         }
-    });
-    addLinter('E049', function lintModalDialogRole($, reporter) {
-        var modalDialogs = $('.modal-dialog:not([role="document"])');
-        if (modalDialogs.length) {
-            reporter('`.modal-dialog` must have a `role="document"` attribute.', modalDialogs);
+        var prefix = this._prefix;
+        if (prefix && name.length > prefix.length && name.slice(0, prefix.length) === prefix) {
+            return [name.slice(prefix.length)];
         }
-    });
-    addLinter('E050', function lintNestedFormGroups($, reporter) {
-        var nestedFormGroups = $('.form-group > .form-group');
-        if (nestedFormGroups.length) {
-            reporter('`.form-group`s should not be nested.', nestedFormGroups);
+        return null;
+    };
+
+    /**
+     * Rewrites the classes of an element, remembering the original ones.
+     * @param {(Element|Object)} element A DOM element
+     * @returns {undefined} Nothing
+     */
+    ClassAliases.prototype.rewrite = function (element) {
+        var original = attributeOf(element, 'class');
+        if (!original) {
+            return;
         }
-    });
-    addLinter('E051', function lintColumnsNoFloats($, reporter) {
-        var pullSelector = COL_CLASSES.map(function (col) {
-            return '.pull-left' + col + ',.pull-right' + col;
-        }).join(',');
-        var pulledCols = $(pullSelector);
-        if (pulledCols.length) {
-            reporter('`.pull-right` and `.pull-left` must not be used on `.col-*-*` elements', pulledCols);
-        }
-        var styledSelector = COL_CLASSES.map(function (col) {
-            return col + '[style]';
-        }).join(',');
-        var styledCols = $(styledSelector).filter(function (i, el) {
-            //test for `float:*` in the style attribute
-            return /float\s*:\s*[a-z]+/i.test($(el).attr('style'));
-        });
-        if (styledCols.length) {
-            reporter('Manually added `float` styles must not be added on `.col-*-*` elements', styledCols);
+        var originalNames = Object.create(null);
+        var isRewritten = false;
+        var classes = [];
+        classNamesOf(element).forEach(function (name) {
+            var bootstrapClasses = this._bootstrapClassesOf(name);
+            if (!bootstrapClasses) {
+                this._verbatimNames[name] = true;
+                classes.push(name);
+                return;
+            }
+            isRewritten = true;
+            bootstrapClasses.forEach(function (bootstrapClass) {
+                originalNames[bootstrapClass] = name;
+                var known = this._originalNames[bootstrapClass];
+                this._originalNames[bootstrapClass] = typeof known === 'undefined' || known === name ? name : null;
+                if (classes.indexOf(bootstrapClass) === -1) {
+                    classes.push(bootstrapClass);
+                }
+            }, this);
+        }, this);
+        if (isRewritten) {
+            element[CLASS_REWRITE_PROPERTY] = {
+                original: original,
+                originalNames: originalNames
+            };
+            this._rewritten.push(element);
+            setClassAttribute(element, classes.join(' '));
         }
-    });
-    addLinter('E052', function lintRowsNoFloats($, reporter) {
-        var pulledRows = $('.row.pull-right, .row.pull-left');
-        if (pulledRows.length) {
-            reporter('`.pull-right` and `.pull-left` must not be used on `.row` elements', pulledRows);
-        }
-        var styledRows = $('.row[style]').filter(function (i, el) {
-            //test for `float:*` in the style attribute
-            return /float\s*:\s*[a-z]+/i.test($(el).attr('style'));
+    };
+
+    /**
+     * @param {string} name A class name
+     * @returns {(string|null)} The project's name of the class, if the document's classes were rewritten to it unambiguously
+     */
+    ClassAliases.prototype._documentNameOf = function (name) {
+        // a name that the author also uses as is can't be told apart from a rewritten one
+        return this._verbatimNames[name] ? null : this._originalNames[name] || null;
+    };
+
+    /**
+     * @param {Array} elements The elements of a problem
+     * @returns {function} Function that maps a class name to the project's name of it, preferring the names of the given elements
+     *      over those of the rest of the document, and returns the name itself if the classes weren't rewritten to it unambiguously
+     */
+    ClassAliases.prototype._originalNamesFor = function (elements) {
+        var elementNames = Object.create(null);
+        elements.forEach(function (element) {
+            var rewrite = element[CLASS_REWRITE_PROPERTY];
+            if (rewrite) {
+                Object.keys(rewrite.originalNames).forEach(function (name) {
+                    var known = elementNames[name];
+                    elementNames[name] = typeof known === 'undefined' || known === rewrite.originalNames[name] ? rewrite.originalNames[name] : null;
+                });
+            }
         });
-        if (styledRows.length) {
-            reporter('Manually added `float` styles must not be added on `.row` elements', styledRows);
-        }
-    });
-    exports._lint = function ($, reporter, disabledIdList, html) {
+        var documentNameOf = this._documentNameOf.bind(this);
+        return function (name) {
+            return elementNames[name] || documentNameOf(name) || name;
+        };
+    };
+
+    /**
+     * @param {string} classes A space-separated list of classes
+     * @param {function} originalNameOf Function that maps a class name to the project's name of it
+     * @returns {string} The list with the project's names of the classes
+     */
+    function originalClassList(classes, originalNameOf) {
+        var names = [];
+        classes.split(/\s+/).forEach(function (name) {
+            var originalName = name && originalNameOf(name);
+            if (originalName && names.indexOf(originalName) === -1) {
+                names.push(originalName);
+            }
+        });
+        return names.join(' ');
+    }
+
+    /**
+     * @param {string} message The message of a problem
+     * @param {Array} elements The elements of the problem
+     * @returns {string} The message with the project's names of the classes in its class selectors and `class` attributes
+     */
+    ClassAliases.prototype._originalMessage = function (message, elements) {
+        var originalNameOf = this._originalNamesFor(elements);
+        return message.replace(/\bclass="([^"]*)"/g, function (attribute, classes) {
+            return 'class="' + originalClassList(classes, originalNameOf) + '"';
+        }).replace(/\.(-?[_a-zA-Z][\w-]*)/g, function (selector, name) {
+            return '.' + originalNameOf(name);
+        });
+    };
+
+    /**
+     * @param {(Object|Object[])} fix Description of a fix (see `setAttributeFix()`)
+     * @returns {(Object|Object[])} The fix, setting the `class` attribute to the project's names of the classes
+     */
+    ClassAliases.prototype._originalFix = function (fix) {
+        if (Array.isArray(fix)) {
+            return fix.map(this._originalFix, this);
+        }
+        if (fix.attribute !== 'class') {
+            return fix;
+        }
+        var rewrite = fix.element[CLASS_REWRITE_PROPERTY];
+        var ownNames = rewrite ? rewrite.original.split(/\s+/) : classNamesOf(fix.element);
+        var documentNameOf = this._documentNameOf.bind(this);
+        var prefix = this._prefix;
+        return setAttributeFix(fix.element, 'class', originalClassList(fix.value, function (name) {
+            if (rewrite && rewrite.originalNames[name]) {
+                return rewrite.originalNames[name];
+            }
+            if (ownNames.indexOf(name) !== -1) {
+                return name;
+            }
+            // a class that the fix adds
+            return documentNameOf(name) || prefix + name;
+        }));
+    };
+
+    /**
+     * Translates the classes in the message and fixes of a problem back to the project's names of them.
+     * Problems have to be translated before the classes are restored.
+     * @param {LintError|LintWarning} problem A lint problem
+     * @returns {undefined} Nothing
+     */
+    ClassAliases.prototype.translate = function (problem) {
+        problem.message = this._originalMessage(problem.message, problem.elements.toArray());
+        problem.fixes = problem.fixes.map(this._originalFix, this);
+    };
+
+    /**
+     * Puts the original classes back on the rewritten elements.
+     * @returns {undefined} Nothing
+     */
+    ClassAliases.prototype.restore = function () {
+        this._rewritten.forEach(function (element) {
+            setClassAttribute(element, element[CLASS_REWRITE_PROPERTY].original);
+            delete element[CLASS_REWRITE_PROPERTY];
+        });
+        this._rewritten = [];
+    };
+
+    /**
+     * @param {Object} $ jQuery or Cheerio
+     * @param {reporter} reporter Function to call with each lint problem
+     * @param {Object} config Configuration object
+     * @param {string} html The HTML source; only used in Node.js
+     * @param {(ClassAliases|null)} classAliases The rewriting of the document's classes, if any, which is applied while the document is indexed
+     * @returns {undefined} Nothing
+     */
+    function lintDocument($, reporter, config, html, classAliases) {
         var locationIndex = IN_NODE_JS ? new LocationIndex(html) : null;
-        var reporterWrapper = IN_NODE_JS ?
+        var locatingReporter = IN_NODE_JS ?
             function (problem) {
+                problem.fixes = problem.fixes.map(function (fix) {
+                    return _fix.resolveFix(html, fix);
+                }).filter(function (fix) {
+                    return fix !== null;
+                });
                 if (problem.elements) {
                     problem.elements = problem.elements.each(function (i, element) {
-                        if (typeof element.startIndex !== 'undefined') {
-                            var location = locationIndex.locationOf(element.startIndex);
-                            if (location) {
-                                element.startLocation = location;
-                            }
-                        }
+                        locateElement(element, html, locationIndex);
                     });
                 }
                 reporter(problem);
             } :
-            reporter;
+            function (problem) {
+                // fixes are edits of the HTML source, which isn't available in browsers
+                problem.fixes = [];
+                reporter(problem);
+            };
 
-        var disabledIdSet = {};
-        disabledIdList.forEach(function (disabledId) {
-            disabledIdSet[disabledId] = true;
+        var index = indexDocument(IN_NODE_JS ? $.root()[0] : getBrowserWindowObject().document, classAliases);
+        var directives = index.directives;
+        var reporterWrapper = function (problem) {
+            if (!problem.elements.length) {
+                var documentDirective = directiveSuppressing(directives, problem.id, null);
+                if (documentDirective) {
+                    documentDirective.used = true;
+                    return;
+                }
+            } else if (directives.length) {
+                problem.elements = problem.elements.filter(function (i, element) {
+                    var directive = directiveSuppressing(directives, problem.id, element);
+                    if (directive) {
+                        directive.used = true;
+                    }
+                    return !directive;
+                });
+                if (!problem.elements.length) {
+                    return;
+                }
+                var remainingElements = problem.elements.toArray();
+                problem.fixes = problem.fixes.filter(function (fix) {
+                    return remainingElements.indexOf(fixedElementOf(fix)) !== -1;
+                });
+            }
+            locatingReporter(problem);
+        };
+
+        var pluginNamespaces = (config.plugins || []).map(pluginNamespaceOf);
+        var packs = config.packs || [];
+        packs.forEach(function (pack) {
+            if (RULE_PACKS.indexOf(pack) === -1) {
+                throw new Error('Unknown rule pack: ' + pack);
+            }
         });
+        var isApplicable = null;
+        if (config.migrateTo) {
+            if (config.migrateTo !== 4) {
+                throw new Error('Unsupported Bootstrap version to migrate to: ' + config.migrateTo);
+            }
+            // report only what is left to migrate
+            isApplicable = function (linter) {
+                return linter.migrateTo === config.migrateTo;
+            };
+        } else {
+            var bootstrapVersion = config.bootstrapVersion;
+            if (typeof bootstrapVersion === 'undefined' || bootstrapVersion === 'auto') {
+                bootstrapVersion = detectedBootstrapVersion($, index);
+            } else if (SUPPORTED_BOOTSTRAP_VERSIONS.indexOf(bootstrapVersion) === -1) {
+                throw new Error('Unsupported Bootstrap version: ' + bootstrapVersion);
+            }
+            isApplicable = function (linter) {
+                return linter.bootstrapVersions.indexOf(bootstrapVersion) !== -1;
+            };
+        }
+
+        var isFragment = isFragmentOf(index, config.fragment);
+        var grid = gridFor(config.grid);
+        var disabledIdSet = disabledIdSetFor(config);
+        var severities = config.rules || {};
+        var subscriptions = Object.create(null);
+        var runs = [];
         Object.keys(allLinters).sort().forEach(function (linterId) {
-            if (!disabledIdSet[linterId]) {
-                allLinters[linterId]($, reporterWrapper);
+            var linter = allLinters[linterId];
+            var isEnabledPlugin = !linter.namespace || pluginNamespaces.indexOf(linter.namespace) !== -1;
+            var isInScope = !isFragment || linter.scope !== 'document';
+            var isEnabledPack = !linter.pack || packs.indexOf(linter.pack) !== -1;
+            if (!disabledIdSet[linterId] && isEnabledPlugin && isInScope && isEnabledPack && isApplicable(linter)) {
+                // report the problems after the walk, in the order of the linters
+                var problems = [];
+                var handlers = linter.create($, function (problem) {
+                    if (classAliases) {
+                        classAliases.translate(problem);
+                    }
+                    problems.push(problem);
+                }, severities[linterId], index, grid);
+                subscribe(subscriptions, handlers);
+                runs.push({
+                    end: handlers.end || null,
+                    problems: problems
+                });
+            }
+        });
+        dispatchEvents(index, subscriptions);
+        runs.forEach(function (run) {
+            if (run.end) {
+                run.end();
             }
         });
+        if (classAliases) {
+            // the reporter gets the elements with the author's classes
+            classAliases.restore();
+        }
+        runs.forEach(function (run) {
+            run.problems.forEach(reporterWrapper);
+        });
+
+        if (config.reportUnusedDisableDirectives && !disabledIdSet[UNUSED_DIRECTIVE_ID]) {
+            var UnusedDirectiveProblem = problemClassFor(severities[UNUSED_DIRECTIVE_ID], LintWarning);
+            directives.forEach(function (directive) {
+                if (directive.used || directive.type === 'enable') {
+                    return;
+                }
+                var ids = directive.ids.length ? ' for ' + directive.ids.join(', ') : '';
+                locatingReporter(new UnusedDirectiveProblem(
+                    UNUSED_DIRECTIVE_ID,
+                    'Unused `bootlint-' + directive.type + '` directive' + ids + '; no problems were suppressed by it.',
+                    $(directive.node)
+                ));
+            });
+        }
+    }
+
+    exports._lint = function ($, reporter, config, html) {
+        config = normalizedConfig(config);
+        var classAliases = config.classAliases || config.classPrefix ?
+            new ClassAliases(config.classAliases || {}, config.classPrefix || '') :
+            null;
+        try {
+            lintDocument($, reporter, config, html, classAliases);
+        } catch (err) {
+            if (classAliases) {
+                // leave the document (e.g. a browser's) as it was
+                classAliases.restore();
+            }
+            throw err;
+        }
     };
     /**
      * @callback reporter
@@ -1169,16 +3063,190 @@ var LocationIndex = _location.LocationIndex;
 
     if (IN_NODE_JS) {
         // cheerio; Node.js
+        var CHEERIO_OPTIONS = {
+            withStartIndices: true,
+            withEndIndices: true
+        };
+
         /**
          * Lints the given HTML.
          * @param {string} html The HTML to lint
          * @param {reporter} reporter Function to call with each lint problem
-         * @param {string[]} disabledIds Array of string IDs of linters to disable
+         * @param {(string[]|Object)} config Array of string IDs of linters to disable, or a configuration object (see `loadConfigForFile()`).
+         *      If its `preprocessor` property is set, the HTML is a template that the preprocessor turns into HTML first,
+         *      or a file with embedded HTML fragments, each of which is linted separately, as a fragment.
+         *      If its `fragment` property is true, the HTML is a fragment of a page (e.g. a partial), so the document-level linters are skipped;
+         *      if it is "auto", the HTML is considered a fragment if it has no `<html>` or `<head>`.
          * @returns {undefined} Nothing
          */
-        exports.lintHtml = function (html, reporter, disabledIds) {
-            var $ = cheerio.load(html, {withStartIndices: true});
-            this._lint($, reporter, disabledIds, html);
+        exports.lintHtml = function (html, reporter, config) {
+            config = normalizedConfig(config);
+            (config.plugins || []).forEach(function (name) {
+                exports.loadPlugin(name);
+            });
+            var preprocessed = _preprocessors.preprocess(html, config.preprocessor);
+            if (Array.isArray(preprocessed)) {
+                var fragmentConfig = {};
+                Object.keys(config).forEach(function (property) {
+                    fragmentConfig[property] = config[property];
+                });
+                fragmentConfig.fragment = true;
+                preprocessed.forEach(function (fragment) {
+                    exports._lint(cheerio.load(fragment, CHEERIO_OPTIONS), reporter, fragmentConfig, fragment);
+                });
+                return;
+            }
+            exports._lint(cheerio.load(preprocessed, CHEERIO_OPTIONS), reporter, config, preprocessed);
+        };
+
+        var fixesOf = function (problems) {
+            return problems.reduce(function (fixes, problem) {
+                return fixes.concat(problem.fixes);
+            }, []);
+        };
+
+        var problemsIn = function (html, config) {
+            var problems = [];
+            exports.lintHtml(html, function (problem) {
+                problems.push(problem);
+            }, config);
+            return problems;
+        };
+
+        /**
+         * Lints the given HTML and applies the automatic fixes of the problems found.
+         * Since fixing one problem can uncover or resolve others, this repeats until no more fixes apply.
+         * @param {string} html The HTML to fix
+         * @param {(string[]|Object)} config Array of string IDs of linters to disable, or a configuration object (see `loadConfigForFile()`)
+         * @returns {Object} Object whose `output` property is the fixed HTML and whose `problems` property is an array of the lint problems remaining in it
+         */
+        exports.fixHtml = function (html, config) {
+            var output = html;
+            var problems = problemsIn(output, config);
+            for (var pass = 0; pass < MAX_FIX_PASSES; pass++) {
+                var fixed = _fix.applyFixes(output, fixesOf(problems));
+                if (fixed === output) {
+                    break;
+                }
+                output = fixed;
+                problems = problemsIn(output, config);
+            }
+            return {
+                output: output,
+                problems: problems
+            };
+        };
+        exports.loadConfigForFile = _config.loadConfigForFile;
+
+        /**
+         * @typedef {Object} ProblemLocation
+         * @property {integer} line 0-based line number of the start of the element
+         * @property {integer} column 0-based column number of the start of the element
+         * @property {integer} offset 0-based code unit index of the start of the element in the HTML source
+         * @property {(integer|null)} length Length of the element's HTML source (including its end tag), or null if it is unknown
+         * @property {(integer|null)} startTagLength Length of the element's start tag, or null if it is unknown
+         */
+
+        /**
+         * @typedef {Object} PlainProblem
+         * @property {string} id ID of the linter that reported the problem
+         * @property {string} severity "error" or "warning"
+         * @property {string} message Human-readable string describing the problem
+         * @property {(string|null)} url URL of the problem's documentation
+         * @property {ProblemLocation[]} locations Locations of the elements referenced by the problem, if known
+         * @property {Fix[]} fixes Automatic fixes for the problem
+         */
+
+        /**
+         * @param {LintWarning|LintError} problem A lint problem
+         * @returns {PlainProblem} The problem as a JSON-serializable object
+         */
+        var plainProblemOf = function (problem) {
+            var locations = [];
+            if (problem.elements) {
+                problem.elements.each(function (_, element) {
+                    if (!element.startLocation) {
+                        return;
+                    }
+                    locations.push({
+                        line: element.startLocation.line,
+                        column: element.startLocation.column,
+                        offset: element.startIndex,
+                        length: typeof element.endIndex === 'number' ? element.endIndex + 1 - element.startIndex : null,
+                        startTagLength: typeof element.startTagEndIndex === 'number' ? element.startTagEndIndex + 1 - element.startIndex : null
+                    });
+                });
+            }
+            return {
+                id: problem.id,
+                severity: problem.severity,
+                message: problem.message,
+                url: problem.url,
+                locations: locations,
+                fixes: problem.fixes
+            };
+        };
+
+        /**
+         * Lints the given HTML.
+         * @param {string} html The HTML to lint
+         * @param {(string[]|Object)} [options] Array of string IDs of linters to disable, or a configuration object (see `loadConfigForFile()`)
+         * @returns {PlainProblem[]} The lint problems, as JSON-serializable objects
+         */
+        exports.lint = function (html, options) {
+            return problemsIn(html, options).map(plainProblemOf);
+        };
+
+        /**
+         * Lints the files matching the given glob patterns, using the configuration files that apply to each of them
+         * and skipping the files that their `ignorePatterns` match.
+         * @param {(string|string[])} patterns Glob pattern(s) of the files to lint
+         * @param {(string[]|Object)} [options] Array of string IDs of linters to disable, or a configuration object
+         *      that takes precedence over the configuration files
+         * @returns {Promise.<Object[]>} Bluebird promise of an array with one object per file, in the order of the patterns,
+         *      whose `filePath` property is the path of the file and whose `problems` property is an array of `PlainProblem`s
+         */
+        exports.lintFiles = function (patterns, options) {
+            var configResolver = new _config.ConfigResolver();
+            var extra = normalizedConfig(options);
+            return _files.readFiles(patterns, configResolver).map(function (file) {
+                var config = configResolver.configForFile(file.filePath, extra);
+                // plugins named in config files are looked up from the linted file
+                config.plugins.forEach(function (name) {
+                    exports.loadPlugin(name, file.directory);
+                });
+                return {
+                    filePath: file.filePath,
+                    problems: exports.lint(file.contents, config)
+                };
+            });
+        };
+
+        /**
+         * Loads a plugin from its npm package and registers its linters, unless linters of its namespace are already registered.
+         * A plugin package exports an object whose `linters` property maps linter IDs without namespace (e.g. "W001")
+         * to either linters (functions or visitor objects) or objects with `linter`, `url`, `bootstrapVersions` and `scope` properties (see `addLinter()`).
+         * @param {string} name Name of the plugin: "acme" (or "bootlint-plugin-acme") for the bootlint-plugin-acme package,
+         *      "@acme/widgets" for @acme/bootlint-plugin-widgets, or "@acme" for @acme/bootlint-plugin
+         * @param {string} [baseDir] Directory to start looking for the package in; defaults to the current working directory
+         * @returns {string} The namespace of the plugin's linter IDs
+         */
+        exports.loadPlugin = function (name, baseDir) {
+            var namespace = pluginNamespaceOf(name);
+            var isRegistered = Object.keys(allLinters).some(function (id) {
+                return allLinters[id].namespace === namespace;
+            });
+            if (isRegistered) {
+                return namespace;
+            }
+            var plugin = _config.loadPlugin(name, baseDir || process.cwd());
+            var linters = plugin.linters || {};
+            Object.keys(linters).forEach(function (localId) {
+                var linter = linters[localId];
+                var definition = typeof linter === 'function' || typeof linter.create === 'function' ? {linter: linter} : linter;
+                exports.addLinter(namespace + '/' + localId, definition.linter, definition);
+            });
+            return namespace;
         };
     } else {
         // jQuery; in-browser
@@ -1188,11 +3256,11 @@ var LocationIndex = _location.LocationIndex;
             /**
              * Lints the HTML of the current document.
              * @param {reporter} reporter Function to call with each lint problem
-             * @param {string[]} disabledIds Array of string IDs of linters to disable
+             * @param {(string[]|Object)} config Array of string IDs of linters to disable, or a configuration object
              * @returns {undefined} Nothing
              */
-            exports.lintCurrentDocument = function (reporter, disabledIds) {
-                this._lint($, reporter, disabledIds);
+            exports.lintCurrentDocument = function (reporter, config) {
+                this._lint($, reporter, config);
             };
             /**
              * Lints the HTML of the current document.
@@ -1212,7 +3280,7 @@ var LocationIndex = _location.LocationIndex;
                 var seenLint = false;
                 var errorCount = 0;
                 var reporter = function (lint) {
-                    var background = 'background: #' + (lint.id[0] === 'W' ? 'f0ad4e' : 'd9534f') + '; color: #ffffff;';
+                    var background = 'background: #' + (lint.severity === 'warning' ? 'f0ad4e' : 'd9534f') + '; color: #ffffff;';
                     if (!seenLint) {
                         if (alertOnFirstProblem) {
                             /* eslint-disable-next-line no-alert, no-undef */
@@ -0,0 +1,116 @@
+/**
+ * The lint cache of the command-line interface, which stores the results of linting files
+ * so that the files that haven't changed since they were last linted with the same version of Bootlint
+ * and the same configuration, plugins and preprocessors are not linted again.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var Deferred = require('bluebird');
+var writeFile = Deferred.promisify(fs.writeFile);
+var pkg = require('../package.json');
+var moduleVersionsOf = require('./config').moduleVersionsOf;
+
+var CACHE_VERSION = 1;
+
+/**
+ * @typedef {Object} LintResult
+ * @property {PlainLintProblem[]} problems The problems of the file
+ * @property {?string} output The fixed HTML if fixes were requested and it differs from the original, otherwise null
+ */
+
+function hashOf(string) {
+    return crypto.createHash('sha1').update(string).digest('hex');
+}
+
+/**
+ * @param {Object} config Configuration that a file is linted with
+ * @returns {string} Hash of the configuration, including the source code of its preprocessor functions
+ */
+function configHashOf(config) {
+    return hashOf(JSON.stringify(config, function (key, value) {
+        return typeof value === 'function' ? String(value) : value;
+    }));
+}
+exports.configHashOf = configHashOf;
+
+/**
+ * Cache of lint results, stored in a JSON file.
+ * Each file has one entry, which holds the results of the last time it was linted.
+ * @param {string} filePath Path of the cache file
+ * @class
+ */
+function LintCache(filePath) {
+    this._filePath = filePath;
+    this._entries = {};
+}
+exports.LintCache = LintCache;
+
+/**
+ * Reads the cache file. A missing, unreadable or outdated cache file leaves the cache empty,
+ * since all that is lost is the time it takes to lint the files again.
+ * @returns {undefined} Nothing
+ */
+LintCache.prototype.load = function () {
+    try {
+        var stored = JSON.parse(fs.readFileSync(this._filePath, {encoding: 'utf8'}));
+        if (stored && stored.version === CACHE_VERSION && stored.entries && typeof stored.entries === 'object') {
+            this._entries = stored.entries;
+        }
+    } catch (err) {
+        this._entries = {};
+    }
+};
+
+/**
+ * @returns {Promise} Promise that is resolved once the cache file has been written
+ */
+LintCache.prototype.save = function () {
+    return writeFile(this._filePath, JSON.stringify({
+        version: CACHE_VERSION,
+        entries: this._entries
+    }), {encoding: 'utf8'});
+};
+
+/**
+ * @param {string} contents The contents of a file
+ * @param {Object} config Configuration that the file is linted with
+ * @param {boolean} isFixing Whether fixes are requested
+ * @returns {string} Key of the results of linting the file: a hash of its contents, the version of Bootlint,
+ *      the configuration and the versions of its plugins and preprocessor
+ */
+LintCache.prototype.keyOf = function (contents, config, isFixing) {
+    return hashOf([
+        hashOf(contents),
+        pkg.version,
+        configHashOf(config),
+        moduleVersionsOf(config).join(' '),
+        isFixing ? 'fix' : 'lint'
+    ].join('\n'));
+};
+
+/**
+ * @param {string} filePath Path of a file
+ * @param {string} key Key of the results (see `keyOf()`)
+ * @returns {?LintResult} The cached results of the file, or null if it wasn't linted with the same key before
+ */
+LintCache.prototype.get = function (filePath, key) {
+    var entry = this._entries[path.resolve(filePath)];
+    return entry && entry.key === key ? entry.result : null;
+};
+
+/**
+ * @param {string} filePath Path of a file
+ * @param {string} key Key of the results (see `keyOf()`)
+ * @param {LintResult} result The results of linting the file
+ * @returns {undefined} Nothing
+ */
+LintCache.prototype.set = function (filePath, key, result) {
+    this._entries[path.resolve(filePath)] = {
+        key: key,
+        result: result
+    };
+};
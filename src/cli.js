@@ -3,45 +3,392 @@
 'use strict';
 
 var Deferred = require('bluebird');
-var chalk = require('chalk');
 var commander = require('commander');
-var readFile = Deferred.promisify(require('fs').readFile);
-var glob = Deferred.promisify(require('glob'));
+var fs = require('fs');
+var os = require('os');
+var readFile = Deferred.promisify(fs.readFile);
+var writeFile = Deferred.promisify(fs.writeFile);
+var path = require('path');
 var pkg = require('../package.json');
+var baseline = require('./baseline');
 var bootlint = require('./bootlint');
+var LintCache = require('./cache').LintCache;
+var ConfigResolver = require('./config').ConfigResolver;
+var crawl = require('./crawl');
+var files = require('./files');
+var formatters = require('./formatters');
+var LanguageServer = require('./lsp').LanguageServer;
+var render = require('./render');
+var deserializeProblems = require('./results').deserializeProblems;
+var FileWatcher = require('./watch').FileWatcher;
+var workers = require('./workers');
+
+var RULE_PACKS = ['accessibility'];
 
 module.exports = function () {
     var program = (new commander.Command('bootlint'))
         .version(pkg.version)
         .description('Lint the HTML of Bootstrap projects')
-        .usage('[options] [files...]')
+        .usage('[options] [files or URLs...]')
         .option('-d, --disable <IDs>', 'Comma-separated list of disabled lint problem IDs', function (val) {
             return val.split(',');
         })
+        .option('-p, --plugin <name>', 'Load the linters of a plugin package (e.g. "acme" for bootlint-plugin-acme); may be repeated', function (val, names) {
+            return names.concat([val]);
+        }, [])
+        .option('--pack <name>', 'Also run the linters of a built-in rule pack (accessibility); may be repeated', function (val, names) {
+            return names.concat([val]);
+        }, [])
+        .option('-f, --format <format>', 'Output format: ' + Object.keys(formatters).join(', '), 'text')
+        .option('-o, --output-file <path>', 'Write the report to the given file instead of to stdout')
+        .option('--report-unused-disable-directives', 'Report `bootlint-disable` comments that do not suppress any problems')
+        .option('--bootstrap-version <version>', 'Major version of Bootstrap whose rules to apply: 3, 4, or auto (the default)')
+        .option('--fragment', 'Lint the files as fragments of pages (e.g. partials), skipping the linters that check whole pages')
+        .option('--detect-fragments', 'Lint the files that have no <html> or <head> as fragments of pages')
+        .option('--migrate-to <version>', 'Instead of linting, report the Bootstrap v3 markup that is left to migrate to the given major version (4)')
+        .option('--fix', 'Automatically fix problems where possible, rewriting the files')
+        .option('--fix-dry-run', 'Automatically fix problems where possible, without rewriting the files')
+        .option('--max-warnings <N>', 'Only exit with an error status if there are errors or more than N warnings')
+        .option('--crawl-depth <N>', 'Also lint the same-origin pages that the given URLs link to, following links up to N levels deep (default: 0)')
+        .option('--max-pages <N>', 'Lint at most N pages per URL when crawling (default: 100)')
+        .option('--render', 'Lint the DOM of the pages after loading them in jsdom and running their local scripts (requires the jsdom package)')
+        .option('--baseline', 'Only report the problems that are not recorded in the baseline file')
+        .option('--write-baseline', 'Instead of reporting them, record the current problems in the baseline file')
+        .option('--baseline-file <path>', 'Path of the baseline file (default: .bootlint-baseline.json)', '.bootlint-baseline.json')
+        .option('--cache', 'Only lint the files that changed since they were last linted, reusing the stored results of the others')
+        .option('--cache-location <path>', 'Path of the cache file (default: .bootlintcache)', '.bootlintcache')
+        .option('--concurrency <N>', 'Lint files in up to N worker threads (default: the number of CPUs; 0 lints them on the main thread)')
+        .option('-w, --watch', 'Keep running, and re-lint the files matching the given patterns whenever they change')
+        .option('--lsp', 'Run as a Language Server Protocol server over stdin and stdout, for editor integration')
         .parse(process.argv);
 
-    var disabledIds = typeof program.disable === 'undefined' ? [] : program.disable;
+    if (program.lsp) {
+        new LanguageServer(process.stdin, process.stdout).listen();
+        return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(formatters, program.format)) {
+        console.error('Unknown output format: ' + program.format);
+        process.exit(1);
+    }
+
+    var bootstrapVersion = program.bootstrapVersion;
+    if (typeof bootstrapVersion !== 'undefined') {
+        if (['3', '4', 'auto'].indexOf(bootstrapVersion) === -1) {
+            console.error('Unknown Bootstrap version: ' + bootstrapVersion);
+            process.exit(1);
+        }
+        bootstrapVersion = bootstrapVersion === 'auto' ? bootstrapVersion : Number(bootstrapVersion);
+    }
+
+    if (program.render) {
+        if (program.fix || program.fixDryRun) {
+            console.error('--render cannot be combined with --fix or --fix-dry-run');
+            process.exit(1);
+        }
+        try {
+            render.loadJsdom();
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+    }
+
+    if (program.watch && (!program.args.length || program.args.some(function (pattern) {
+        return pattern === '-' || crawl.isUrl(pattern);
+    }))) {
+        console.error('--watch only works with file patterns');
+        process.exit(1);
+    }
+
+    if (program.writeBaseline && program.watch) {
+        console.error('--write-baseline cannot be combined with --watch');
+        process.exit(1);
+    }
+
+    var baselineDir = path.dirname(path.resolve(program.baselineFile));
+    var knownProblems = null;
+    if (program.baseline && !program.writeBaseline) {
+        try {
+            knownProblems = baseline.readBaseline(program.baselineFile);
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+    }
+
+    var unknownPack = program.pack.filter(function (name) {
+        return RULE_PACKS.indexOf(name) === -1;
+    })[0];
+    if (unknownPack) {
+        console.error('Unknown rule pack: ' + unknownPack);
+        process.exit(1);
+    }
+
+    if (typeof program.migrateTo !== 'undefined' && program.migrateTo !== '4') {
+        console.error('Unsupported Bootstrap version to migrate to: ' + program.migrateTo);
+        process.exit(1);
+    }
+    var migrateTo = typeof program.migrateTo === 'undefined' ? null : Number(program.migrateTo);
+
+    function nonNegativeIntegerOption(name, value) {
+        if (typeof value === 'undefined') {
+            return null;
+        }
+        if (!/^\d+$/.test(value)) {
+            console.error('--' + name + ' must be a non-negative integer: ' + value);
+            process.exit(1);
+        }
+        return Number(value);
+    }
+
+    var maxWarnings = nonNegativeIntegerOption('max-warnings', program.maxWarnings);
+    var crawlOptions = {
+        depth: nonNegativeIntegerOption('crawl-depth', program.crawlDepth) || 0
+    };
+    var maxPages = nonNegativeIntegerOption('max-pages', program.maxPages);
+    if (maxPages !== null) {
+        crawlOptions.maxPages = maxPages;
+    }
+    var concurrency = nonNegativeIntegerOption('concurrency', program.concurrency);
+    if (concurrency === null) {
+        concurrency = os.cpus().length;
+    }
+
+    // plugins named on the command line are looked up from the current directory
+    try {
+        program.plugin.forEach(function (name) {
+            bootlint.loadPlugin(name, process.cwd());
+        });
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    var cliConfig = {
+        disabledIds: typeof program.disable === 'undefined' ? [] : program.disable,
+        plugins: program.plugin,
+        packs: program.pack,
+        reportUnusedDisableDirectives: Boolean(program.reportUnusedDisableDirectives)
+    };
+    if (typeof bootstrapVersion !== 'undefined') {
+        cliConfig.bootstrapVersion = bootstrapVersion;
+    }
+    if (program.fragment) {
+        cliConfig.fragment = true;
+    } else if (program.detectFragments) {
+        cliConfig.fragment = 'auto';
+    }
+    if (migrateTo) {
+        cliConfig.migrateTo = migrateTo;
+    }
+    var formatter = formatters[program.format];
     var totalErrCount = 0;
+    var totalWarningCount = 0;
     var totalFileCount = 0;
-    var lintedFiles = [];
+    var fetchFailed = false;
+    var results = [];
+    var staleByFile = {};
+    var configResolver = new ConfigResolver();
+    var pool = null;
+    var cache = null;
+    if (program.cache && !program.render) {
+        cache = new LintCache(program.cacheLocation);
+        cache.load();
+    }
+
+    function configFor(filePath) {
+        var config = configResolver.configForFile(filePath, cliConfig);
+        // plugins named in config files are looked up from the linted file
+        config.plugins.forEach(function (name) {
+            bootlint.loadPlugin(name, path.dirname(path.resolve(filePath)));
+        });
+        return config;
+    }
+
+    function locationCountOf(lint) {
+        return lint.elements && lint.elements.length || 1;
+    }
 
-    function buildReporter(origin) {
+    function buildReporter(result) {
         return function (lint) {
-            var lintId = lint.id[0] === 'E' ? chalk.bgGreen.white(lint.id) : chalk.bgRed.white(lint.id);
-            var output = false;
-            if (lint.elements) {
-                lint.elements.each(function (_, element) {
-                    var loc = element.startLocation;
-                    console.log(origin + ':' + (loc.line + 1) + ':' + (loc.column + 1), lintId, lint.message);
-                    totalErrCount++;
-                    output = true;
-                });
+            result.problems.push(lint);
+            totalErrCount += locationCountOf(lint);
+            if (lint.severity === 'warning') {
+                totalWarningCount += locationCountOf(lint);
             }
-            if (!output) {
-                console.log(origin + ':', lintId, lint.message);
-                totalErrCount++;
+        };
+    }
+
+    /**
+     * @param {string} origin Name of the file (or "<stdin>", or the URL of the page)
+     * @returns {string} Name of the file in the baseline: its path relative to the baseline file, or the name as is
+     */
+    function baselineKeyOf(origin) {
+        if (origin === '<stdin>' || crawl.isUrl(origin)) {
+            return origin;
+        }
+        return path.relative(baselineDir, path.resolve(origin)).split(path.sep).join('/');
+    }
+
+    /**
+     * @param {string} origin Name of the file (or "<stdin>", or the URL of the page)
+     * @param {Array.<(LintError|LintWarning)>} problems All of the problems of the file
+     * @returns {Array.<(LintError|LintWarning)>} The problems to report, i.e. those not recorded in the baseline when using one
+     */
+    function newProblemsIn(origin, problems) {
+        if (!knownProblems) {
+            return problems;
+        }
+        var applied = baseline.applyBaseline(knownProblems, baselineKeyOf(origin), problems);
+        if (applied.stale.length) {
+            staleByFile[origin] = applied.stale;
+        }
+        return applied.problems;
+    }
+
+    function printMigrationSummary() {
+        results.forEach(function (result) {
+            var countsById = {};
+            var count = 0;
+            result.problems.forEach(function (lint) {
+                countsById[lint.id] = (countsById[lint.id] || 0) + locationCountOf(lint);
+                count += locationCountOf(lint);
+            });
+            var breakdown = Object.keys(countsById).sort().map(function (id) {
+                return id + ': ' + countsById[id];
+            }).join(', ');
+            console.log(result.filePath + ': ' + (count ? count + ' occurrence(s) of Bootstrap v3 markup left to migrate (' + breakdown + ')' : 'nothing left to migrate'));
+        });
+        console.log(String(totalErrCount) + ' occurrence(s) of Bootstrap v3 markup left to migrate to Bootstrap v' + migrateTo + ' across ' + totalFileCount + ' file(s).');
+    }
+
+    /**
+     * Starts linting files in worker threads, unless they are unavailable or disabled.
+     * @returns {undefined} Nothing
+     */
+    function startPool() {
+        if (pool === null && concurrency > 0 && workers.isSupported() && !program.render) {
+            pool = new workers.WorkerPool(concurrency, cliConfig);
+        }
+    }
+
+    /**
+     * Lints (and, if requested, fixes) HTML in a worker thread if there are any, or takes the results from the cache.
+     * @param {string} contents The HTML
+     * @param {string} origin Name of the file (or "<stdin>", or the URL of the page)
+     * @param {string} configPath Path of the file whose configuration to lint with
+     * @param {Object} config Configuration to lint with
+     * @returns {Promise.<LintResult>} The results
+     */
+    function lintResultOf(contents, origin, configPath, config) {
+        var isFixing = Boolean(program.fix || program.fixDryRun);
+        // the contents of stdin and of pages change without the cache noticing
+        var cacheKey = cache && origin !== '<stdin>' && !crawl.isUrl(origin) ? cache.keyOf(contents, config, isFixing) : null;
+        var cached = cacheKey ? cache.get(origin, cacheKey) : null;
+        if (cached) {
+            return Deferred.resolve(cached);
+        }
+        var linting = null;
+        if (pool) {
+            linting = pool.run({
+                configPath: configPath,
+                contents: contents,
+                isFixing: isFixing
+            });
+        } else {
+            linting = Deferred.try(function () {
+                return workers.lintSource(contents, config, isFixing);
+            });
+        }
+        return linting.then(function (lintResult) {
+            if (cacheKey) {
+                cache.set(origin, cacheKey, lintResult);
             }
+            return lintResult;
+        });
+    }
+
+    /**
+     * Lints (and, if requested, fixes or renders) the contents of a file.
+     * @param {string} contents The HTML
+     * @param {string} origin Name of the file (or "<stdin>", or the URL of the page)
+     * @param {string} pageUrl URL of the page that the HTML is loaded from when rendering it
+     * @param {string} configPath Path of the file whose configuration to lint with
+     * @returns {Promise.<(string|null)>} The fixed HTML if it differs from the original, otherwise null
+     */
+    function lintContents(contents, origin, pageUrl, configPath) {
+        var config = configFor(configPath);
+        var result = {
+            filePath: origin,
+            problems: []
+        };
+        results.push(result);
+        totalFileCount++;
+        var problems = [];
+        var collector = function (lint) {
+            problems.push(lint);
         };
+
+        var linted = null;
+        if (program.render) {
+            linted = render.lintRenderedHtml(contents, collector, {
+                url: pageUrl,
+                config: config
+            }).then(function () {
+                return null;
+            });
+        } else {
+            linted = lintResultOf(contents, origin, configPath, config).then(function (lintResult) {
+                deserializeProblems(lintResult.problems).forEach(collector);
+                if (lintResult.output !== null) {
+                    result.output = lintResult.output;
+                }
+                return lintResult.output;
+            });
+        }
+        return linted.then(function (output) {
+            newProblemsIn(origin, problems).forEach(buildReporter(result));
+            return output;
+        });
+    }
+
+    /**
+     * Drops the result of a file, e.g. before re-linting it.
+     * @param {string} filePath Name of the file
+     * @returns {integer} The index the result had, or -1 if there was none
+     */
+    function forgetResult(filePath) {
+        var index = -1;
+        results.some(function (result, i) {
+            if (result.filePath === filePath) {
+                index = i;
+                return true;
+            }
+            return false;
+        });
+        delete staleByFile[filePath];
+        if (index === -1) {
+            return index;
+        }
+        results.splice(index, 1)[0].problems.forEach(function (lint) {
+            totalErrCount -= locationCountOf(lint);
+            if (lint.severity === 'warning') {
+                totalWarningCount -= locationCountOf(lint);
+            }
+        });
+        totalFileCount--;
+        return index;
+    }
+
+    function writeReport(report) {
+        if (program.outputFile) {
+            return writeFile(program.outputFile, report + '\n', {encoding: 'utf8'});
+        }
+        if (report) {
+            console.log(report);
+        }
+        return Deferred.resolve();
     }
 
     function handleStdin() {
@@ -59,25 +406,45 @@ module.exports = function () {
             });
 
             process.stdin.on('end', function () {
-                bootlint.lintHtml(stdInput.join(''), buildReporter('<stdin>'), disabledIds);
-                totalFileCount++;
-                resolve();
+                // there is no file to write fixes back to, so --fix behaves like --fix-dry-run here
+                var stdinPath = path.resolve('<stdin>');
+                resolve(lintContents(stdInput.join(''), '<stdin>', render.fileUrlOf(stdinPath), stdinPath));
             });
         });
     }
 
+    function handleFile(file) {
+        return lintContents(file.contents, file.filePath, render.fileUrlOf(file.filePath), file.filePath)
+            .then(function (output) {
+                if (output !== null && program.fix) {
+                    return writeFile(file.filePath, output, {encoding: 'utf8'});
+                }
+                return Deferred.resolve();
+            });
+    }
+
     function handlePath(pattern) {
-        return glob(pattern)
-            .map(function (name) {
-                return Deferred.props({
-                    contents: readFile(name, {encoding: 'utf8'}),
-                    name: name
-                });
+        return files.readFiles(pattern, configResolver).then(function (sourceFiles) {
+            // a single file is linted faster than a worker thread starts
+            if (sourceFiles.length > 1) {
+                startPool();
+            }
+            // start linting all of the files before any of them is done, so that they are linted concurrently
+            return {
+                done: Deferred.all(sourceFiles.map(handleFile))
+            };
+        });
+    }
+
+    function handleUrl(startUrl) {
+        return crawl.crawl(startUrl, crawlOptions)
+            .each(function (page) {
+                // there is no file to write fixes back to, so --fix behaves like --fix-dry-run here
+                return lintContents(page.contents, page.url, page.url, path.resolve('<url>'));
             })
-            .each(function (file) {
-                bootlint.lintHtml(file.contents, buildReporter(file.name), disabledIds);
-                totalFileCount++;
-                return Deferred.resolve();
+            .catch(function (err) {
+                fetchFailed = true;
+                console.error('Could not fetch ' + err.message);
             });
     }
 
@@ -85,23 +452,193 @@ module.exports = function () {
         program.args.push('-');
     }
 
-    program.args.forEach(function (pattern) {
-        lintedFiles.push(pattern === '-' ? handleStdin() : handlePath(pattern));
+    // the files of each argument are added to the report only once those of the previous arguments have been,
+    // so that the report is in the same order however long linting takes
+    var lintedFiles = Deferred.mapSeries(program.args, function (pattern) {
+        if (pattern === '-') {
+            return handleStdin().then(function () {
+                return {done: Deferred.resolve()};
+            });
+        }
+        if (crawl.isUrl(pattern)) {
+            return handleUrl(pattern).then(function () {
+                return {done: Deferred.resolve()};
+            });
+        }
+        return handlePath(pattern);
+    }).map(function (started) {
+        return started.done;
+    }).finally(function () {
+        if (pool) {
+            pool.close();
+            pool = null;
+        }
     });
 
-    Deferred.all(lintedFiles).then(function () {
+    /**
+     * Without --max-warnings, any problem fails the run; with it, only errors or too many warnings do.
+     * URLs that could not be fetched fail the run too.
+     * @returns {boolean} Whether the run failed
+     */
+    function failed() {
+        if (fetchFailed) {
+            return true;
+        }
+        if (maxWarnings === null) {
+            return totalErrCount > 0;
+        }
+        return totalErrCount > totalWarningCount || totalWarningCount > maxWarnings;
+    }
+
+    function printSummary() {
+        // machine-readable reports on stdout must not be followed by anything else
+        if (!formatter.humanReadable && !program.outputFile) {
+            return;
+        }
         console.log('');
 
+        if (migrateTo) {
+            printMigrationSummary();
+            return;
+        }
+
         if (totalErrCount > 0) {
             console.log('For details, look up the lint problem IDs in the Bootlint wiki: https://github.com/twbs/bootlint/wiki');
         }
 
         console.log(String(totalErrCount) + ' lint error(s) found across ' + totalFileCount + ' file(s).');
+        if (maxWarnings !== null && totalWarningCount > maxWarnings) {
+            console.log('Bootlint found too many warnings (maximum: ' + maxWarnings + ').');
+        }
+    }
 
-        if (totalErrCount) {
-            process.exit(1);
+    /**
+     * Lists the baseline entries whose problems no longer occur, so that the baseline can be shrunk.
+     * @returns {undefined} Nothing
+     */
+    function printStaleEntries() {
+        var origins = Object.keys(staleByFile);
+        if (!origins.length) {
+            return;
         }
-    }, function (err) {
+        // machine-readable reports on stdout must not be followed by anything else
+        var log = !formatter.humanReadable && !program.outputFile ? console.error : console.log;
+        log('');
+        log('The baseline records problems that no longer occur; run Bootlint with --write-baseline to remove them:');
+        origins.forEach(function (origin) {
+            staleByFile[origin].forEach(function (entry) {
+                log(origin + ': ' + entry.id + ' ' + entry.fingerprint + (entry.count > 1 ? ' (' + entry.count + ' times)' : ''));
+            });
+        });
+    }
+
+    function printReport() {
+        return writeReport(formatter(results, {color: !program.outputFile})).then(printSummary).then(printStaleEntries);
+    }
+
+    /**
+     * Records the problems of all of the linted files in the baseline file.
+     * @returns {Promise} Promise that is resolved once the baseline file has been written
+     */
+    function writeBaselineFile() {
+        var recorded = baseline.createBaseline(results.map(function (result) {
+            return {
+                key: baselineKeyOf(result.filePath),
+                problems: result.problems
+            };
+        }));
+        return baseline.writeBaseline(program.baselineFile, recorded).then(function () {
+            console.log('Wrote a baseline of ' + totalErrCount + ' problem(s) in ' + Object.keys(recorded.files).length +
+                ' file(s) to ' + program.baselineFile + '.');
+        });
+    }
+
+    /**
+     * Re-lints the files that changed, and redraws the report with the results of all of the files.
+     * @param {FileChanges} changes The files that were added, changed or deleted
+     * @returns {Promise} Promise that is resolved once the report has been redrawn
+     */
+    function relint(changes) {
+        changes.deleted.forEach(forgetResult);
+        return Deferred.each(changes.changed.concat(changes.added), function (filePath) {
+            return readFile(filePath, {encoding: 'utf8'}).then(function (contents) {
+                var index = forgetResult(filePath);
+                return handleFile({
+                    filePath: filePath,
+                    contents: contents
+                }).then(function () {
+                    // keep the file's place in the report
+                    if (index !== -1) {
+                        results.splice(index, 0, results.pop());
+                    }
+                });
+            }, function () {
+                // deleted in the meantime
+                forgetResult(filePath);
+            });
+        }).then(function () {
+            return cache ? cache.save() : null;
+        }).then(function () {
+            if (process.stdout.isTTY) {
+                // clear the terminal
+                process.stdout.write('\u001b[2J\u001b[H');
+            }
+            return printReport();
+        }).then(function () {
+            var reason = changes.configChanged ? 'The configuration changed; re-linted ' : 'Re-linted ';
+            console.log('[' + new Date().toLocaleTimeString() + '] ' + reason + changes.changed.length + ' changed and ' + changes.added.length +
+                ' added file(s); ' + changes.deleted.length + ' file(s) deleted. Watching for changes...');
+        });
+    }
+
+    function watch() {
+        var relinting = Deferred.resolve();
+        var watcher = new FileWatcher(program.args, function (filePath) {
+            try {
+                return configResolver.isIgnored(filePath);
+            } catch (err) {
+                // an invalid config file is reported when the file is re-linted
+                return false;
+            }
+        }, function (changes) {
+            // re-lint one batch of changes at a time
+            relinting = relinting.then(function () {
+                return relint(changes);
+            }).catch(function (err) {
+                console.error(err.stack);
+            });
+        }, {
+            configFiles: function () {
+                return configResolver.configFiles();
+            },
+            onConfigChange: function () {
+                // the watcher then reports all of the files as changed, to be re-linted with the new configuration
+                configResolver = new ConfigResolver();
+            }
+        });
+        return watcher.start().then(function () {
+            console.log('Watching for changes...');
+        });
+    }
+
+    lintedFiles.then(function () {
+        return cache ? cache.save() : null;
+    }).then(function () {
+        if (program.writeBaseline) {
+            return writeBaselineFile();
+        }
+        return printReport().then(function () {
+            if (program.watch) {
+                return watch();
+            }
+            if (failed()) {
+                process.exit(1);
+            }
+            return Deferred.resolve();
+        });
+    }).catch(function (err) {
+        // e.g. an invalid config file; the run must not pass for lack of problems
+        process.exitCode = 1;
         console.error(err.stack);
     });
 };
@@ -0,0 +1,585 @@
+/**
+ * Lookup, loading, and merging of Bootlint configuration files
+ * (`.bootlintrc.js`, `.bootlintrc.json`, or the "bootlint" property of package.json).
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var minimatch = require('minimatch');
+var preprocessors = require('./preprocessors');
+
+var CONFIG_FILENAMES = ['.bootlintrc.js', '.bootlintrc.json', 'package.json'];
+var SEVERITIES = ['off', 'warn', 'error'];
+var BOOTSTRAP_VERSIONS = [3, 4, 'auto'];
+var FRAGMENT_MODES = [true, false, 'auto'];
+var GRID_PROPERTIES = ['columns', 'breakpoints', 'containers'];
+var MERGED_PROPERTIES = ['disabledIds', 'rules', 'plugins', 'packs', 'bootstrapVersion', 'fragment', 'preprocessors', 'grid', 'classAliases', 'classPrefix'];
+var TOP_LEVEL_PROPERTIES = MERGED_PROPERTIES.concat(['root', 'extends', 'ignorePatterns', 'overrides']);
+var OVERRIDE_PROPERTIES = MERGED_PROPERTIES.concat(['files', 'excludedFiles']);
+
+// versions of the loaded plugins, by package name, and of the loaded preprocessor modules, for the lint cache
+var pluginVersions = {};
+var preprocessorVersions = [];
+
+/**
+ * A configuration with all of its paths resolved, ready to be merged with other layers.
+ * `ignorePatterns`, `overrides[].files` and `overrides[].excludedFiles` hold absolute glob patterns.
+ * @typedef {Object} ConfigLayer
+ * @property {boolean} root Whether configuration lookup should stop at this layer
+ * @property {string[]} disabledIds IDs of linters to disable
+ * @property {Object.<string, string>} rules Map from linter IDs to severities ("off", "warn", or "error")
+ * @property {string[]} plugins Names of plugins to load
+ * @property {string[]} packs Names of the built-in rule packs to enable (e.g. "accessibility")
+ * @property {(integer|string)} [bootstrapVersion] Major version of Bootstrap whose rules to apply (3 or 4), or "auto"
+ * @property {(boolean|string)} [fragment] Whether files are fragments of pages that skip the document-level linters, or "auto"
+ * @property {Object.<string, (string|function)>} preprocessors Map from file extensions to the names of built-in preprocessors or preprocessor functions
+ * @property {Object} [grid] Customizations of the Bootstrap v3 grid: its number of `columns`, the names of its `breakpoints`
+ *      and the classes of additional `containers`
+ * @property {Object.<string, string>} [classAliases] Map from the project's class names to the (space-separated) Bootstrap classes they stand for
+ * @property {string} [classPrefix] Prefix of the project's names of Bootstrap classes (e.g. "bs-")
+ * @property {string[]} ignorePatterns Patterns of files that should not be linted
+ * @property {Object[]} overrides Partial configurations that only apply to files matching their patterns
+ */
+
+function emptyLayer() {
+    return {
+        root: false,
+        disabledIds: [],
+        rules: {},
+        plugins: [],
+        packs: [],
+        preprocessors: {},
+        ignorePatterns: [],
+        overrides: []
+    };
+}
+
+function union(first, second) {
+    return first.concat(second.filter(function (item) {
+        return first.indexOf(item) === -1;
+    }));
+}
+
+function mergedMaps(base, layer) {
+    var result = {};
+    [base, layer || {}].forEach(function (map) {
+        Object.keys(map).forEach(function (key) {
+            result[key] = map[key];
+        });
+    });
+    return result;
+}
+
+function merged(base, layer) {
+    var result = {
+        disabledIds: union(base.disabledIds, layer.disabledIds || []),
+        rules: mergedMaps(base.rules, layer.rules),
+        plugins: union(base.plugins, layer.plugins || []),
+        packs: union(base.packs, layer.packs || []),
+        preprocessors: mergedMaps(base.preprocessors, layer.preprocessors)
+    };
+    ['bootstrapVersion', 'fragment', 'classPrefix'].forEach(function (property) {
+        var value = typeof layer[property] === 'undefined' ? base[property] : layer[property];
+        if (typeof value !== 'undefined') {
+            result[property] = value;
+        }
+    });
+    if (base.grid || layer.grid) {
+        result.grid = mergedMaps(base.grid || {}, layer.grid);
+    }
+    if (base.classAliases || layer.classAliases) {
+        result.classAliases = mergedMaps(base.classAliases || {}, layer.classAliases);
+    }
+    return result;
+}
+
+function mergedLayers(base, layer) {
+    var result = merged(base, layer);
+    result.root = layer.root;
+    result.ignorePatterns = base.ignorePatterns.concat(layer.ignorePatterns);
+    result.overrides = base.overrides.concat(layer.overrides);
+    return result;
+}
+
+function toPosixPath(filePath) {
+    return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Resolves a glob pattern relative to the directory of the config file it came from.
+ * Like in .gitignore files, a pattern without any slash matches at any depth.
+ * @param {string} pattern Glob pattern from a config file
+ * @param {string} baseDir Directory containing the config file
+ * @returns {string} Absolute glob pattern using forward slashes
+ */
+function absolutePattern(pattern, baseDir) {
+    if (pattern.indexOf('/') === -1) {
+        pattern = '**/' + pattern;
+    } else if (pattern[pattern.length - 1] === '/') {
+        pattern += '**';
+    }
+    return toPosixPath(path.resolve(baseDir, pattern));
+}
+
+/**
+ * @param {string} filePath Absolute path of a file
+ * @param {string[]} patterns Absolute glob patterns
+ * @returns {boolean} Whether the file, or any directory containing it, matches any of the patterns
+ */
+function matchesAny(filePath, patterns) {
+    var candidate = toPosixPath(filePath);
+    return patterns.some(function (pattern) {
+        var current = candidate;
+        while (true) {
+            if (minimatch(current, pattern, {dot: true})) {
+                return true;
+            }
+            var parent = path.posix.dirname(current);
+            if (parent === current) {
+                return false;
+            }
+            current = parent;
+        }
+    });
+}
+
+function validateStringArray(value, property, source) {
+    if (!Array.isArray(value) || value.some(function (item) {
+        return typeof item !== 'string';
+    })) {
+        throw new Error(source + ': "' + property + '" must be an array of strings');
+    }
+}
+
+function validate(config, allowedProperties, source) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(source + ': configuration must be an object');
+    }
+    Object.keys(config).forEach(function (property) {
+        if (allowedProperties.indexOf(property) === -1) {
+            throw new Error(source + ': unexpected property "' + property + '"');
+        }
+    });
+    ['disabledIds', 'plugins', 'packs', 'ignorePatterns', 'files', 'excludedFiles'].forEach(function (property) {
+        if (typeof config[property] !== 'undefined') {
+            validateStringArray(config[property], property, source);
+        }
+    });
+    if (typeof config.rules !== 'undefined') {
+        if (config.rules === null || typeof config.rules !== 'object' || Array.isArray(config.rules)) {
+            throw new Error(source + ': "rules" must be an object');
+        }
+        Object.keys(config.rules).forEach(function (id) {
+            if (SEVERITIES.indexOf(config.rules[id]) === -1) {
+                throw new Error(source + ': severity of "' + id + '" must be one of: ' + SEVERITIES.join(', '));
+            }
+        });
+    }
+    if (typeof config.preprocessors !== 'undefined') {
+        if (config.preprocessors === null || typeof config.preprocessors !== 'object' || Array.isArray(config.preprocessors)) {
+            throw new Error(source + ': "preprocessors" must be an object');
+        }
+        Object.keys(config.preprocessors).forEach(function (extension) {
+            var preprocessor = config.preprocessors[extension];
+            if (extension[0] !== '.') {
+                throw new Error(source + ': preprocessor file extensions must start with a dot: "' + extension + '"');
+            }
+            if (typeof preprocessor !== 'string' && typeof preprocessor !== 'function') {
+                throw new Error(source + ': preprocessor for "' + extension + '" must be a name, a module path or a function');
+            }
+        });
+    }
+    if (typeof config.grid !== 'undefined') {
+        if (config.grid === null || typeof config.grid !== 'object' || Array.isArray(config.grid)) {
+            throw new Error(source + ': "grid" must be an object');
+        }
+        Object.keys(config.grid).forEach(function (property) {
+            if (GRID_PROPERTIES.indexOf(property) === -1) {
+                throw new Error(source + ': unexpected property "grid.' + property + '"');
+            }
+        });
+        var columns = config.grid.columns;
+        if (typeof columns !== 'undefined' && !(typeof columns === 'number' && columns % 1 === 0 && columns > 0)) {
+            throw new Error(source + ': "grid.columns" must be a positive integer');
+        }
+        ['breakpoints', 'containers'].forEach(function (property) {
+            if (typeof config.grid[property] !== 'undefined') {
+                validateStringArray(config.grid[property], 'grid.' + property, source);
+            }
+        });
+    }
+    if (typeof config.classAliases !== 'undefined') {
+        if (config.classAliases === null || typeof config.classAliases !== 'object' || Array.isArray(config.classAliases)) {
+            throw new Error(source + ': "classAliases" must be an object');
+        }
+        Object.keys(config.classAliases).forEach(function (name) {
+            var classes = config.classAliases[name];
+            if (typeof classes !== 'string' || !classes.trim() || /\s/.test(name)) {
+                throw new Error(source + ': "classAliases" must map class names to space-separated Bootstrap classes: "' + name + '"');
+            }
+        });
+    }
+    if (typeof config.classPrefix !== 'undefined' && (typeof config.classPrefix !== 'string' || /\s/.test(config.classPrefix))) {
+        throw new Error(source + ': "classPrefix" must be a string without whitespace');
+    }
+    if (typeof config.bootstrapVersion !== 'undefined' && BOOTSTRAP_VERSIONS.indexOf(config.bootstrapVersion) === -1) {
+        throw new Error(source + ': "bootstrapVersion" must be one of: ' + BOOTSTRAP_VERSIONS.join(', '));
+    }
+    if (typeof config.fragment !== 'undefined' && FRAGMENT_MODES.indexOf(config.fragment) === -1) {
+        throw new Error(source + ': "fragment" must be one of: ' + FRAGMENT_MODES.join(', '));
+    }
+    if (typeof config.overrides !== 'undefined') {
+        if (!Array.isArray(config.overrides)) {
+            throw new Error(source + ': "overrides" must be an array');
+        }
+        config.overrides.forEach(function (override, index) {
+            var overrideSource = source + ' (overrides[' + index + '])';
+            validate(override, OVERRIDE_PROPERTIES, overrideSource);
+            if (!override.files) {
+                throw new Error(overrideSource + ': "files" is required');
+            }
+        });
+    }
+}
+
+/**
+ * Finds an installed npm package by looking in the node_modules directories of the given directory and its ancestors.
+ * @param {string} name Name of the package
+ * @param {string} baseDir Directory to start looking in
+ * @returns {string} Path of the package's main module
+ */
+function resolvePackage(name, baseDir) {
+    var dir = baseDir;
+    while (true) {
+        var candidate = path.join(dir, 'node_modules', name);
+        if (fs.existsSync(candidate)) {
+            return require.resolve(candidate);
+        }
+        var parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+    // fall back to the packages Bootlint itself can see (e.g. globally installed ones)
+    return require.resolve(name);
+}
+exports.resolvePackage = resolvePackage;
+
+/**
+ * @param {string} name Name of an installed npm package
+ * @param {string} baseDir Directory to start looking for the package in
+ * @returns {string} The version in the package's package.json, or "" if it can't be read
+ */
+function packageVersionOf(name, baseDir) {
+    try {
+        return JSON.parse(fs.readFileSync(resolvePackage(name + '/package.json', baseDir), {encoding: 'utf8'})).version || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * @param {function} preprocessor A preprocessor function
+ * @returns {(Object|null)} The preprocessor and the version of its module, if it was loaded from a config file
+ */
+function loadedPreprocessorOf(preprocessor) {
+    return preprocessorVersions.filter(function (entry) {
+        return entry.preprocessor === preprocessor;
+    })[0] || null;
+}
+
+/**
+ * @param {string} modulePath Path of a module, with or without its extension
+ * @returns {string} The time the module's file was last modified, or "" if it can't be read
+ */
+function modifiedTimeOf(modulePath) {
+    try {
+        return fs.statSync(require.resolve(modulePath)).mtime.toISOString();
+    } catch (err) {
+        return '';
+    }
+}
+
+function resolveExtends(name, baseDir) {
+    if (/^\.{1,2}[\\/]/.test(name) || path.isAbsolute(name)) {
+        return path.resolve(baseDir, name);
+    }
+    if (name[0] !== '@' && name.indexOf('bootlint-config-') !== 0) {
+        name = 'bootlint-config-' + name;
+    }
+    return resolvePackage(name, baseDir);
+}
+
+/**
+ * Loads the preprocessors of a config file that are given as module paths (relative to the config file) or package names.
+ * @param {Object.<string, (string|function)>} preprocessorMap Map from file extensions to preprocessors
+ * @param {string} baseDir Directory of the config file
+ * @returns {Object.<string, (string|function)>} Map from file extensions to built-in preprocessor names or preprocessor functions
+ */
+function loadPreprocessors(preprocessorMap, baseDir) {
+    var result = {};
+    Object.keys(preprocessorMap).forEach(function (extension) {
+        var preprocessor = preprocessorMap[extension];
+        if (typeof preprocessor === 'string' && preprocessors.BUILT_IN_NAMES.indexOf(preprocessor) === -1) {
+            try {
+                var isPath = /^\.{1,2}[\\/]/.test(preprocessor) || path.isAbsolute(preprocessor);
+                var modulePath = isPath ? path.resolve(baseDir, preprocessor) : resolvePackage(preprocessor, baseDir);
+                var version = isPath ? modifiedTimeOf(modulePath) : packageVersionOf(preprocessor, baseDir);
+                preprocessor = require(modulePath); // eslint-disable-line global-require
+                var loaded = loadedPreprocessorOf(preprocessor);
+                if (loaded) {
+                    loaded.version = version;
+                } else {
+                    preprocessorVersions.push({
+                        preprocessor: preprocessor,
+                        version: version
+                    });
+                }
+            } catch (err) {
+                err.message = 'Cannot load preprocessor "' + preprocessor + '"\nError: ' + err.message;
+                throw err;
+            }
+        }
+        result[extension] = preprocessor;
+    });
+    return result;
+}
+
+/**
+ * @param {string} name Name of a plugin, e.g. "acme", "bootlint-plugin-acme", "@acme/widgets" or "@acme"
+ * @returns {string} Name of the plugin's npm package, e.g. "bootlint-plugin-acme", "@acme/bootlint-plugin-widgets" or "@acme/bootlint-plugin"
+ */
+function pluginPackageNameOf(name) {
+    if (name[0] === '@') {
+        var slash = name.indexOf('/');
+        if (slash === -1) {
+            return name + '/bootlint-plugin';
+        }
+        var scope = name.slice(0, slash);
+        var rest = name.slice(slash + 1);
+        return scope + '/' + (rest.indexOf('bootlint-plugin') === 0 ? rest : 'bootlint-plugin-' + rest);
+    }
+    return name.indexOf('bootlint-plugin-') === 0 ? name : 'bootlint-plugin-' + name;
+}
+
+/**
+ * Loads the npm package of a plugin.
+ * @param {string} name Name of the plugin (see `pluginPackageNameOf()`)
+ * @param {string} baseDir Directory to start looking for the package in
+ * @returns {Object} The plugin module
+ */
+function loadPlugin(name, baseDir) {
+    var packageName = pluginPackageNameOf(name);
+    var plugin = null;
+    try {
+        plugin = require(resolvePackage(packageName, baseDir)); // eslint-disable-line global-require
+    } catch (err) {
+        err.message = 'Cannot load plugin "' + name + '"\nError: ' + err.message;
+        throw err;
+    }
+    pluginVersions[packageName] = packageVersionOf(packageName, baseDir);
+    return plugin;
+}
+exports.loadPlugin = loadPlugin;
+
+/**
+ * The versions of the code that a configuration brings in besides Bootlint's own: those of the packages of its plugins,
+ * and that of the package of its preprocessor or, for a preprocessor module given by path, the time its file was last modified.
+ * Plugins and preprocessors that weren't loaded by `loadPlugin()` or from config files have no known version.
+ * @param {Object} config The configuration object to lint a file with (see `ConfigResolver.prototype.configForFile()`)
+ * @returns {string[]} The versions, labeled with the plugins and preprocessor
+ */
+function moduleVersionsOf(config) {
+    var versions = (config.plugins || []).map(function (name) {
+        var packageName = pluginPackageNameOf(name);
+        return packageName + '@' + (pluginVersions[packageName] || '');
+    });
+    if (typeof config.preprocessor === 'function') {
+        var loaded = loadedPreprocessorOf(config.preprocessor);
+        versions.push('preprocessor@' + (loaded ? loaded.version : ''));
+    }
+    return versions;
+}
+exports.moduleVersionsOf = moduleVersionsOf;
+
+/**
+ * @param {string} filePath Path of a config file or shareable config module
+ * @returns {(Object|undefined)} The raw configuration, or undefined if it is a package.json without a "bootlint" property
+ */
+function readConfigFile(filePath) {
+    try {
+        if (path.extname(filePath) === '.js') {
+            // read the file afresh, since it may have been edited since it was last required (e.g. in watch mode)
+            delete require.cache[path.resolve(filePath)];
+            return require(filePath); // eslint-disable-line global-require
+        }
+        var contents = JSON.parse(fs.readFileSync(filePath, {encoding: 'utf8'}));
+        return path.basename(filePath) === 'package.json' ? contents.bootlint : contents;
+    } catch (err) {
+        err.message = 'Cannot read config file: ' + filePath + '\nError: ' + err.message;
+        throw err;
+    }
+}
+
+/**
+ * Loads a config file, along with all of the configs that it extends.
+ * @param {string} filePath Path of the config file
+ * @param {string[]} [ancestors] Paths of the config files that (transitively) extend this one
+ * @param {string[]} [loadedFiles] Array to add the paths of the config file and of those that it extends to
+ * @returns {(ConfigLayer|null)} The resolved configuration, or null if the file is a package.json without Bootlint configuration
+ */
+function loadConfigFile(filePath, ancestors, loadedFiles) {
+    ancestors = ancestors || [];
+    if (ancestors.indexOf(filePath) !== -1) {
+        throw new Error('Circular "extends" in config file: ' + ancestors.concat([filePath]).join(' -> '));
+    }
+    if (loadedFiles) {
+        loadedFiles.push(filePath);
+    }
+    var config = readConfigFile(filePath);
+    if (typeof config === 'undefined') {
+        return null;
+    }
+    validate(config, TOP_LEVEL_PROPERTIES, filePath);
+
+    var baseDir = path.dirname(filePath);
+    var extendsList = config.extends || [];
+    if (!Array.isArray(extendsList)) {
+        extendsList = [extendsList];
+    }
+    var layer = emptyLayer();
+    extendsList.forEach(function (name) {
+        var extended = loadConfigFile(resolveExtends(name, baseDir), ancestors.concat([filePath]), loadedFiles);
+        if (extended) {
+            layer = mergedLayers(layer, extended);
+        }
+    });
+
+    var own = merged(emptyLayer(), config);
+    own.preprocessors = loadPreprocessors(own.preprocessors, baseDir);
+    own.root = Boolean(config.root);
+    own.ignorePatterns = (config.ignorePatterns || []).map(function (pattern) {
+        return absolutePattern(pattern, baseDir);
+    });
+    own.overrides = (config.overrides || []).map(function (override) {
+        var resolved = merged(emptyLayer(), override);
+        resolved.preprocessors = loadPreprocessors(resolved.preprocessors, baseDir);
+        resolved.files = override.files.map(function (pattern) {
+            return absolutePattern(pattern, baseDir);
+        });
+        resolved.excludedFiles = (override.excludedFiles || []).map(function (pattern) {
+            return absolutePattern(pattern, baseDir);
+        });
+        return resolved;
+    });
+    return mergedLayers(layer, own);
+}
+exports.loadConfigFile = loadConfigFile;
+
+/**
+ * Finds and merges the config files that apply to files, caching the config of each directory it visits.
+ * Config files in a directory take precedence over those in its ancestor directories,
+ * and lookup stops at the first config that sets `"root": true`.
+ * @class
+ */
+function ConfigResolver() {
+    this._directoryConfigs = {};
+    this._configFiles = [];
+}
+exports.ConfigResolver = ConfigResolver;
+
+/**
+ * @param {string} dir Absolute path of a directory
+ * @returns {ConfigLayer} The merged configuration of the directory and its ancestors
+ */
+ConfigResolver.prototype._configForDirectory = function (dir) {
+    if (Object.prototype.hasOwnProperty.call(this._directoryConfigs, dir)) {
+        return this._directoryConfigs[dir];
+    }
+
+    var own = null;
+    for (var i = 0; i < CONFIG_FILENAMES.length && !own; i++) {
+        var candidate = path.join(dir, CONFIG_FILENAMES[i]);
+        if (fs.existsSync(candidate)) {
+            own = loadConfigFile(candidate, [], this._configFiles);
+        }
+    }
+    // creating any of them would change the config of the directory too
+    CONFIG_FILENAMES.forEach(function (filename) {
+        this._configFiles.push(path.join(dir, filename));
+    }.bind(this));
+
+    var parentDir = path.dirname(dir);
+    var config = null;
+    if (own && own.root) {
+        config = own;
+    } else {
+        var parent = parentDir === dir ? emptyLayer() : this._configForDirectory(parentDir);
+        config = own ? mergedLayers(parent, own) : parent;
+    }
+    this._directoryConfigs[dir] = config;
+    return config;
+};
+
+/**
+ * @param {string} filePath Path of the file to be linted
+ * @param {Object} [extra] Configuration that takes precedence over that of the config files, such as command-line options;
+ *      its properties other than `disabledIds`, `rules`, `plugins`, `packs`, `bootstrapVersion`, `fragment`, `preprocessors`, `grid`,
+ *      `classAliases` and `classPrefix` are copied as they are
+ * @returns {Object} The configuration object to lint the file with, suitable for passing to `bootlint.lintHtml()`;
+ *      its `preprocessor` property is the preprocessor for the file's extension, if it has one
+ */
+ConfigResolver.prototype.configForFile = function (filePath, extra) {
+    var absolutePath = path.resolve(filePath);
+    var layer = this._configForDirectory(path.dirname(absolutePath));
+    var config = merged(emptyLayer(), layer);
+    layer.overrides.forEach(function (override) {
+        if (matchesAny(absolutePath, override.files) && !matchesAny(absolutePath, override.excludedFiles)) {
+            config = merged(config, override);
+        }
+    });
+    if (extra) {
+        config = merged(config, extra);
+        Object.keys(extra).forEach(function (property) {
+            if (MERGED_PROPERTIES.indexOf(property) === -1) {
+                config[property] = extra[property];
+            }
+        });
+    }
+    config.ignorePatterns = layer.ignorePatterns;
+    var preprocessor = preprocessors.preprocessorForFile(absolutePath, config.preprocessors);
+    if (preprocessor && typeof config.preprocessor === 'undefined') {
+        config.preprocessor = preprocessor;
+    }
+    return config;
+};
+
+/**
+ * @returns {string[]} Paths of the config files that the configs resolved so far depend on, including those that don't exist (yet)
+ */
+ConfigResolver.prototype.configFiles = function () {
+    return this._configFiles.filter(function (filePath, index, filePaths) {
+        return filePaths.indexOf(filePath) === index;
+    });
+};
+
+/**
+ * @param {string} filePath Path of a file
+ * @returns {boolean} Whether the file matches any of the `ignorePatterns` of the config files that apply to it
+ */
+ConfigResolver.prototype.isIgnored = function (filePath) {
+    var absolutePath = path.resolve(filePath);
+    return matchesAny(absolutePath, this._configForDirectory(path.dirname(absolutePath)).ignorePatterns);
+};
+
+/**
+ * Finds, loads and merges the config files that apply to the given file.
+ * @param {string} filePath Path of the file to be linted
+ * @returns {Object} The configuration object to lint the file with, suitable for passing to `bootlint.lintHtml()`
+ */
+exports.loadConfigForFile = function (filePath) {
+    return new ConfigResolver().configForFile(filePath);
+};
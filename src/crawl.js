@@ -0,0 +1,296 @@
+/**
+ * Fetching of HTML pages over HTTP(S), and crawling of the same-origin pages they link to,
+ * so that the pages rendered by a (development) web server can be linted.
+ */
+
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var Deferred = require('bluebird');
+var cheerio = require('cheerio');
+var pkg = require('../package.json');
+
+var USER_AGENT = 'bootlint/' + pkg.version;
+// the name that robots.txt groups and robots meta tags address Bootlint by
+var ROBOT_NAME = 'bootlint';
+var MAX_REDIRECTS = 5;
+var TIMEOUT_MS = 30000;
+var DEFAULT_MAX_PAGES = 100;
+var HTML_CONTENT_TYPE_REGEX = /^\s*(?:text\/html|application\/xhtml\+xml)\s*(?:;|$)/i;
+
+/**
+ * @typedef {Object} Page
+ * @property {string} url URL of the page, after following any redirects
+ * @property {string} contents The HTML of the page
+ */
+
+/**
+ * @param {string} arg Command-line argument
+ * @returns {boolean} Whether the argument is an HTTP(S) URL rather than a file glob
+ */
+function isUrl(arg) {
+    return /^https?:\/\//i.test(arg);
+}
+exports.isUrl = isUrl;
+
+/**
+ * @param {string} pageUrl Absolute URL
+ * @returns {string} The URL without its fragment
+ */
+function withoutHash(pageUrl) {
+    var hashIndex = pageUrl.indexOf('#');
+    return hashIndex === -1 ? pageUrl : pageUrl.slice(0, hashIndex);
+}
+
+/**
+ * @param {string} pageUrl Absolute URL
+ * @returns {string} The scheme, host and port of the URL, e.g. "http://localhost:8080"
+ */
+function originOf(pageUrl) {
+    var parsed = url.parse(pageUrl);
+    return parsed.protocol + '//' + parsed.host;
+}
+
+/**
+ * Makes a GET request, following redirects.
+ * @param {string} pageUrl Absolute URL
+ * @param {integer} [redirectCount=0] Number of redirects followed so far
+ * @returns {Promise.<Object>} Response with `url` (after redirects), `status`, `contentType` and `body` properties
+ */
+function get(pageUrl, redirectCount) {
+    redirectCount = redirectCount || 0;
+    return new Deferred(function (resolve, reject) {
+        var options = url.parse(pageUrl);
+        options.headers = {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+        };
+        var request = (options.protocol === 'https:' ? https : http).get(options, function (response) {
+            var location = response.headers.location;
+            if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+                response.resume();
+                if (redirectCount >= MAX_REDIRECTS) {
+                    reject(new Error(pageUrl + ': Too many redirects'));
+                    return;
+                }
+                resolve(get(withoutHash(url.resolve(pageUrl, location)), redirectCount + 1));
+                return;
+            }
+            var chunks = [];
+            response.setEncoding('utf8');
+            response.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            response.on('end', function () {
+                resolve({
+                    url: pageUrl,
+                    status: response.statusCode,
+                    contentType: response.headers['content-type'] || '',
+                    body: chunks.join('')
+                });
+            });
+            response.on('error', reject);
+        });
+        request.setTimeout(TIMEOUT_MS, function () {
+            request.abort();
+            reject(new Error(pageUrl + ': Timed out after ' + TIMEOUT_MS + 'ms'));
+        });
+        request.on('error', function (err) {
+            reject(new Error(pageUrl + ': ' + err.message));
+        });
+    });
+}
+
+/**
+ * Fetches an HTML page.
+ * @param {string} pageUrl Absolute HTTP(S) URL of the page
+ * @returns {Promise.<Page>} The page; rejected if it can't be fetched or isn't HTML
+ */
+function fetchPage(pageUrl) {
+    return get(withoutHash(pageUrl)).then(function (response) {
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(response.url + ': HTTP status ' + response.status);
+        }
+        if (response.contentType && !HTML_CONTENT_TYPE_REGEX.test(response.contentType)) {
+            throw new Error(response.url + ': Not an HTML page (' + response.contentType + ')');
+        }
+        return {
+            url: response.url,
+            contents: response.body
+        };
+    });
+}
+exports.fetchPage = fetchPage;
+
+/**
+ * Parses the rules of a robots.txt file that apply to Bootlint:
+ * those of the group for the "bootlint" user agent if there is one, else those of the group for all user agents ("*").
+ * @param {string} text Contents of the robots.txt file
+ * @returns {Object[]} The rules, with `allow` (boolean) and `path` (path pattern, which may use `*` and `$`) properties
+ */
+function parseRobotsTxt(text) {
+    var groups = [];
+    var group = null;
+    text.split(/\r\n|\r|\n/).forEach(function (line) {
+        var match = /^\s*([\w-]+)\s*:\s*(.*?)\s*$/.exec(line.replace(/#.*/, ''));
+        if (!match) {
+            return;
+        }
+        var field = match[1].toLowerCase();
+        if (field === 'user-agent') {
+            // consecutive User-agent lines share one group
+            if (!group || group.rules.length) {
+                group = {
+                    agents: [],
+                    rules: []
+                };
+                groups.push(group);
+            }
+            group.agents.push(match[2].toLowerCase());
+        } else if (group && (field === 'allow' || field === 'disallow') && match[2]) {
+            group.rules.push({
+                allow: field === 'allow',
+                path: match[2]
+            });
+        }
+    });
+    function groupFor(agent) {
+        return groups.filter(function (candidate) {
+            return candidate.agents.indexOf(agent) !== -1;
+        })[0];
+    }
+    var applicable = groupFor(ROBOT_NAME) || groupFor('*');
+    return applicable ? applicable.rules : [];
+}
+exports.parseRobotsTxt = parseRobotsTxt;
+
+/**
+ * @param {string} pattern Path pattern of a robots.txt rule
+ * @returns {RegExp} Regex that matches the paths the pattern applies to
+ */
+function robotsPatternRegex(pattern) {
+    var isAnchored = pattern[pattern.length - 1] === '$';
+    var source = (isAnchored ? pattern.slice(0, -1) : pattern).split('*').map(function (part) {
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('.*');
+    return new RegExp('^' + source + (isAnchored ? '$' : ''));
+}
+
+/**
+ * Decides whether robots.txt rules allow fetching a URL. The longest matching rule wins, and Allow rules win ties.
+ * @param {Object[]} rules Rules returned by `parseRobotsTxt()`
+ * @param {string} pageUrl Absolute URL
+ * @returns {boolean} Whether the URL may be fetched
+ */
+function isAllowedByRobots(rules, pageUrl) {
+    var pagePath = url.parse(pageUrl).path || '/';
+    var decisive = null;
+    rules.forEach(function (rule) {
+        if (!robotsPatternRegex(rule.path).test(pagePath)) {
+            return;
+        }
+        if (!decisive || rule.path.length > decisive.path.length || rule.path.length === decisive.path.length && rule.allow) {
+            decisive = rule;
+        }
+    });
+    return !decisive || decisive.allow;
+}
+exports.isAllowedByRobots = isAllowedByRobots;
+
+/**
+ * @param {string} origin Origin of a site
+ * @returns {Promise.<Object[]>} The robots.txt rules of the site; none if it has no robots.txt
+ */
+function robotsRulesOf(origin) {
+    return get(origin + '/robots.txt').then(function (response) {
+        return response.status >= 200 && response.status < 300 ? parseRobotsTxt(response.body) : [];
+    }, function () {
+        return [];
+    });
+}
+
+/**
+ * Finds the links of a page that a crawler may follow,
+ * i.e. none if a robots meta tag says "nofollow", and otherwise those of `<a>` and `<area>` elements without `rel="nofollow"`.
+ * @param {Page} page An HTML page
+ * @returns {string[]} The absolute HTTP(S) URLs of the links, without fragments
+ */
+function linksIn(page) {
+    var $ = cheerio.load(page.contents);
+    var isNoFollow = $('meta[name][content]').toArray().some(function (meta) {
+        var name = meta.attribs.name.toLowerCase();
+        return (name === 'robots' || name === ROBOT_NAME) && /\b(?:nofollow|none)\b/i.test(meta.attribs.content);
+    });
+    if (isNoFollow) {
+        return [];
+    }
+    var baseHref = $('base[href]').attr('href');
+    var baseUrl = baseHref ? url.resolve(page.url, baseHref) : page.url;
+    return $('a[href], area[href]').toArray().filter(function (link) {
+        return !/(?:^|\s)nofollow(?:\s|$)/i.test(link.attribs.rel || '');
+    }).map(function (link) {
+        return withoutHash(url.resolve(baseUrl, link.attribs.href.trim()));
+    }).filter(isUrl);
+}
+
+/**
+ * Fetches a page and, breadth-first, the pages of the same origin that it links to, one page at a time.
+ * Linked pages are only fetched if the site's robots.txt allows it; those that can't be fetched or aren't HTML are skipped.
+ * @param {string} startUrl Absolute HTTP(S) URL of the page to start at
+ * @param {Object} [options] Options
+ * @param {integer} [options.depth=0] How many links deep to follow links; 0 fetches just the start page
+ * @param {integer} [options.maxPages=100] Maximum number of pages to fetch
+ * @returns {Promise.<Page[]>} The pages, in the order in which they were fetched; rejected if the start page can't be fetched
+ */
+function crawl(startUrl, options) {
+    options = options || {};
+    var maxDepth = options.depth || 0;
+    var maxPages = typeof options.maxPages === 'number' ? options.maxPages : DEFAULT_MAX_PAGES;
+    var start = withoutHash(startUrl);
+    var origin = originOf(start);
+    var seen = {};
+    seen[start] = true;
+    var queue = [{
+        url: start,
+        depth: 0
+    }];
+    var pages = [];
+
+    function next(robotsRules) {
+        if (!queue.length || pages.length >= maxPages) {
+            return Deferred.resolve(pages);
+        }
+        var item = queue.shift();
+        return fetchPage(item.url).then(function (page) {
+            // a redirect may have led elsewhere
+            if (item.depth > 0 && (originOf(page.url) !== origin || seen[page.url] && page.url !== item.url)) {
+                return next(robotsRules);
+            }
+            seen[page.url] = true;
+            pages.push(page);
+            if (item.depth < maxDepth) {
+                linksIn(page).forEach(function (link) {
+                    if (!seen[link] && originOf(link) === origin && isAllowedByRobots(robotsRules, link)) {
+                        seen[link] = true;
+                        queue.push({
+                            url: link,
+                            depth: item.depth + 1
+                        });
+                    }
+                });
+            }
+            return next(robotsRules);
+        }, function (err) {
+            if (item.depth === 0) {
+                throw err;
+            }
+            // broken links are not Bootlint's concern
+            return next(robotsRules);
+        });
+    }
+
+    return (maxDepth > 0 ? robotsRulesOf(origin) : Deferred.resolve([])).then(next);
+}
+exports.crawl = crawl;
@@ -0,0 +1,47 @@
+/**
+ * Finding and reading the files to lint, for both the command-line interface and `bootlint.lintFiles()`.
+ */
+
+'use strict';
+
+var Deferred = require('bluebird');
+var fs = require('fs');
+var path = require('path');
+var readFile = Deferred.promisify(fs.readFile);
+var glob = Deferred.promisify(require('glob'));
+
+/**
+ * @typedef {Object} SourceFile
+ * @property {string} filePath Path of the file, as matched by the glob pattern
+ * @property {string} directory Absolute path of the directory containing the file
+ * @property {string} contents The contents of the file
+ */
+
+function readFilesMatching(pattern, configResolver) {
+    return glob(pattern)
+        .filter(function (name) {
+            return !configResolver.isIgnored(name);
+        })
+        .map(function (name) {
+            return Deferred.props({
+                filePath: name,
+                directory: path.dirname(path.resolve(name)),
+                contents: readFile(name, {encoding: 'utf8'})
+            });
+        });
+}
+
+/**
+ * Reads the files matching glob patterns, skipping those matched by the `ignorePatterns` of their configuration.
+ * @param {(string|string[])} patterns Glob pattern(s)
+ * @param {ConfigResolver} configResolver Resolver of the configuration of the files
+ * @returns {Promise.<SourceFile[]>} The files, in the order of the patterns and then in the order in which `glob` matched them
+ */
+function readFiles(patterns, configResolver) {
+    return Deferred.mapSeries([].concat(patterns), function (pattern) {
+        return readFilesMatching(pattern, configResolver);
+    }).reduce(function (all, matches) {
+        return all.concat(matches);
+    }, []);
+}
+exports.readFiles = readFiles;
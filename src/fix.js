@@ -0,0 +1,236 @@
+(function () {
+    'use strict';
+
+    var ATTRIBUTE_NAME_REGEX = /[^\s"'>/=]/;
+    var WHITESPACE_REGEX = /\s/;
+
+    /**
+     * @typedef {Object} Fix
+     * @property {integer[]} range Pair of the 0-based start (inclusive) and end (exclusive) code unit indices of the source text to replace
+     * @property {string} text The replacement text
+     */
+
+    /**
+     * Scans the start tag beginning at the given index of the HTML source.
+     * @param {string} html The HTML source
+     * @param {integer} startIndex 0-based code unit index of the `<` of the start tag
+     * @returns {(Object|null)} Object with the tag `name`, the index `nameEnd` just after the name, the `attributes`
+     *      (each with `name`, `start`, `end`, and, if it has a value, the `valueStart` and `valueEnd` of the value without its quotes),
+     *      and the index `end` just after the tag's closing `>`; or null if there is no start tag at the index
+     */
+    function startTagAt(html, startIndex) {
+        var match = /^<([a-zA-Z][^\s/>]*)/.exec(html.slice(startIndex, startIndex + 100));
+        if (!match) {
+            return null;
+        }
+        var tag = {
+            name: match[1],
+            nameEnd: startIndex + match[0].length,
+            attributes: [],
+            end: null
+        };
+        var index = tag.nameEnd;
+        while (index < html.length) {
+            var character = html[index];
+            if (character === '>') {
+                tag.end = index + 1;
+                return tag;
+            }
+            if (WHITESPACE_REGEX.test(character) || character === '/') {
+                index++;
+                continue;
+            }
+
+            var attribute = {
+                name: null,
+                start: index,
+                end: null
+            };
+            while (index < html.length && ATTRIBUTE_NAME_REGEX.test(html[index])) {
+                index++;
+            }
+            if (index === attribute.start) {
+                // stray quote or equals sign; skip it
+                index++;
+                continue;
+            }
+            attribute.name = html.slice(attribute.start, index).toLowerCase();
+            attribute.end = index;
+
+            var afterName = index;
+            while (index < html.length && WHITESPACE_REGEX.test(html[index])) {
+                index++;
+            }
+            if (html[index] === '=') {
+                index++;
+                while (index < html.length && WHITESPACE_REGEX.test(html[index])) {
+                    index++;
+                }
+                var quote = html[index];
+                if (quote === '"' || quote === '\'') {
+                    attribute.valueStart = index + 1;
+                    attribute.valueEnd = html.indexOf(quote, index + 1);
+                    if (attribute.valueEnd === -1) {
+                        return null;
+                    }
+                    index = attribute.valueEnd + 1;
+                } else {
+                    attribute.valueStart = index;
+                    while (index < html.length && !WHITESPACE_REGEX.test(html[index]) && html[index] !== '>') {
+                        index++;
+                    }
+                    attribute.valueEnd = index;
+                }
+                attribute.end = index;
+            } else {
+                index = afterName;
+            }
+            tag.attributes.push(attribute);
+        }
+        return null;
+    }
+    exports.startTagAt = startTagAt;
+
+    function escapeAttributeValue(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    function setAttributeEdit(html, element, name, value) {
+        var tag = startTagAt(html, element.startIndex);
+        if (!tag) {
+            return null;
+        }
+        var attributes = tag.attributes.filter(function (attribute) {
+            return attribute.name === name;
+        });
+        if (!attributes.length) {
+            var last = tag.attributes[tag.attributes.length - 1];
+            var insertionPoint = last ? last.end : tag.nameEnd;
+            return {
+                range: [insertionPoint, insertionPoint],
+                text: ' ' + name + '="' + escapeAttributeValue(value) + '"'
+            };
+        }
+        var existing = attributes[0];
+        if (typeof existing.valueStart === 'undefined') {
+            return {
+                range: [existing.start, existing.end],
+                text: name + '="' + escapeAttributeValue(value) + '"'
+            };
+        }
+        var quote = html[existing.valueStart - 1];
+        var text = null;
+        if (quote === '\'') {
+            text = value.replace(/&/g, '&amp;').replace(/'/g, '&#39;');
+        } else if (quote === '"') {
+            text = escapeAttributeValue(value);
+        } else {
+            text = '"' + escapeAttributeValue(value) + '"';
+        }
+        return {
+            range: [existing.valueStart, existing.valueEnd],
+            text: text
+        };
+    }
+
+    function removeElementEdit(html, element) {
+        if (typeof element.endIndex !== 'number') {
+            return null;
+        }
+        var start = element.startIndex;
+        var end = element.endIndex + 1;
+        // also remove the line the element was on, if nothing else is on it
+        var lineStart = start;
+        while (lineStart > 0 && (html[lineStart - 1] === ' ' || html[lineStart - 1] === '\t')) {
+            lineStart--;
+        }
+        var lineEnd = end;
+        while (lineEnd < html.length && (html[lineEnd] === ' ' || html[lineEnd] === '\t' || html[lineEnd] === '\r')) {
+            lineEnd++;
+        }
+        if ((lineStart === 0 || html[lineStart - 1] === '\n') && html[lineEnd] === '\n') {
+            start = lineStart;
+            end = lineEnd + 1;
+        }
+        return {
+            range: [start, end],
+            text: ''
+        };
+    }
+
+    function editFor(html, primitive) {
+        if (typeof primitive.element.startIndex !== 'number') {
+            return null;
+        }
+        if (primitive.remove) {
+            return removeElementEdit(html, primitive.element);
+        }
+        return setAttributeEdit(html, primitive.element, primitive.attribute, primitive.value);
+    }
+
+    /**
+     * Turns a fix description from a linter into a concrete edit of the HTML source.
+     * @param {string} html The HTML source
+     * @param {(Object|Object[])} descriptor A primitive change, or an array of primitive changes that must be made together.
+     *      A primitive change is either `{element, remove: true}` or `{element, attribute, value}` (which sets the attribute).
+     * @returns {(Fix|null)} A single edit making all of the changes, or null if the source locations of the elements are unknown
+     */
+    function resolveFix(html, descriptor) {
+        var primitives = Array.isArray(descriptor) ? descriptor : [descriptor];
+        var edits = [];
+        for (var i = 0; i < primitives.length; i++) {
+            var edit = editFor(html, primitives[i]);
+            if (!edit) {
+                return null;
+            }
+            edits.push(edit);
+        }
+        edits.sort(function (a, b) {
+            return a.range[0] - b.range[0];
+        });
+        // merge into one edit spanning all of them
+        var merged = edits[0];
+        for (var j = 1; j < edits.length; j++) {
+            var next = edits[j];
+            if (next.range[0] < merged.range[1]) {
+                return null;
+            }
+            merged = {
+                range: [merged.range[0], next.range[1]],
+                text: merged.text + html.slice(merged.range[1], next.range[0]) + next.text
+            };
+        }
+        return merged;
+    }
+    exports.resolveFix = resolveFix;
+
+    /**
+     * Applies as many of the given fixes as possible. Fixes that overlap an earlier fix are skipped.
+     * @param {string} html The HTML source
+     * @param {Fix[]} fixes The fixes to apply
+     * @returns {string} The fixed HTML source
+     */
+    function applyFixes(html, fixes) {
+        var sorted = fixes.slice().sort(function (a, b) {
+            return a.range[0] - b.range[0] || a.range[1] - b.range[1];
+        });
+        var parts = [];
+        var lastEnd = 0;
+        var lastFix = null;
+        sorted.forEach(function (fix) {
+            if (fix.range[0] < lastEnd) {
+                return;
+            }
+            if (lastFix && fix.range[0] === lastFix.range[0] && fix.range[1] === lastFix.range[1] && fix.text === lastFix.text) {
+                // several problems can yield the very same fix
+                return;
+            }
+            parts.push(html.slice(lastEnd, fix.range[0]), fix.text);
+            lastEnd = fix.range[1];
+            lastFix = fix;
+        });
+        parts.push(html.slice(lastEnd));
+        return parts.join('');
+    }
+    exports.applyFixes = applyFixes;
+})();
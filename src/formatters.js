@@ -0,0 +1,265 @@
+/**
+ * Output formats for the Bootlint command-line interface.
+ * Each formatter takes an array of per-file results and returns the report as a string.
+ */
+
+'use strict';
+
+var chalk = require('chalk');
+var pkg = require('../package.json');
+
+var XML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;'
+};
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} filePath Name of the linted file (or "<stdin>")
+ * @property {Array.<(LintError|LintWarning)>} problems The lint problems reported for the file
+ * @property {string} [output] The automatically fixed HTML, if fixing was requested and changed anything
+ */
+
+function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, function (character) {
+        return XML_ENTITIES[character];
+    });
+}
+
+function severityOf(problem) {
+    // the configuration can override the severity implied by the ID
+    return problem.severity;
+}
+
+/**
+ * Flattens results into one entry per problem location.
+ * Problems with no referenced elements yield a single entry whose location is null.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {Object[]} Entries with filePath, problem, severity, location (a 0-based Location or null),
+ *      and startTagEndLocation (the 0-based Location of the `>` that ends the element's start tag, or null) properties
+ */
+function entriesOf(results) {
+    var entries = [];
+    results.forEach(function (result) {
+        result.problems.forEach(function (problem) {
+            var elements = [];
+            if (problem.elements) {
+                problem.elements.each(function (_, element) {
+                    elements.push(element);
+                });
+            }
+            if (!elements.length) {
+                elements.push({});
+            }
+            elements.forEach(function (element) {
+                entries.push({
+                    filePath: result.filePath,
+                    problem: problem,
+                    severity: severityOf(problem),
+                    location: element.startLocation || null,
+                    startTagEndLocation: element.startTagEndLocation || null
+                });
+            });
+        });
+    });
+    return entries;
+}
+
+function capitalized(str) {
+    return str[0].toUpperCase() + str.slice(1);
+}
+
+/**
+ * The default format: one `file:line:col ID message` line per problem location.
+ * @param {FileResult[]} results Per-file lint results
+ * @param {Object} [options] Formatting options
+ * @param {boolean} [options.color=true] Whether to colorize the problem IDs
+ * @returns {string} The report
+ */
+function text(results, options) {
+    var useColor = !options || options.color !== false;
+    var colors = useColor ? chalk : new chalk.constructor({enabled: false});
+    return entriesOf(results).map(function (entry) {
+        var id = entry.problem.id;
+        var lintId = entry.severity === 'error' ? colors.bgGreen.white(id) : colors.bgRed.white(id);
+        var loc = entry.location;
+        var position = loc ? ':' + (loc.line + 1) + ':' + (loc.column + 1) : ':';
+        return entry.filePath + position + ' ' + lintId + ' ' + entry.problem.message;
+    }).join('\n');
+}
+text.humanReadable = true;
+exports.text = text;
+
+/**
+ * One uncolored line per problem location, in the same layout as ESLint's "compact" format.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {string} The report
+ */
+function compact(results) {
+    return entriesOf(results).map(function (entry) {
+        var loc = entry.location;
+        var position = loc ? 'line ' + (loc.line + 1) + ', col ' + (loc.column + 1) + ', ' : '';
+        return entry.filePath + ': ' + position + capitalized(entry.severity) + ' - ' + entry.problem.message + ' (' + entry.problem.id + ')';
+    }).join('\n');
+}
+compact.humanReadable = true;
+exports.compact = compact;
+
+/**
+ * JSON array with one object per file. Locations are 0-based, like `Location`.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {string} The report
+ */
+function json(results) {
+    return JSON.stringify(results.map(function (result) {
+        var fileResult = {
+            filePath: result.filePath,
+            problems: result.problems.map(function (problem) {
+                var locations = [];
+                if (problem.elements) {
+                    problem.elements.each(function (_, element) {
+                        var loc = element.startLocation;
+                        if (loc) {
+                            locations.push({
+                                line: loc.line,
+                                column: loc.column
+                            });
+                        }
+                    });
+                }
+                return {
+                    id: problem.id,
+                    severity: severityOf(problem),
+                    message: problem.message,
+                    url: problem.url,
+                    locations: locations
+                };
+            })
+        };
+        if (typeof result.output !== 'undefined') {
+            fileResult.output = result.output;
+        }
+        return fileResult;
+    }), null, 2);
+}
+exports.json = json;
+
+/**
+ * SARIF v2.1.0 log, as consumed by code scanning dashboards.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {string} The report
+ */
+function sarif(results) {
+    var rules = [];
+    var ruleIndices = {};
+    var sarifResults = entriesOf(results).map(function (entry) {
+        var id = entry.problem.id;
+        if (!Object.prototype.hasOwnProperty.call(ruleIndices, id)) {
+            ruleIndices[id] = rules.length;
+            rules.push({
+                id: id,
+                helpUri: entry.problem.url || undefined
+            });
+        }
+        var physicalLocation = {
+            artifactLocation: {
+                uri: entry.filePath.replace(/\\/g, '/')
+            }
+        };
+        if (entry.location) {
+            physicalLocation.region = {
+                startLine: entry.location.line + 1,
+                startColumn: entry.location.column + 1
+            };
+            // highlight the whole start tag; SARIF end columns are exclusive
+            if (entry.startTagEndLocation) {
+                physicalLocation.region.endLine = entry.startTagEndLocation.line + 1;
+                physicalLocation.region.endColumn = entry.startTagEndLocation.column + 2;
+            }
+        }
+        return {
+            ruleId: id,
+            ruleIndex: ruleIndices[id],
+            level: entry.severity,
+            message: {
+                text: entry.problem.message
+            },
+            locations: [{
+                physicalLocation: physicalLocation
+            }]
+        };
+    });
+    return JSON.stringify({
+        version: '2.1.0',
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Bootlint',
+                    version: pkg.version,
+                    informationUri: pkg.homepage,
+                    rules: rules
+                }
+            },
+            results: sarifResults
+        }]
+    }, null, 2);
+}
+exports.sarif = sarif;
+
+/**
+ * Checkstyle XML, as consumed by many CI servers.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {string} The report
+ */
+function checkstyleXml(results) {
+    var lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+    results.forEach(function (result) {
+        lines.push('<file name="' + escapeXml(result.filePath) + '">');
+        entriesOf([result]).forEach(function (entry) {
+            var loc = entry.location;
+            lines.push(
+                '<error line="' + (loc ? loc.line + 1 : 0) + '" column="' + (loc ? loc.column + 1 : 0) + '"' +
+                ' severity="' + entry.severity + '" message="' + escapeXml(entry.problem.message) + '"' +
+                ' source="bootlint.' + entry.problem.id + '" />'
+            );
+        });
+        lines.push('</file>');
+    });
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+}
+exports['checkstyle-xml'] = checkstyleXml;
+
+/**
+ * JUnit XML with one test suite per file and one failing test case per problem location.
+ * Files without any problems get a single passing test case.
+ * @param {FileResult[]} results Per-file lint results
+ * @returns {string} The report
+ */
+function junitXml(results) {
+    var lines = ['<?xml version="1.0" encoding="utf-8"?>', '<testsuites>'];
+    results.forEach(function (result) {
+        var fileEntries = entriesOf([result]);
+        var name = escapeXml(result.filePath);
+        lines.push('<testsuite package="org.bootlint" time="0" tests="' + (fileEntries.length || 1) + '" errors="0" failures="' + fileEntries.length + '" name="' + name + '">');
+        if (!fileEntries.length) {
+            lines.push('<testcase time="0" name="' + name + '" classname="' + name + '" />');
+        }
+        fileEntries.forEach(function (entry) {
+            var loc = entry.location;
+            var position = loc ? 'line ' + (loc.line + 1) + ', col ' + (loc.column + 1) + ', ' : '';
+            var message = escapeXml(entry.problem.message);
+            lines.push('<testcase time="0" name="org.bootlint.' + entry.problem.id + '" classname="' + name + '">');
+            lines.push('<failure message="' + message + '">' + position + capitalized(entry.severity) + ' - ' + message + ' (' + entry.problem.id + ')</failure>');
+            lines.push('</testcase>');
+        });
+        lines.push('</testsuite>');
+    });
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+exports['junit-xml'] = junitXml;
@@ -84,4 +84,19 @@ var binarySearch = require('binary-search');
         var columnIndex = charIndex - lineStartIndex;
         return new Location(lineIndex, columnIndex);
     };
+
+    /**
+     * Translates a Location (line index and column index) within the string into its corresponding code unit index;
+     * the reverse of `locationOf()`.
+     * @param {Location} location A Location within the string
+     * @returns {integer|null} The 0-based code unit index corresponding to the Location, or null if the Location is out of bounds
+     */
+    LocationIndex.prototype.charIndexOf = function (location) {
+        var lineStartEnd = this._lineStartEndTriples[location.line];
+        if (!lineStartEnd || location.column < 0) {
+            return null;
+        }
+        var charIndex = lineStartEnd[1] + location.column;
+        return charIndex < lineStartEnd[2] ? charIndex : null;
+    };
 })();
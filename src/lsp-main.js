@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+var LanguageServer = require('./lsp').LanguageServer;
+
+new LanguageServer(process.stdin, process.stdout).listen();
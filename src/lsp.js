@@ -0,0 +1,403 @@
+/**
+ * Language Server Protocol server, which lints the HTML documents open in an editor as they change.
+ * It speaks JSON-RPC over a pair of streams, normally stdin and stdout.
+ */
+
+'use strict';
+
+var path = require('path');
+var parseUrl = require('url').parse;
+var pkg = require('../package.json');
+var bootlint = require('./bootlint');
+var ConfigResolver = require('./config').ConfigResolver;
+var LocationIndex = require('./location').LocationIndex;
+
+var HEADER_DELIMITER = '\r\n\r\n';
+var TEXT_DOCUMENT_SYNC_INCREMENTAL = 2;
+var DIAGNOSTIC_SEVERITIES = {
+    error: 1,
+    warning: 2
+};
+var MESSAGE_TYPE_ERROR = 1;
+var PARSE_ERROR = -32700;
+var INVALID_REQUEST = -32600;
+var METHOD_NOT_FOUND = -32601;
+var INTERNAL_ERROR = -32603;
+
+/**
+ * @param {string} uri URI of a document
+ * @returns {(string|null)} The path of the document's file, or null if the document isn't a file
+ */
+function filePathOf(uri) {
+    var url = parseUrl(uri);
+    if (url.protocol !== 'file:') {
+        return null;
+    }
+    var filePath = decodeURIComponent(url.pathname);
+    // file:///C:/page.html
+    if (/^\/[a-zA-Z]:/.test(filePath)) {
+        filePath = filePath.slice(1);
+    }
+    return path.normalize(filePath);
+}
+
+/**
+ * @param {Location} location A Location in a document
+ * @returns {Object} The Location as an LSP Position
+ */
+function positionOf(location) {
+    return {
+        line: location.line,
+        character: location.column
+    };
+}
+
+/**
+ * @param {LocationIndex} locationIndex Index of a document
+ * @param {integer} start 0-based code unit index of the start of a range (inclusive)
+ * @param {integer} end 0-based code unit index of the end of the range (exclusive)
+ * @returns {Object} The range as an LSP Range
+ */
+function rangeOf(locationIndex, start, end) {
+    var startLocation = locationIndex.locationOf(start);
+    var endLocation = locationIndex.locationOf(end);
+    if (!endLocation) {
+        // just past the end of a document without a final newline
+        endLocation = {
+            line: startLocation.line,
+            column: startLocation.column + end - start
+        };
+    }
+    return {
+        start: positionOf(startLocation),
+        end: positionOf(endLocation)
+    };
+}
+
+/**
+ * @param {LocationIndex} locationIndex Index of a document
+ * @param {Object} element Cheerio element referenced by a lint problem, or null for document-level problems
+ * @returns {Object} LSP Range of the element's start tag, or of the start of the document for document-level problems
+ */
+function rangeOfElement(locationIndex, element) {
+    if (!element) {
+        return rangeOf(locationIndex, 0, 0);
+    }
+    var end = typeof element.startTagEndIndex === 'number' ? element.startTagEndIndex + 1 : element.startIndex + 1;
+    return rangeOf(locationIndex, element.startIndex, end);
+}
+
+/**
+ * @param {Object} element Cheerio element referenced by a lint problem, or null for document-level problems
+ * @param {Fix[]} fixes The fixes of the lint problem
+ * @returns {Fix[]} The fixes that edit the element (all of them for document-level problems)
+ */
+function fixesOfElement(element, fixes) {
+    if (!element || typeof element.endIndex !== 'number') {
+        return fixes;
+    }
+    return fixes.filter(function (fix) {
+        return fix.range[0] >= element.startIndex && fix.range[1] <= element.endIndex + 1;
+    });
+}
+
+/**
+ * Language server that publishes Bootlint's problems as diagnostics and offers their automatic fixes as quick fixes.
+ * @param {stream.Readable} input Stream of the messages from the client
+ * @param {stream.Writable} output Stream of the messages to the client
+ * @param {function} [exit] Function to call with the exit code when the client asks the server to exit; defaults to `process.exit`
+ * @class
+ */
+function LanguageServer(input, output, exit) {
+    this._input = input;
+    this._output = output;
+    this._exit = exit || process.exit;
+    this._buffer = Buffer.alloc(0);
+    this._documents = {};
+    this._configResolver = new ConfigResolver();
+    this._isShutDown = false;
+}
+exports.LanguageServer = LanguageServer;
+
+/**
+ * Starts reading messages from the input stream.
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype.listen = function () {
+    this._input.on('data', function (chunk) {
+        this._receive(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk);
+    }.bind(this));
+};
+
+/**
+ * Splits the received data into messages, which are preceded by headers that give their length in bytes.
+ * @param {Buffer} chunk Data received from the client
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype._receive = function (chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    for (;;) {
+        var headerEnd = this._buffer.indexOf(HEADER_DELIMITER);
+        if (headerEnd === -1) {
+            return;
+        }
+        var match = /Content-Length: *(\d+)/i.exec(this._buffer.toString('ascii', 0, headerEnd));
+        var contentStart = headerEnd + HEADER_DELIMITER.length;
+        if (!match) {
+            // skip the malformed message's headers
+            this._buffer = this._buffer.slice(contentStart);
+            continue;
+        }
+        var contentEnd = contentStart + Number(match[1]);
+        if (this._buffer.length < contentEnd) {
+            return;
+        }
+        var content = this._buffer.toString('utf8', contentStart, contentEnd);
+        this._buffer = this._buffer.slice(contentEnd);
+        var message = null;
+        try {
+            message = JSON.parse(content);
+        } catch (err) {
+            // the id of a message that can't be read is unknown
+            this._send({
+                id: null,
+                error: {
+                    code: PARSE_ERROR,
+                    message: 'Invalid JSON: ' + err.message
+                }
+            });
+            continue;
+        }
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+            this._send({
+                id: null,
+                error: {
+                    code: INVALID_REQUEST,
+                    message: 'Messages must be JSON objects'
+                }
+            });
+            continue;
+        }
+        this._handle(message);
+    }
+};
+
+/**
+ * @param {Object} message JSON-RPC message to send to the client
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype._send = function (message) {
+    message.jsonrpc = '2.0';
+    var content = JSON.stringify(message);
+    this._output.write('Content-Length: ' + Buffer.byteLength(content, 'utf8') + HEADER_DELIMITER + content);
+};
+
+/**
+ * @param {string} method Method of the notification
+ * @param {Object} params Parameters of the notification
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype._notify = function (method, params) {
+    this._send({
+        method: method,
+        params: params
+    });
+};
+
+/**
+ * Answers requests and acts on notifications from the client.
+ * @param {Object} message JSON-RPC request or notification
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype._handle = function (message) {
+    var isRequest = typeof message.id !== 'undefined';
+    var handler = Object.prototype.hasOwnProperty.call(this._handlers, message.method) ? this._handlers[message.method] : null;
+    if (!handler) {
+        if (isRequest) {
+            this._send({
+                id: message.id,
+                error: {
+                    code: METHOD_NOT_FOUND,
+                    message: 'Unhandled method: ' + message.method
+                }
+            });
+        }
+        return;
+    }
+    try {
+        var result = handler.call(this, message.params || {});
+        if (isRequest) {
+            this._send({
+                id: message.id,
+                result: typeof result === 'undefined' ? null : result
+            });
+        }
+    } catch (err) {
+        if (isRequest) {
+            this._send({
+                id: message.id,
+                error: {
+                    code: INTERNAL_ERROR,
+                    message: err.message
+                }
+            });
+        } else {
+            this._notify('window/showMessage', {
+                type: MESSAGE_TYPE_ERROR,
+                message: 'Bootlint: ' + err.message
+            });
+        }
+    }
+};
+
+LanguageServer.prototype._handlers = {
+    'initialize': function () {
+        return {
+            capabilities: {
+                textDocumentSync: {
+                    openClose: true,
+                    change: TEXT_DOCUMENT_SYNC_INCREMENTAL
+                },
+                codeActionProvider: {
+                    codeActionKinds: ['quickfix']
+                }
+            },
+            serverInfo: {
+                name: 'bootlint',
+                version: pkg.version
+            }
+        };
+    },
+    'shutdown': function () {
+        this._isShutDown = true;
+        return null;
+    },
+    'exit': function () {
+        this._exit(this._isShutDown ? 0 : 1);
+    },
+    'textDocument/didOpen': function (params) {
+        this._documents[params.textDocument.uri] = {
+            text: params.textDocument.text
+        };
+        this._lint(params.textDocument.uri);
+    },
+    'textDocument/didChange': function (params) {
+        var document = this._documents[params.textDocument.uri];
+        if (!document) {
+            return;
+        }
+        params.contentChanges.forEach(function (change) {
+            if (!change.range) {
+                document.text = change.text;
+                return;
+            }
+            var locationIndex = new LocationIndex(document.text);
+            var start = locationIndex.charIndexOf({
+                line: change.range.start.line,
+                column: change.range.start.character
+            });
+            var end = locationIndex.charIndexOf({
+                line: change.range.end.line,
+                column: change.range.end.character
+            });
+            document.text = document.text.slice(0, start === null ? document.text.length : start) +
+                change.text + document.text.slice(end === null ? document.text.length : end);
+        });
+        this._lint(params.textDocument.uri);
+    },
+    'textDocument/didClose': function (params) {
+        delete this._documents[params.textDocument.uri];
+        this._notify('textDocument/publishDiagnostics', {
+            uri: params.textDocument.uri,
+            diagnostics: []
+        });
+    },
+    'textDocument/codeAction': function (params) {
+        var uri = params.textDocument.uri;
+        return (params.context.diagnostics || []).filter(function (diagnostic) {
+            return diagnostic.source === 'bootlint' && diagnostic.data && diagnostic.data.edits.length;
+        }).map(function (diagnostic) {
+            var changes = {};
+            changes[uri] = diagnostic.data.edits;
+            return {
+                title: 'Fix ' + diagnostic.code + ': ' + diagnostic.message,
+                kind: 'quickfix',
+                diagnostics: [diagnostic],
+                edit: {
+                    changes: changes
+                }
+            };
+        });
+    }
+};
+
+/**
+ * @param {string} uri URI of a document
+ * @returns {Object} The configuration to lint the document with
+ */
+LanguageServer.prototype._configFor = function (uri) {
+    var filePath = filePathOf(uri);
+    if (filePath === null) {
+        return {};
+    }
+    var config = this._configResolver.configForFile(filePath);
+    // plugins named in config files are looked up from the linted file
+    config.plugins.forEach(function (name) {
+        bootlint.loadPlugin(name, path.dirname(filePath));
+    });
+    return config;
+};
+
+/**
+ * Lints an open document and publishes its problems as diagnostics.
+ * @param {string} uri URI of the document
+ * @returns {undefined} Nothing
+ */
+LanguageServer.prototype._lint = function (uri) {
+    var text = this._documents[uri].text;
+    var filePath = filePathOf(uri);
+    var diagnostics = [];
+    if (filePath === null || !this._configResolver.isIgnored(filePath)) {
+        var locationIndex = new LocationIndex(text);
+        bootlint.lintHtml(text, function (problem) {
+            var elements = [];
+            if (problem.elements) {
+                problem.elements.each(function (_, element) {
+                    if (element.startLocation) {
+                        elements.push(element);
+                    }
+                });
+            }
+            if (!elements.length) {
+                elements.push(null);
+            }
+            elements.forEach(function (element) {
+                var diagnostic = {
+                    range: rangeOfElement(locationIndex, element),
+                    severity: DIAGNOSTIC_SEVERITIES[problem.severity],
+                    code: problem.id,
+                    source: 'bootlint',
+                    message: problem.message,
+                    data: {
+                        edits: fixesOfElement(element, problem.fixes).map(function (fix) {
+                            return {
+                                range: rangeOf(locationIndex, fix.range[0], fix.range[1]),
+                                newText: fix.text
+                            };
+                        })
+                    }
+                };
+                if (problem.url) {
+                    diagnostic.codeDescription = {
+                        href: problem.url
+                    };
+                }
+                diagnostics.push(diagnostic);
+            });
+        }, this._configFor(uri));
+    }
+    this._notify('textDocument/publishDiagnostics', {
+        uri: uri,
+        diagnostics: diagnostics
+    });
+};
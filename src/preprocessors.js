@@ -0,0 +1,304 @@
+/**
+ * Preprocessors, which turn templates, and files with embedded HTML, into HTML that Bootlint can lint.
+ * A preprocessor takes the source of a file and returns HTML of exactly the same length,
+ * with the same line breaks at the same indices, so that locations in the HTML are also locations in the file.
+ * Preprocessors for files that embed HTML fragments (e.g. JavaScript with html`` templates) return an array instead,
+ * with one such string per fragment, in which everything but the fragment is blanked out.
+ */
+
+'use strict';
+
+var path = require('path');
+
+/**
+ * @param {string} text Source text
+ * @returns {string} The text with every character but line breaks replaced by a space
+ */
+function blanked(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * @param {RegExp} directiveRegex Global regex that matches template directives
+ * @returns {function} Preprocessor that blanks out the directives
+ */
+function directiveMasker(directiveRegex) {
+    return function (source) {
+        return source.replace(directiveRegex, blanked);
+    };
+}
+
+/**
+ * @param {string} source JavaScript source
+ * @param {integer} openIndex Index of an opening curly brace
+ * @returns {integer} Index of the matching closing curly brace, or -1 if there is none
+ */
+function matchingBraceIndex(source, openIndex) {
+    var depth = 0;
+    for (var i = openIndex; i < source.length; i++) {
+        var character = source[i];
+        if (character === '"' || character === '\'' || character === '`') {
+            // skip string literals, which may contain braces
+            var end = source.indexOf(character, i + 1);
+            while (end !== -1 && source[end - 1] === '\\') {
+                end = source.indexOf(character, end + 1);
+            }
+            if (end === -1) {
+                return -1;
+            }
+            i = end;
+        } else if (character === '{') {
+            depth++;
+        } else if (character === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Preprocessor for JSX: maps the `className` and `htmlFor` props to the `class` and `for` attributes,
+ * turns `{expression}` prop values into blank quoted values, and blanks out spread props and comments.
+ * Expressions between elements are left alone, since they can contain further elements.
+ * @param {string} source JSX source
+ * @returns {string} The HTML
+ */
+function jsx(source) {
+    var result = source
+        .replace(/\{\s*\/\*[\s\S]*?\*\/\s*\}/g, blanked)
+        .replace(/\bclassName(?=\s*=)/g, 'class    ')
+        .replace(/\bhtmlFor(?=\s*=)/g, 'for    ');
+    var propValueRegex = /[=]\s*\{|\{\s*\.\.\./g;
+    var match = null;
+    while ((match = propValueRegex.exec(result)) !== null) {
+        var openIndex = match.index + match[0].indexOf('{');
+        var closeIndex = matchingBraceIndex(result, openIndex);
+        if (closeIndex === -1) {
+            break;
+        }
+        var expression = result.slice(openIndex, closeIndex + 1);
+        var replacement = match[0][0] === '=' ? '"' + blanked(expression.slice(1, -1)) + '"' : blanked(expression);
+        result = result.slice(0, openIndex) + replacement + result.slice(closeIndex + 1);
+        propValueRegex.lastIndex = closeIndex + 1;
+    }
+    return result;
+}
+
+var ejsAndErb = directiveMasker(/<%[\s\S]*?%>/g);
+var mustache = directiveMasker(/\{\{[\s\S]*?\}\}/g);
+
+/**
+ * @param {string} source Source of a file
+ * @param {integer} start Index of the start of an HTML fragment in the file (inclusive)
+ * @param {integer} end Index of the end of the fragment (exclusive)
+ * @param {function} [mask] Preprocessor for the fragment itself
+ * @returns {string} The source with everything but the fragment blanked out
+ */
+function fragmentOf(source, start, end, mask) {
+    var fragment = source.slice(start, end);
+    return blanked(source.slice(0, start)) + (mask ? mask(fragment) : fragment) + blanked(source.slice(end));
+}
+
+/**
+ * Blanks out the `${expression}` substitutions of a template literal.
+ * Substitutions that are attribute values become blank quoted values.
+ * @param {string} literal Contents of a template literal
+ * @returns {string} The contents as HTML
+ */
+function maskSubstitutions(literal) {
+    var result = literal;
+    var substitutionRegex = /\$\{/g;
+    var match = null;
+    while ((match = substitutionRegex.exec(result)) !== null) {
+        var closeIndex = matchingBraceIndex(result, match.index + 1);
+        if (closeIndex === -1) {
+            break;
+        }
+        var substitution = result.slice(match.index, closeIndex + 1);
+        var isAttributeValue = /[=]\s*$/.test(result.slice(0, match.index));
+        var replacement = isAttributeValue ? '"' + blanked(substitution.slice(2)) + '"' : blanked(substitution);
+        result = result.slice(0, match.index) + replacement + result.slice(closeIndex + 1);
+        substitutionRegex.lastIndex = closeIndex + 1;
+    }
+    return result;
+}
+
+/**
+ * @param {string} source Source of a file
+ * @param {integer} openIndex Index of the opening backtick of a template literal
+ * @returns {integer} Index of the closing backtick, or -1 if there is none
+ */
+function closingBacktickIndex(source, openIndex) {
+    for (var i = openIndex + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '`') {
+            return i;
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+            i = matchingBraceIndex(source, i + 1);
+            if (i === -1) {
+                return -1;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Preprocessor for JavaScript and TypeScript, whose HTML fragments are the templates tagged with `html` (as in lit-html).
+ * @param {string} source JavaScript source
+ * @returns {string[]} The fragments
+ */
+function javascript(source) {
+    var fragments = [];
+    var tagRegex = /\bhtml\s*`/g;
+    var match = null;
+    while ((match = tagRegex.exec(source)) !== null) {
+        var openIndex = match.index + match[0].length - 1;
+        var closeIndex = closingBacktickIndex(source, openIndex);
+        if (closeIndex === -1) {
+            break;
+        }
+        fragments.push(fragmentOf(source, openIndex + 1, closeIndex, maskSubstitutions));
+        tagRegex.lastIndex = closeIndex + 1;
+    }
+    return fragments;
+}
+
+/**
+ * Preprocessor for Vue single-file components, whose HTML fragment is the top-level `<template>` block.
+ * Mustache interpolations within it are blanked out.
+ * @param {string} source Source of the component
+ * @returns {string[]} The fragment, if the component has an HTML template
+ */
+function vue(source) {
+    var open = /^<template(\s[^>]*)?>/m.exec(source);
+    var lang = open && /\blang\s*=\s*["']?([\w-]+)/.exec(open[1] || '');
+    if (!open || lang && lang[1] !== 'html') {
+        return [];
+    }
+    var start = open.index + open[0].length;
+    var end = source.lastIndexOf('</template>');
+    while (end !== -1 && end > 0 && source[end - 1] !== '\n') {
+        end = source.lastIndexOf('</template>', end - 1);
+    }
+    if (end < start) {
+        return [];
+    }
+    return [fragmentOf(source, start, end, mustache)];
+}
+
+/**
+ * Preprocessor for Markdown, whose HTML fragments are the fenced code blocks whose language is `html`.
+ * @param {string} source Markdown source
+ * @returns {string[]} The fragments
+ */
+function markdown(source) {
+    var fragments = [];
+    var lineRegex = /[^\n]*(?:\n|$)/g;
+    var fence = null;
+    var start = null;
+    var match = null;
+    while ((match = lineRegex.exec(source)) !== null && match[0]) {
+        var line = match[0];
+        if (fence === null) {
+            var opening = /^ {0,3}(`{3,}|~{3,})\s*html\b/i.exec(line);
+            if (opening) {
+                fence = opening[1];
+                start = match.index + line.length;
+            }
+        } else if (new RegExp('^ {0,3}' + fence[0] + '{' + fence.length + ',}\\s*$').test(line)) {
+            fragments.push(fragmentOf(source, start, match.index));
+            fence = null;
+        }
+    }
+    return fragments;
+}
+
+/**
+ * The built-in preprocessors, by name.
+ */
+var BUILT_IN = {
+    handlebars: directiveMasker(/\{\{\{\{[\s\S]*?\}\}\}\}|\{\{!--[\s\S]*?--\}\}|\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g),
+    ejs: ejsAndErb,
+    erb: ejsAndErb,
+    jinja: directiveMasker(/\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}|\{#[\s\S]*?#\}/g),
+    jsx: jsx,
+    javascript: javascript,
+    vue: vue,
+    markdown: markdown
+};
+exports.BUILT_IN_NAMES = Object.keys(BUILT_IN);
+
+/**
+ * The names of the built-in preprocessors for templates, by file extension.
+ */
+var BY_EXTENSION = {
+    '.hbs': 'handlebars',
+    '.handlebars': 'handlebars',
+    '.mustache': 'handlebars',
+    '.ejs': 'ejs',
+    '.erb': 'erb',
+    '.j2': 'jinja',
+    '.jinja': 'jinja',
+    '.jinja2': 'jinja',
+    '.njk': 'jinja',
+    '.jsx': 'jsx',
+    '.tsx': 'jsx',
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.ts': 'javascript',
+    '.mts': 'javascript',
+    '.cts': 'javascript',
+    '.vue': 'vue',
+    '.md': 'markdown',
+    '.markdown': 'markdown'
+};
+
+/**
+ * Picks the preprocessor for a file by its extension.
+ * @param {string} filePath Path of the file
+ * @param {Object.<string, (string|function)>} [preprocessors] Preprocessors by file extension (e.g. ".hbs"),
+ *      which take precedence over the built-in ones
+ * @returns {(string|function|null)} The name of a built-in preprocessor or a preprocessor function, or null if the file needs none
+ */
+function preprocessorForFile(filePath, preprocessors) {
+    var extension = path.extname(filePath).toLowerCase();
+    if (preprocessors && Object.prototype.hasOwnProperty.call(preprocessors, extension)) {
+        return preprocessors[extension];
+    }
+    return Object.prototype.hasOwnProperty.call(BY_EXTENSION, extension) ? BY_EXTENSION[extension] : null;
+}
+exports.preprocessorForFile = preprocessorForFile;
+
+/**
+ * Runs a preprocessor.
+ * @param {string} source The source of the file
+ * @param {(string|function|null)} [preprocessor] The name of a built-in preprocessor or a preprocessor function; none if null
+ * @returns {(string|string[])} The HTML, or the HTML of each fragment if the file embeds HTML fragments
+ */
+function preprocess(source, preprocessor) {
+    if (!preprocessor) {
+        return source;
+    }
+    var name = typeof preprocessor === 'function' ? preprocessor.name || 'anonymous' : preprocessor;
+    if (typeof preprocessor !== 'function') {
+        if (!Object.prototype.hasOwnProperty.call(BUILT_IN, preprocessor)) {
+            throw new Error('Unknown preprocessor: ' + preprocessor);
+        }
+        preprocessor = BUILT_IN[preprocessor];
+    }
+    var html = preprocessor(source);
+    var isValid = (Array.isArray(html) ? html : [html]).every(function (document) {
+        return typeof document === 'string' && document.length === source.length;
+    });
+    if (!isValid) {
+        throw new Error('Preprocessor "' + name + '" must return a string of the same length as the source, or an array of them');
+    }
+    return html;
+}
+exports.preprocess = preprocess;
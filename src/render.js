@@ -0,0 +1,229 @@
+/**
+ * Linting of rendered pages: a page is loaded into jsdom, its scripts are run, and once it has settled,
+ * its live DOM is linted by the browser build of Bootlint, like the bookmarklet does in a real browser.
+ * This way, markup that scripts generate (e.g. modals) is linted too, and so are the versions of Bootstrap's jQuery plugins.
+ * jsdom is not a dependency of Bootlint; it is only loaded when rendering is asked for.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var Deferred = require('bluebird');
+var LocationIndex = require('./location').LocationIndex;
+
+var BROWSER_BUILD_PATH = path.join(__dirname, '..', 'dist', 'browser', 'bootlint.js');
+// how long the DOM must go without changes after the page has loaded for the page to count as settled
+var QUIET_PERIOD_MS = 100;
+var DEFAULT_TIMEOUT_MS = 5000;
+
+var jsdom = null;
+var browserBuild = null;
+
+/**
+ * @returns {Object} The jsdom module
+ */
+function loadJsdom() {
+    if (!jsdom) {
+        try {
+            jsdom = require('jsdom'); // eslint-disable-line global-require
+        } catch (err) {
+            if (err.code !== 'MODULE_NOT_FOUND') {
+                throw err;
+            }
+            throw new Error('Rendering pages requires the jsdom package, which is not installed. Install it with: npm install jsdom');
+        }
+    }
+    return jsdom;
+}
+exports.loadJsdom = loadJsdom;
+
+/**
+ * @returns {string} The source of the browser build of Bootlint
+ */
+function loadBrowserBuild() {
+    if (browserBuild === null) {
+        try {
+            browserBuild = fs.readFileSync(BROWSER_BUILD_PATH, {encoding: 'utf8'});
+        } catch (err) {
+            throw new Error('Rendering pages requires the browser build of Bootlint (' + BROWSER_BUILD_PATH + '); build it with: npm run build');
+        }
+    }
+    return browserBuild;
+}
+
+/**
+ * @param {string} filePath Path of a file
+ * @returns {string} The file's file: URL
+ */
+function fileUrlOf(filePath) {
+    var absolutePath = path.resolve(filePath).replace(/\\/g, '/');
+    // C:/page.html
+    if (absolutePath[0] !== '/') {
+        absolutePath = '/' + absolutePath;
+    }
+    return 'file://' + encodeURI(absolutePath).replace(/[?#]/g, encodeURIComponent);
+}
+exports.fileUrlOf = fileUrlOf;
+
+/**
+ * Only local scripts are run: those of files, and those from the same origin as a page that was fetched over HTTP(S).
+ * @param {string} resourceUrl URL of a resource of a page
+ * @param {string} pageUrl URL of the page
+ * @returns {boolean} Whether the resource is local to the page
+ */
+function isLocalResource(resourceUrl, pageUrl) {
+    var resource = url.parse(resourceUrl);
+    var page = url.parse(pageUrl);
+    if (resource.protocol === 'file:') {
+        return page.protocol === 'file:';
+    }
+    return (resource.protocol === 'http:' || resource.protocol === 'https:') &&
+        resource.protocol === page.protocol && resource.host === page.host;
+}
+exports.isLocalResource = isLocalResource;
+
+/**
+ * @param {string} pageUrl URL of the page
+ * @returns {ResourceLoader} jsdom resource loader that only loads the local scripts of the page
+ */
+function scriptLoaderFor(pageUrl) {
+    var loader = new (loadJsdom().ResourceLoader)();
+    var fetch = loader.fetch.bind(loader);
+    loader.fetch = function (resourceUrl, options) {
+        var isScript = options.element && options.element.localName === 'script';
+        return isScript && isLocalResource(resourceUrl, pageUrl) ? fetch(resourceUrl, options) : null;
+    };
+    return loader;
+}
+
+/**
+ * Waits until the page has loaded and then gone `QUIET_PERIOD_MS` without any changes to its DOM, but no longer than the timeout.
+ * @param {Window} window jsdom window of the page
+ * @param {integer} timeout Maximum number of milliseconds to wait
+ * @returns {Promise} Promise that is resolved once the page has settled or the timeout has passed
+ */
+function settled(window, timeout) {
+    return new Deferred(function (resolve) {
+        var quietTimer = null;
+        var observer = null;
+        var timeoutTimer = null;
+        function finish() {
+            clearTimeout(timeoutTimer);
+            clearTimeout(quietTimer);
+            if (observer) {
+                observer.disconnect();
+            }
+            resolve();
+        }
+        function restartQuietPeriod() {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(finish, QUIET_PERIOD_MS);
+        }
+        function onLoad() {
+            observer = new window.MutationObserver(restartQuietPeriod);
+            observer.observe(window.document, {
+                attributes: true,
+                characterData: true,
+                childList: true,
+                subtree: true
+            });
+            restartQuietPeriod();
+        }
+        timeoutTimer = setTimeout(finish, timeout);
+        if (window.document.readyState === 'complete') {
+            onLoad();
+        } else {
+            window.addEventListener('load', onLoad);
+        }
+    });
+}
+
+/**
+ * jsdom also gives the elements that scripts insert as HTML (e.g. with `innerHTML`) locations, but within the inserted HTML.
+ * So a location only counts if it lies within the location of the nearest ancestor that has one, which must count too.
+ * @param {JSDOM} dom The jsdom of the page
+ * @param {Element} element An element of the page
+ * @returns {(Object|null)} The jsdom location of the element in the HTML source, or null if it didn't come from the source
+ */
+function sourceLocationOf(dom, element) {
+    var nodeLocation = dom.nodeLocation(element);
+    if (!nodeLocation) {
+        return null;
+    }
+    for (var ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+        if (dom.nodeLocation(ancestor)) {
+            var outer = sourceLocationOf(dom, ancestor);
+            var isWithin = outer !== null && outer.startOffset < nodeLocation.startOffset && nodeLocation.endOffset <= outer.endOffset;
+            return isWithin ? nodeLocation : null;
+        }
+    }
+    return nodeLocation;
+}
+
+/**
+ * Sets the `startLocation` and `startTagEndLocation` of the elements that came from the HTML source.
+ * Elements that scripts created have no location in the source.
+ * @param {JSDOM} dom The jsdom of the page
+ * @param {Object} elements jQuery collection of elements referenced by a lint problem
+ * @param {LocationIndex} locationIndex Index of the HTML source
+ * @returns {undefined} Nothing
+ */
+function locateElements(dom, elements, locationIndex) {
+    elements.each(function (_, element) {
+        var nodeLocation = sourceLocationOf(dom, element);
+        if (!nodeLocation) {
+            return;
+        }
+        element.startLocation = locationIndex.locationOf(nodeLocation.startOffset);
+        if (nodeLocation.startTag) {
+            element.startTagEndLocation = locationIndex.locationOf(nodeLocation.startTag.endOffset - 1);
+        }
+    });
+}
+
+/**
+ * Renders a page in jsdom, running its local inline and `<script src>` scripts, and lints its DOM once it has settled.
+ * The problems are those of the browser build of Bootlint, without automatic fixes.
+ * Their elements are located in the HTML source, unless scripts created them.
+ * @param {string} html The HTML of the page
+ * @param {reporter} reporter Function to call with each lint problem
+ * @param {Object} [options] Options
+ * @param {string} [options.url] URL of the page, which its scripts are loaded relative to; a file: URL for files
+ * @param {(string[]|Object)} [options.config] Array of string IDs of linters to disable, or a configuration object
+ * @param {integer} [options.timeout=5000] Maximum number of milliseconds to wait for the page to settle
+ * @returns {Promise} Promise that is resolved once the page has been linted
+ */
+function lintRenderedHtml(html, reporter, options) {
+    options = options || {};
+    return Deferred.try(function () {
+        var jsdomModule = loadJsdom();
+        var source = loadBrowserBuild();
+        var pageUrl = options.url || fileUrlOf('index.html');
+        var dom = new jsdomModule.JSDOM(html, {
+            url: pageUrl,
+            runScripts: 'dangerously',
+            resources: scriptLoaderFor(pageUrl),
+            // the console output of the page's scripts would get mixed up with the report
+            virtualConsole: new jsdomModule.VirtualConsole(),
+            pretendToBeVisual: true,
+            includeNodeLocations: true
+        });
+        var timeout = typeof options.timeout === 'number' ? options.timeout : DEFAULT_TIMEOUT_MS;
+        return settled(dom.window, timeout).then(function () {
+            var locationIndex = new LocationIndex(html);
+            try {
+                // the page may have loaded Bootlint itself; use our own
+                dom.window.eval(source);
+                dom.window.bootlint.lintCurrentDocument(function (problem) {
+                    locateElements(dom, problem.elements, locationIndex);
+                    reporter(problem);
+                }, options.config);
+            } finally {
+                dom.window.close();
+            }
+        });
+    });
+}
+exports.lintRenderedHtml = lintRenderedHtml;
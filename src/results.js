@@ -0,0 +1,103 @@
+/**
+ * Plain, JSON-serializable copies of lint problems, which can be passed between threads and stored in the lint cache.
+ * Their elements keep just the source positions of the original elements and the paths of the elements in the document,
+ * which is all that the formatters and baselines need.
+ */
+
+'use strict';
+
+var cheerio = require('cheerio');
+var baseline = require('./baseline');
+var bootlint = require('./bootlint');
+var Location = require('./location').Location;
+
+/**
+ * @typedef {Object} PlainElement
+ * @property {string} elementPath Path of the element in the document (see `baseline.elementPathOf()`)
+ * @property {?integer} startIndex 0-based offset of the start of the element
+ * @property {?integer} endIndex 0-based offset of the last character of the element
+ * @property {?integer} startTagEndIndex 0-based offset of the `>` that ends the element's start tag
+ * @property {?Object} startLocation 0-based line and column of the start of the element
+ * @property {?Object} startTagEndLocation 0-based line and column of the `>` that ends the element's start tag
+ */
+
+/**
+ * @typedef {Object} PlainLintProblem
+ * @property {string} id ID of the problem
+ * @property {string} severity "error" or "warning"
+ * @property {string} message Message of the problem
+ * @property {string} url URL of the documentation of the problem
+ * @property {PlainElement[]} elements The elements that the problem concerns
+ * @property {Object[]} fixes The automatic fixes of the problem
+ */
+
+function numberOrNull(value) {
+    return typeof value === 'number' ? value : null;
+}
+
+function locationOrNull(location) {
+    if (!location) {
+        return null;
+    }
+    return {
+        line: location.line,
+        column: location.column
+    };
+}
+
+/**
+ * @param {Array.<(LintError|LintWarning)>} problems Lint problems
+ * @returns {PlainLintProblem[]} Plain copies of the problems
+ */
+function serializeProblems(problems) {
+    return problems.map(function (problem) {
+        var elements = problem.elements ? problem.elements.toArray() : [];
+        return {
+            id: problem.id,
+            severity: problem.severity,
+            message: problem.message,
+            url: problem.url,
+            elements: elements.map(function (element) {
+                return {
+                    elementPath: baseline.elementPathOf(element),
+                    startIndex: numberOrNull(element.startIndex),
+                    endIndex: numberOrNull(element.endIndex),
+                    startTagEndIndex: numberOrNull(element.startTagEndIndex),
+                    startLocation: locationOrNull(element.startLocation),
+                    startTagEndLocation: locationOrNull(element.startTagEndLocation)
+                };
+            }),
+            fixes: problem.fixes || []
+        };
+    });
+}
+exports.serializeProblems = serializeProblems;
+
+/**
+ * @param {PlainLintProblem[]} plainProblems Plain copies of lint problems
+ * @returns {Array.<(LintError|LintWarning)>} The problems, whose elements are Cheerio collections of `PlainElement`s
+ */
+function deserializeProblems(plainProblems) {
+    return plainProblems.map(function (plain) {
+        var elements = plain.elements.map(function (element) {
+            // like those of the original elements, the positions that are unknown are left out
+            var copy = {elementPath: element.elementPath};
+            ['startIndex', 'endIndex', 'startTagEndIndex'].forEach(function (property) {
+                if (element[property] !== null) {
+                    copy[property] = element[property];
+                }
+            });
+            ['startLocation', 'startTagEndLocation'].forEach(function (property) {
+                if (element[property] !== null) {
+                    copy[property] = new Location(element[property].line, element[property].column);
+                }
+            });
+            return copy;
+        });
+        var ProblemClass = plain.severity === 'error' ? bootlint.LintError : bootlint.LintWarning;
+        var problem = new ProblemClass(plain.id, plain.message, cheerio(elements), plain.fixes);
+        problem.url = plain.url;
+        return problem;
+    });
+}
+exports.deserializeProblems = deserializeProblems;
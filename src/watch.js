@@ -0,0 +1,320 @@
+/**
+ * Watching of the files that match glob patterns, for the `--watch` mode of the command-line interface.
+ * The directories that the patterns can match files in are watched with `fs.watch()`;
+ * whenever anything changes in them, the patterns are matched again to find the files that were added, changed or deleted.
+ * Config files are watched too, since a change to one of them can change the problems of any file.
+ */
+
+'use strict';
+
+var Deferred = require('bluebird');
+var fs = require('fs');
+var path = require('path');
+var glob = require('glob');
+var globAsync = Deferred.promisify(glob);
+var readdir = Deferred.promisify(fs.readdir);
+var stat = Deferred.promisify(fs.stat);
+
+// changes often come in bursts, e.g. when an editor saves a file by writing a temporary file and renaming it
+var DEBOUNCE_MS = 100;
+// directories that hold no sources, but so many files that watching them would be wasteful
+var SKIPPED_DIRECTORY_REGEX = /^(?:node_modules|\..+)$/;
+
+/**
+ * @typedef {Object} FileChanges
+ * @property {string[]} added Files that newly match the patterns
+ * @property {string[]} changed Files whose contents may have changed
+ * @property {string[]} deleted Files that no longer match the patterns
+ * @property {boolean} configChanged Whether a config file was added, changed or deleted, in which case all of the files count as changed
+ */
+
+/**
+ * @param {string[]} segments The segments of a glob pattern
+ * @returns {integer} The index of the first segment with wildcards, or -1 if there is none
+ */
+function magicIndexOf(segments) {
+    var magicIndex = -1;
+    segments.some(function (segment, index) {
+        if (glob.hasMagic(segment)) {
+            magicIndex = index;
+            return true;
+        }
+        return false;
+    });
+    return magicIndex;
+}
+
+/**
+ * @param {string} pattern Glob pattern
+ * @returns {string} The directory that all of the files that the pattern matches are in
+ */
+function baseDirectoryOf(pattern) {
+    var segments = pattern.split('/');
+    var magicIndex = magicIndexOf(segments);
+    if (magicIndex === -1) {
+        return path.dirname(pattern);
+    }
+    var base = segments.slice(0, magicIndex).join('/');
+    if (!base) {
+        return magicIndex === 0 ? '.' : '/';
+    }
+    return base;
+}
+exports.baseDirectoryOf = baseDirectoryOf;
+
+/**
+ * @param {string} dir Path of a directory
+ * @returns {Promise.<string[]>} The directory and all of the directories below it, except those that hold no sources
+ */
+function directoriesUnder(dir) {
+    return readdir(dir).then(function (names) {
+        return Deferred.map(names, function (name) {
+            if (SKIPPED_DIRECTORY_REGEX.test(name)) {
+                return [];
+            }
+            var child = path.join(dir, name);
+            return stat(child).then(function (stats) {
+                return stats.isDirectory() ? directoriesUnder(child) : [];
+            }, function () {
+                // deleted in the meantime
+                return [];
+            });
+        });
+    }).then(function (subdirectories) {
+        return [].concat.apply([dir], subdirectories);
+    }, function () {
+        return [];
+    });
+}
+
+/**
+ * Only patterns with wildcards in their directories (e.g. `**` or `*\/`) can match files below their base directory.
+ * @param {string} pattern Glob pattern
+ * @returns {Promise.<string[]>} The directories that the pattern can match files in
+ */
+function watchedDirectoriesOf(pattern) {
+    var segments = pattern.split('/');
+    var magicIndex = magicIndexOf(segments);
+    var isFlat = magicIndex === -1 || (magicIndex === segments.length - 1 && segments[magicIndex] !== '**');
+    return isFlat ? Deferred.resolve([baseDirectoryOf(pattern)]) : directoriesUnder(baseDirectoryOf(pattern));
+}
+exports.watchedDirectoriesOf = watchedDirectoriesOf;
+
+/**
+ * @param {string[]} filePaths Paths of files
+ * @returns {Promise.<Object.<string, string>>} The signatures (modification time and size) of the files that exist, by path
+ */
+function signaturesOf(filePaths) {
+    var signatures = {};
+    return Deferred.each(filePaths, function (filePath) {
+        return stat(filePath).then(function (stats) {
+            signatures[filePath] = stats.mtime.getTime() + ':' + stats.size;
+        }, function () {
+            // deleted in the meantime
+        });
+    }).then(function () {
+        return signatures;
+    });
+}
+
+/**
+ * @param {Object.<string, string>} before Signatures of files by path
+ * @param {Object.<string, string>} after Signatures of files by path
+ * @returns {FileChanges} The differences between the two
+ */
+function changesBetween(before, after) {
+    return {
+        added: Object.keys(after).filter(function (filePath) {
+            return !Object.prototype.hasOwnProperty.call(before, filePath);
+        }),
+        changed: Object.keys(after).filter(function (filePath) {
+            return Object.prototype.hasOwnProperty.call(before, filePath) && before[filePath] !== after[filePath];
+        }),
+        deleted: Object.keys(before).filter(function (filePath) {
+            return !Object.prototype.hasOwnProperty.call(after, filePath);
+        })
+    };
+}
+
+/**
+ * Watches the files that match glob patterns, and the config files that apply to them.
+ * @param {string[]} patterns Glob patterns
+ * @param {function} isIgnored Function that takes the path of a file and returns whether to leave it out
+ * @param {function} onChange Function to call with the `FileChanges` whenever files were added, changed or deleted
+ * @param {Object} [options] Options
+ * @param {function} [options.configFiles] Function that returns the paths of the config files to watch, including those that don't exist yet
+ * @param {function} [options.onConfigChange] Function to call when a config file was added, changed or deleted,
+ *      before the patterns are matched again (and `isIgnored` is called) and `onChange` is called
+ * @class
+ */
+function FileWatcher(patterns, isIgnored, onChange, options) {
+    options = options || {};
+    this._patterns = patterns;
+    this._isIgnored = isIgnored;
+    this._onChange = onChange;
+    this._configFiles = options.configFiles || function () {
+        return [];
+    };
+    this._onConfigChange = options.onConfigChange || function () {
+        // nothing to re-resolve
+    };
+    this._watchers = {};
+    this._signatures = {};
+    this._configSignatures = {};
+    this._timer = null;
+    this._hasScanned = false;
+    this._isScanning = false;
+    this._isRescanNeeded = false;
+    this._isClosed = false;
+}
+exports.FileWatcher = FileWatcher;
+
+/**
+ * Starts watching.
+ * @returns {Promise} Promise that is resolved once the files are being watched
+ */
+FileWatcher.prototype.start = function () {
+    return this._scan();
+};
+
+/**
+ * Stops watching.
+ * @returns {undefined} Nothing
+ */
+FileWatcher.prototype.close = function () {
+    this._isClosed = true;
+    clearTimeout(this._timer);
+    Object.keys(this._watchers).forEach(function (dir) {
+        this._watchers[dir].close();
+    }.bind(this));
+    this._watchers = {};
+};
+
+/**
+ * @returns {Promise.<Object.<string, string>>} The signatures (modification time and size) of the matching files, by path
+ */
+FileWatcher.prototype._signaturesOfFiles = function () {
+    return Deferred.mapSeries(this._patterns, function (pattern) {
+        return globAsync(pattern);
+    }).then(function (matches) {
+        return signaturesOf([].concat.apply([], matches).filter(function (filePath) {
+            return !this._isIgnored(filePath);
+        }.bind(this)));
+    }.bind(this));
+};
+
+/**
+ * @returns {Promise.<Object.<string, ?string>>} The signatures of the config files by path, null for those that don't exist
+ */
+FileWatcher.prototype._signaturesOfConfigFiles = function () {
+    var configFiles = this._configFiles();
+    return signaturesOf(configFiles).then(function (existing) {
+        var signatures = {};
+        configFiles.forEach(function (filePath) {
+            signatures[filePath] = Object.prototype.hasOwnProperty.call(existing, filePath) ? existing[filePath] : null;
+        });
+        return signatures;
+    });
+};
+
+/**
+ * Config files that weren't watched at the last scan don't count, since it's unknown how they were back then.
+ * @param {Object.<string, ?string>} configSignatures Signatures of the config files by path
+ * @returns {boolean} Whether any of the config files was added, changed or deleted since the last scan
+ */
+FileWatcher.prototype._hasConfigChanged = function (configSignatures) {
+    return Object.keys(configSignatures).some(function (filePath) {
+        return Object.prototype.hasOwnProperty.call(this._configSignatures, filePath) && this._configSignatures[filePath] !== configSignatures[filePath];
+    }.bind(this));
+};
+
+/**
+ * Watches the directories that the patterns can match files in, including those that were created since the last scan,
+ * and those of the config files.
+ * @returns {Promise} Promise that is resolved once the directories are being watched
+ */
+FileWatcher.prototype._watchDirectories = function () {
+    var configDirs = this._configFiles().map(function (filePath) {
+        return [path.dirname(filePath)];
+    });
+    return Deferred.map(this._patterns, watchedDirectoriesOf).then(function (dirLists) {
+        var dirs = [].concat.apply([], dirLists.concat(configDirs));
+        Object.keys(this._watchers).forEach(function (dir) {
+            if (dirs.indexOf(dir) === -1) {
+                this._watchers[dir].close();
+                delete this._watchers[dir];
+            }
+        }.bind(this));
+        dirs.forEach(function (dir) {
+            if (this._watchers[dir] || this._isClosed) {
+                return;
+            }
+            try {
+                this._watchers[dir] = fs.watch(dir, this._scheduleScan.bind(this));
+                this._watchers[dir].on('error', this._scheduleScan.bind(this));
+            } catch (err) {
+                // deleted in the meantime; the next scan takes care of it
+            }
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * @returns {undefined} Nothing
+ */
+FileWatcher.prototype._scheduleScan = function () {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(this._scan.bind(this), DEBOUNCE_MS);
+};
+
+/**
+ * Matches the patterns again and reports the files that were added, changed or deleted since the last scan,
+ * or all of them once a config file was added, changed or deleted.
+ * @returns {Promise} Promise that is resolved once the scan is done
+ */
+FileWatcher.prototype._scan = function () {
+    if (this._isClosed) {
+        return Deferred.resolve();
+    }
+    if (this._isScanning) {
+        // scan again once the current scan is done, since it may have missed the latest changes
+        this._isRescanNeeded = true;
+        return Deferred.resolve();
+    }
+    this._isScanning = true;
+    var isConfigChanged = false;
+    return this._watchDirectories().then(function () {
+        return this._signaturesOfConfigFiles();
+    }.bind(this)).then(function (configSignatures) {
+        isConfigChanged = this._hasConfigChanged(configSignatures);
+        // keep the config files that are no longer asked for, since they may be asked for again once the config is re-resolved
+        Object.keys(configSignatures).forEach(function (filePath) {
+            this._configSignatures[filePath] = configSignatures[filePath];
+        }.bind(this));
+        if (isConfigChanged && !this._isClosed) {
+            this._onConfigChange();
+        }
+        return this._signaturesOfFiles();
+    }.bind(this)).then(function (signatures) {
+        var changes = changesBetween(this._signatures, signatures);
+        if (isConfigChanged) {
+            changes.changed = Object.keys(signatures).filter(function (filePath) {
+                return Object.prototype.hasOwnProperty.call(this._signatures, filePath);
+            }.bind(this));
+        }
+        changes.configChanged = isConfigChanged;
+        var hasChanges = Boolean(isConfigChanged || changes.added.length || changes.changed.length || changes.deleted.length);
+        var isFirstScan = !this._hasScanned;
+        this._signatures = signatures;
+        this._hasScanned = true;
+        if (hasChanges && !isFirstScan && !this._isClosed) {
+            this._onChange(changes);
+        }
+    }.bind(this)).finally(function () {
+        this._isScanning = false;
+        if (this._isRescanNeeded) {
+            this._isRescanNeeded = false;
+            this._scheduleScan();
+        }
+    }.bind(this));
+};
@@ -0,0 +1,194 @@
+/**
+ * Linting of files in a pool of worker threads, for the command-line interface.
+ * This module is also the script that the worker threads run: each of them resolves the configuration of the files it is given
+ * (which may include preprocessor functions, so it cannot be passed between threads), lints them,
+ * and passes back the results as plain objects (see results.js).
+ * Without worker threads (before Node.js 10.5), files are linted on the main thread instead.
+ */
+
+'use strict';
+
+var Deferred = require('bluebird');
+var path = require('path');
+var bootlint = require('./bootlint');
+var ConfigResolver = require('./config').ConfigResolver;
+var results = require('./results');
+
+var workerThreads = null;
+try {
+    workerThreads = require('worker_threads'); // eslint-disable-line global-require
+} catch (err) {
+    // worker threads are not available in this version of Node.js
+}
+
+/**
+ * @typedef {Object} LintTask
+ * @property {string} configPath Path of the file whose configuration to lint with
+ * @property {string} contents The HTML
+ * @property {boolean} isFixing Whether to also fix the problems
+ */
+
+/**
+ * Lints (and, if requested, fixes) HTML.
+ * @param {string} contents The HTML
+ * @param {Object} config Configuration to lint with
+ * @param {boolean} isFixing Whether to also fix the problems
+ * @returns {LintResult} The results
+ */
+function lintSource(contents, config, isFixing) {
+    if (!isFixing) {
+        var problems = [];
+        bootlint.lintHtml(contents, function (problem) {
+            problems.push(problem);
+        }, config);
+        return {
+            problems: results.serializeProblems(problems),
+            output: null
+        };
+    }
+    var fixed = bootlint.fixHtml(contents, config);
+    return {
+        problems: results.serializeProblems(fixed.problems),
+        output: fixed.output === contents ? null : fixed.output
+    };
+}
+exports.lintSource = lintSource;
+
+/**
+ * @returns {boolean} Whether files can be linted in worker threads
+ */
+function isSupported() {
+    return workerThreads !== null;
+}
+exports.isSupported = isSupported;
+
+/**
+ * Pool of worker threads that lint files. Threads are started as they are needed, up to the size of the pool.
+ * @param {integer} size Maximum number of worker threads
+ * @param {Object} cliConfig Configuration from the command-line options (see `ConfigResolver.configForFile()`)
+ * @class
+ */
+function WorkerPool(size, cliConfig) {
+    this._size = size;
+    this._cliConfig = cliConfig;
+    this._workers = [];
+    this._idleWorkers = [];
+    this._jobsByThreadId = {};
+    this._queue = [];
+}
+exports.WorkerPool = WorkerPool;
+
+/**
+ * @param {LintTask} task What to lint
+ * @returns {Promise.<LintResult>} The results, once a worker thread has linted the file
+ */
+WorkerPool.prototype.run = function (task) {
+    return new Deferred(function (resolve, reject) {
+        this._queue.push({
+            task: task,
+            resolve: resolve,
+            reject: reject
+        });
+        this._dispatch();
+    }.bind(this));
+};
+
+/**
+ * Stops all of the worker threads.
+ * @returns {undefined} Nothing
+ */
+WorkerPool.prototype.close = function () {
+    this._workers.forEach(function (worker) {
+        worker.terminate();
+    });
+    this._workers = [];
+    this._idleWorkers = [];
+};
+
+/**
+ * Hands out the queued tasks to the idle worker threads, starting new threads if there are none.
+ * @returns {undefined} Nothing
+ */
+WorkerPool.prototype._dispatch = function () {
+    while (this._queue.length && (this._idleWorkers.length || this._workers.length < this._size)) {
+        var worker = this._idleWorkers.length ? this._idleWorkers.pop() : this._startWorker();
+        var job = this._queue.shift();
+        this._jobsByThreadId[worker.threadId] = job;
+        worker.postMessage(job.task);
+    }
+};
+
+/**
+ * @returns {Worker} A new worker thread
+ */
+WorkerPool.prototype._startWorker = function () {
+    var worker = new workerThreads.Worker(__filename, {
+        workerData: {
+            isBootlintWorker: true,
+            cliConfig: this._cliConfig
+        }
+    });
+    var threadId = worker.threadId;
+    var finishJob = function () {
+        var job = this._jobsByThreadId[threadId];
+        delete this._jobsByThreadId[threadId];
+        return job;
+    }.bind(this);
+    worker.on('message', function (message) {
+        var job = finishJob();
+        this._idleWorkers.push(worker);
+        if (message.error) {
+            var error = new Error(message.error.message);
+            error.stack = message.error.stack;
+            job.reject(error);
+        } else {
+            job.resolve(message.result);
+        }
+        this._dispatch();
+    }.bind(this));
+    worker.on('error', function (err) {
+        // the thread has crashed, so replace it
+        var job = finishJob();
+        this._workers.splice(this._workers.indexOf(worker), 1);
+        if (job) {
+            job.reject(err);
+        }
+        this._dispatch();
+    }.bind(this));
+    this._workers.push(worker);
+    return worker;
+};
+
+/**
+ * Lints the files that the main thread sends, and sends back the results.
+ * @returns {undefined} Nothing
+ */
+function runWorker() {
+    var cliConfig = workerThreads.workerData.cliConfig;
+    var configResolver = new ConfigResolver();
+    // plugins named on the command line are looked up from the current directory
+    cliConfig.plugins.forEach(function (name) {
+        bootlint.loadPlugin(name, process.cwd());
+    });
+    workerThreads.parentPort.on('message', function (task) {
+        try {
+            var config = configResolver.configForFile(task.configPath, cliConfig);
+            // plugins named in config files are looked up from the linted file
+            config.plugins.forEach(function (name) {
+                bootlint.loadPlugin(name, path.dirname(path.resolve(task.configPath)));
+            });
+            workerThreads.parentPort.postMessage({result: lintSource(task.contents, config, task.isFixing)});
+        } catch (err) {
+            workerThreads.parentPort.postMessage({
+                error: {
+                    message: err.message,
+                    stack: err.stack
+                }
+            });
+        }
+    });
+}
+
+if (workerThreads && !workerThreads.isMainThread && workerThreads.workerData && workerThreads.workerData.isBootlintWorker) {
+    runWorker();
+}
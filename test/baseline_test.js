@@ -0,0 +1,143 @@
+'use strict';
+
+var path = require('path');
+var baseline = require('../src/baseline.js');
+var bootlint = require('../src/bootlint.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var GLYPHICON = '<span class="glyphicon glyphicon-ok">OK</span>';
+
+function problemsIn(html) {
+    var problems = [];
+    bootlint.lintHtml(html, function (problem) {
+        problems.push(problem);
+    }, {fragment: true});
+    return problems;
+}
+
+function idsOf(problems) {
+    return problems.map(function (problem) {
+        return problem.id;
+    });
+}
+
+exports.baseline = {
+    'element paths': function (test) {
+        test.expect(2);
+        var problems = problemsIn('<div><p>Text</p></div><div><p>' + GLYPHICON + '</p><p>' + GLYPHICON + '</p></div>');
+        test.strictEqual(problems.length, 1, 'should find both glyphicons in one problem.');
+        test.deepEqual(problems[0].elements.toArray().map(baseline.elementPathOf), ['div[1]>p[0]>span', 'div[1]>p[1]>span'],
+            'should index the elements among their siblings with the same tag name.');
+        test.done();
+    },
+    'fingerprints': function (test) {
+        test.expect(3);
+        var before = baseline.fingerprintsOf(problemsIn('<div>' + GLYPHICON + '</div>')[0]);
+        var shifted = baseline.fingerprintsOf(problemsIn('\n\n<div>\n    ' + GLYPHICON + '\n</div>')[0]);
+        var moved = baseline.fingerprintsOf(problemsIn('<p>' + GLYPHICON + '</p>')[0]);
+        test.strictEqual(before.length, 1, 'should fingerprint each element of a problem.');
+        test.deepEqual(shifted, before, 'should not depend on line numbers or whitespace.');
+        test.notDeepEqual(moved, before, 'should depend on the path of the element.');
+        test.done();
+    },
+    'creating baselines': function (test) {
+        test.expect(1);
+        var problems = problemsIn('<div>' + GLYPHICON + '</div><div>' + GLYPHICON + '</div>');
+        var created = baseline.createBaseline([
+            {
+                key: 'index.html',
+                problems: problems
+            },
+            {
+                key: 'clean.html',
+                problems: []
+            }
+        ]);
+        var fingerprints = baseline.fingerprintsOf(problems[0]);
+        var expectedEntries = fingerprints.map(function (fingerprint) {
+            return {
+                id: 'E031',
+                fingerprint: fingerprint,
+                count: 1
+            };
+        }).sort(function (a, b) {
+            return a.fingerprint < b.fingerprint ? -1 : 1;
+        });
+        test.deepEqual(created, {
+            version: 1,
+            files: {'index.html': expectedEntries}
+        }, 'should record an entry per element of each problem, and leave out files without problems.');
+        test.done();
+    },
+    'applying baselines': function (test) {
+        test.expect(5);
+        var legacy = '<div>' + GLYPHICON + '</div><button class="btn">Old</button>';
+        var recorded = baseline.createBaseline([{
+            key: 'index.html',
+            problems: problemsIn(legacy)
+        }]);
+
+        var unchanged = baseline.applyBaseline(recorded, 'index.html', problemsIn('\n' + legacy));
+        test.deepEqual([unchanged.problems, unchanged.stale], [[], []], 'should leave out the recorded problems.');
+
+        var other = baseline.applyBaseline(recorded, 'other.html', problemsIn(legacy));
+        test.deepEqual(idsOf(other.problems).sort(), ['E031', 'W007'], 'should only apply the entries of the same file.');
+
+        var grown = baseline.applyBaseline(recorded, 'index.html', problemsIn(legacy + '<p>' + GLYPHICON + '</p>'));
+        test.deepEqual(grown.problems.map(function (problem) {
+            return problem.elements.toArray().map(baseline.elementPathOf);
+        }), [['p>span']], 'should keep just the new elements of problems.');
+
+        var fixed = baseline.applyBaseline(recorded, 'index.html', problemsIn('<div>' + GLYPHICON + '</div><button type="button" class="btn">Old</button>'));
+        test.strictEqual(fixed.problems.length, 0, 'should not report anything when recorded problems are fixed.');
+        test.deepEqual(idsOf(fixed.stale), ['W007'], 'should report the entries of the recorded problems that no longer occur.');
+        test.done();
+    },
+    'stale counts': function (test) {
+        test.expect(1);
+        var problems = problemsIn('<div><p>' + GLYPHICON + '</p></div>');
+        var fingerprint = baseline.fingerprintsOf(problems[0])[0];
+        var entry = {
+            id: 'E031',
+            fingerprint: fingerprint,
+            count: 3
+        };
+        var recorded = {
+            version: 1,
+            files: {'index.html': [entry]}
+        };
+        var stale = baseline.applyBaseline(recorded, 'index.html', problems).stale;
+        test.deepEqual(stale.map(function (staleEntry) {
+            return staleEntry.count;
+        }), [2], 'should report how many of the recorded occurrences are left over.');
+        test.done();
+    },
+    'reading baselines': function (test) {
+        test.expect(2);
+        var unsupported = path.join(__dirname, 'fixtures/baseline/unsupported-version.json');
+        test.throws(function () {
+            baseline.readBaseline(unsupported);
+        }, /not a Bootlint baseline \(version 1\)/, 'should reject other versions of the format.');
+        test.throws(function () {
+            baseline.readBaseline(path.join(__dirname, 'fixtures/baseline/missing.json'));
+        }, /Cannot read baseline file/, 'should explain which baseline file could not be read.');
+        test.done();
+    }
+};
@@ -0,0 +1,145 @@
+/* eslint no-process-exit: 0 */
+
+'use strict';
+
+/*
+    Benchmarks of linting large generated pages.
+
+    Usage: npm run benchmark [-- [--compare <path of another bootlint.js>] [--scale <N>]]
+
+    --compare runs the same benchmarks with another copy of Bootlint, e.g. a checkout of an earlier release,
+    and reports how much faster this one is. Copies without `lint()` are run through `lintHtml()`.
+    --scale multiplies the size of the generated pages (default: 1).
+*/
+
+var path = require('path');
+var bootlint = require('../../src/bootlint.js');
+
+var MIN_RUNS = 5;
+var MIN_MS = 2000;
+
+function repeat(count, generate) {
+    var parts = [];
+    for (var i = 0; i < count; i++) {
+        parts.push(generate(i));
+    }
+    return parts.join('\n');
+}
+
+function page(body) {
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta http-equiv="X-UA-Compatible" content="IE=edge">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        '<title>Benchmark</title>',
+        '<link rel="stylesheet" href="../lib/bootstrap.min.css">',
+        '</head>',
+        '<body>',
+        body,
+        '<script src="../lib/jquery.min.js"></script>',
+        '<script src="../lib/bootstrap.min.js"></script>',
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+/**
+ * @param {integer} scale Size factor
+ * @returns {Object.<string, string>} Generated pages, by name
+ */
+function pagesFor(scale) {
+    return {
+        'grid (v3)': page(repeat(100 * scale, function (i) {
+            return '<div class="container"><div class="row">' +
+                '<div class="col-xs-12 col-md-' + (i % 12 + 1) + '"><p>Cell ' + i + '</p>' +
+                '<div class="row"><div class="col-sm-6"><span>Nested</span></div><div class="col-sm-6"></div></div></div>' +
+                '<div class="col-xs-6 col-sm-6 col-md-4"><a href="#x" class="btn btn-default">Link</a></div>' +
+                '</div></div>';
+        })),
+        'components (v3)': page(repeat(50 * scale, function (i) {
+            return '<form><div class="form-group"><label for="f' + i + '">Field</label>' +
+                '<div class="input-group"><span class="input-group-addon">@</span><input id="f' + i + '" class="form-control" type="text"></div></div>' +
+                '<div class="checkbox"><label><input type="checkbox"> Check</label></div>' +
+                '<button class="btn btn-primary">Save</button></form>' +
+                '<div class="modal fade" id="m' + i + '" tabindex="-1" role="dialog"><div class="modal-dialog" role="document"><div class="modal-content">' +
+                '<div class="modal-header"><h4 class="modal-title">Title</h4></div><div class="modal-body"><p>Body</p></div></div></div></div>' +
+                '<nav class="navbar navbar-default"><div class="container-fluid"><ul class="nav navbar-nav"><li><a href="#">Home</a></li></ul></div></nav>' +
+                '<div class="panel panel-default"><div class="panel-heading"><h3 class="panel-title">Panel</h3></div><div class="panel-body">Text</div></div>';
+        })),
+        'grid (v4)': page(repeat(100 * scale, function (i) {
+            return '<div class="container"><div class="row"><div class="col-12 col-md-' + (i % 12 + 1) + '">' +
+                '<div class="card"><div class="card-body"><p>Card ' + i + '</p></div></div></div>' +
+                '<div class="col col-sm"><span class="badge badge-secondary">New</span></div></div></div>';
+        })).replace('bootstrap.min.js', 'bootstrap-4.0.0/bootstrap.min.js')
+    };
+}
+
+/**
+ * @param {Object} linter A copy of Bootlint
+ * @returns {function} Function that lints the given HTML with it
+ */
+function lintFunctionOf(linter) {
+    if (typeof linter.lint === 'function') {
+        return linter.lint;
+    }
+    // releases before `lint()` only have `lintHtml()`, which reports the problems one by one
+    return function (html) {
+        linter.lintHtml(html, function () {
+            // only the duration counts
+        }, []);
+    };
+}
+
+/**
+ * @param {Object} linter A copy of Bootlint
+ * @param {string} html The HTML to lint
+ * @returns {Object} Mean duration in milliseconds and number of runs
+ */
+function measure(linter, html) {
+    var lint = lintFunctionOf(linter);
+    // warm up
+    lint(html);
+    var runs = 0;
+    var start = Date.now();
+    while (runs < MIN_RUNS || Date.now() - start < MIN_MS) {
+        lint(html);
+        runs++;
+    }
+    return {
+        mean: (Date.now() - start) / runs,
+        runs: runs
+    };
+}
+
+function optionValue(args, name) {
+    var index = args.indexOf(name);
+    if (index === -1) {
+        return null;
+    }
+    if (index === args.length - 1) {
+        console.error(name + ' needs a value');
+        process.exit(1);
+    }
+    return args[index + 1];
+}
+
+var args = process.argv.slice(2);
+var comparePath = optionValue(args, '--compare');
+var scale = Number(optionValue(args, '--scale') || 1);
+var other = comparePath ? require(path.resolve(comparePath)) : null;
+var pages = pagesFor(scale);
+
+Object.keys(pages).forEach(function (name) {
+    var html = pages[name];
+    var result = measure(bootlint, html);
+    var line = name + ' (' + Math.round(html.length / 1024) + ' KiB): ' + result.mean.toFixed(1) + ' ms per page (' + result.runs + ' runs)';
+    if (other) {
+        var otherResult = measure(other, html);
+        line += '; compared: ' + otherResult.mean.toFixed(1) + ' ms (' + otherResult.runs + ' runs), ' +
+            (otherResult.mean / result.mean).toFixed(2) + 'x as fast';
+    }
+    console.log(line);
+});
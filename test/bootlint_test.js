@@ -3,6 +3,7 @@
 var fs = require('fs');
 var path = require('path');
 var bootlint = require('../src/bootlint.js');
+var Location = require('../src/location.js').Location;
 
 function _fixtureNameToFilepath(name) {
     return path.join(__dirname, '/fixtures/', name);
@@ -63,6 +64,232 @@ exports.bootlint = {
             'should complain when Bootstrap v2 grid classes are present.');
         test.done();
     },
+    'configuration objects': function (test) {
+        test.expect(2);
+        test.deepEqual(lintHtml(utf8Fixture('bs-v2.html'), {disabledIds: ['E002', 'E013']}),
+            [],
+            'should not complain about linters disabled via disabledIds.');
+        var config = {
+            disabledIds: ['E002'],
+            rules: {
+                E002: 'error',
+                E013: 'off'
+            }
+        };
+        test.deepEqual(lintHtml(utf8Fixture('bs-v2.html'), config),
+            [],
+            'should not complain about linters whose severity is "off".');
+        test.done();
+    },
+    'severity overrides': function (test) {
+        test.expect(6);
+        function problemsIn(fixture, rules) {
+            var problems = [];
+            bootlint.lintHtml(utf8Fixture(fixture), function (problem) {
+                problems.push(problem);
+            }, {rules: rules});
+            return problems;
+        }
+
+        var promoted = problemsIn('buttons/without-type.html', {W007: 'error'});
+        test.ok(promoted[0] instanceof bootlint.LintError, 'should report warnings promoted to errors as LintErrors.');
+        test.deepEqual([promoted[0].id, promoted[0].severity], ['W007', 'error'], 'should keep the ID of promoted warnings.');
+
+        var demoted = problemsIn('bs-v2.html', {E002: 'warn'});
+        test.ok(demoted[0] instanceof bootlint.LintWarning, 'should report errors demoted to warnings as LintWarnings.');
+        test.deepEqual(demoted.map(function (problem) {
+            return problem.id + ' ' + problem.severity;
+        }), ['E002 warning', 'E013 error'], 'should only change the severity of the overridden linters.');
+
+        var unchanged = problemsIn('buttons/without-type.html', {});
+        test.strictEqual(unchanged[0].severity, 'warning', 'should derive the default severity from the ID.');
+        test.deepEqual(problemsIn('buttons/without-type.html', {W007: 'off'}), [], 'should not report problems whose severity is "off".');
+        test.done();
+    },
+    'structured results': function (test) {
+        test.expect(3);
+        var html = utf8Fixture('buttons/without-type.html');
+        var problems = bootlint.lint(html, {rules: {W007: 'error'}});
+        var offset = html.indexOf('<button');
+        var length = html.indexOf('</button>', offset) + '</button>'.length - offset;
+        test.deepEqual(problems, [{
+            id: 'W007',
+            severity: 'error',
+            message: 'Found one or more `<button>`s missing a `type` attribute.',
+            url: 'https://github.com/twbs/bootlint/wiki/W007',
+            locations: [{
+                line: 20,
+                column: 8,
+                offset: offset,
+                length: length,
+                startTagLength: '<button>'.length
+            }],
+            fixes: [{
+                range: [offset + '<button'.length, offset + '<button'.length],
+                text: ' type="button"'
+            }]
+        }], 'should return plain problem objects.');
+        test.deepEqual(JSON.parse(JSON.stringify(problems)), problems, 'should return JSON-serializable problems.');
+        test.deepEqual(bootlint.lint(html, ['W007']), [], 'should accept arrays of disabled IDs.');
+        test.done();
+    },
+    'element source ranges': function (test) {
+        test.expect(5);
+        var html = [
+            '<div>',
+            '  <button',
+            '    class="btn">A</button>',
+            '  <input class="form-control">',
+            '</div>'
+        ].join('\n');
+        var elements = [];
+        bootlint.lintHtml(html, function (problem) {
+            problem.elements.each(function (_, element) {
+                elements.push(element);
+            });
+        }, {fragment: true});
+        var button = elements.filter(function (element) {
+            return element.name === 'button';
+        })[0];
+        test.deepEqual([button.startLocation, button.startTagEndLocation, button.endLocation], [new Location(1, 2), new Location(2, 15), new Location(2, 25)],
+            'should locate the start, the end of the start tag, and the end of multi-line elements.');
+        test.strictEqual(html.slice(button.startIndex, button.startTagEndIndex + 1), '<button\n    class="btn">', 'should give the span of the start tag.');
+        test.strictEqual(html.slice(button.startIndex, button.endIndex + 1), '<button\n    class="btn">A</button>', 'should give the span of the element.');
+        var input = elements.filter(function (element) {
+            return element.name === 'input';
+        })[0];
+        test.strictEqual(input.endIndex, input.startTagEndIndex, 'should end void elements with their start tag.');
+        test.deepEqual(input.endLocation, new Location(3, 29), 'should locate the end of void elements.');
+        test.done();
+    },
+    'linting files': function (test) {
+        test.expect(2);
+        var patterns = [
+            path.join(__dirname, 'fixtures/buttons/with*-type.html'),
+            path.join(__dirname, 'fixtures/bs-v2.html')
+        ];
+        bootlint.lintFiles(patterns, {rules: {E013: 'off'}}).then(function (results) {
+            test.deepEqual(results.map(function (result) {
+                return path.relative(__dirname, result.filePath).replace(/\\/g, '/');
+            }), ['fixtures/buttons/with-type.html', 'fixtures/buttons/without-type.html', 'fixtures/bs-v2.html'],
+            'should lint the matching files in the order of the patterns.');
+            test.deepEqual(results.map(function (result) {
+                return result.problems.map(function (problem) {
+                    return problem.id;
+                });
+            }), [[], ['W007'], ['E002']], 'should apply the given configuration.');
+        }).finally(test.done);
+    },
+    'templates': function (test) {
+        test.expect(3);
+        var templates = ['page.hbs', 'page.ejs', 'page.html.erb', 'page.jinja', 'custom/page.tmpl'].map(function (name) {
+            return path.join(__dirname, 'fixtures/templates', name);
+        });
+        test.deepEqual(lintHtml(utf8Fixture('templates/page.hbs')),
+            ['Only columns (`.col-*-*`) may be children of `.row`s', 'Found one or more `<button>`s missing a `type` attribute.'],
+            'should report nonsense for templates that are not preprocessed.');
+        bootlint.lintFiles(templates.concat([path.join(__dirname, 'fixtures/templates/toolbar.jsx')]), {fragment: true}).then(function (results) {
+            test.deepEqual(results.slice(0, -1).map(function (result) {
+                return result.problems.map(function (problem) {
+                    return problem.id + ' ' + problem.locations[0].line + ':' + problem.locations[0].column;
+                });
+            }), [['W007 18:8'], ['W007 18:8'], ['W007 18:8'], ['W007 18:8'], ['W007 17:8']],
+            'should preprocess templates by their file extensions, keeping locations in the template intact.');
+            test.deepEqual(results[results.length - 1].problems.map(function (problem) {
+                return problem.id + ' ' + problem.locations[0].line + ':' + problem.locations[0].column;
+            }), ['W007 9:16'], 'should map className to class in JSX.');
+        }).finally(test.done);
+    },
+    'embedded HTML': function (test) {
+        test.expect(2);
+        var hosts = ['components.mjs', 'card.vue', 'guide.md'].map(function (name) {
+            return path.join(__dirname, 'fixtures/embedded', name);
+        });
+        bootlint.lintFiles(hosts).then(function (results) {
+            test.deepEqual(results.map(function (result) {
+                return result.problems.map(function (problem) {
+                    return problem.id + ' ' + problem.locations.map(function (location) {
+                        return location.line + ':' + location.column;
+                    }).join(',');
+                });
+            }), [
+                ['W007 4:8', 'E013 7:41'],
+                ['E013 2:8,3:8', 'W007 3:8'],
+                ['W007 3:0', 'E013 9:17']
+            ], 'should lint each fragment without the page-level linters, at its location in the host file.');
+            var fixed = bootlint.fixHtml(utf8Fixture('embedded/guide.md'), {preprocessor: 'markdown'}).output;
+            test.strictEqual(fixed, utf8Fixture('embedded/guide.md').replace('btn-default"', 'btn-default" type="button"'),
+                'should fix the fragments within the host file.');
+        }).finally(test.done);
+    },
+    'fragments': function (test) {
+        test.expect(5);
+        var partial = [
+            '<div class="btn-toolbar">',
+            '  <button class="btn btn-default">Menu</button>',
+            '</div>'
+        ].join('\n');
+        var page = '<!DOCTYPE html>\n<html>\n<head></head>\n<body>\n' + partial + '\n</body>\n</html>\n';
+        function idsIn(html, config) {
+            return bootlint.lint(html, config).map(function (problem) {
+                return problem.id;
+            });
+        }
+        test.deepEqual(idsIn(partial), ['E001', 'W001', 'W002', 'W003', 'W005', 'W007'],
+            'should run the document-level linters on partials by default.');
+        test.deepEqual(idsIn(partial, {fragment: true}), ['W007'],
+            'should skip the document-level linters on fragments.');
+        test.deepEqual(idsIn(partial, {fragment: 'auto'}), ['W007'],
+            'should consider HTML without <html> or <head> a fragment when detecting fragments.');
+        test.deepEqual(idsIn(page, {fragment: 'auto'}), ['W001', 'W002', 'W003', 'W005', 'W007'],
+            'should not consider whole pages fragments when detecting fragments.');
+
+        bootlint.addLinter('in-house/W002', function ($, reporter) {
+            if (!$('title').length) {
+                reporter('Pages should have a `<title>`.');
+            }
+        }, {scope: 'document'});
+        test.deepEqual(idsIn(partial, {
+            plugins: ['in-house'],
+            disabledIds: ['W007'],
+            fragment: true
+        }), [], 'should skip document-level plugin linters on fragments.');
+        test.done();
+    },
+    'inline directives': function (test) {
+        test.expect(5);
+        test.deepEqual(lintHtml(utf8Fixture('directives/disable-enable.html')),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should not complain about elements between bootlint-disable and bootlint-enable directives.');
+        test.deepEqual(lintHtml(utf8Fixture('directives/disable-all-enable-one.html')),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should only re-enable the IDs listed in a bootlint-enable directive.');
+        test.deepEqual(lintHtml(utf8Fixture('directives/disable-next-element.html')),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should not complain about the element after a bootlint-disable-next-element directive, nor its descendants.');
+        test.deepEqual(lintHtml(utf8Fixture('directives/disable-file.html')),
+            [],
+            'should not complain about IDs disabled by a bootlint-disable-file directive, including document-level problems.');
+
+        var lines = [];
+        bootlint.lintHtml(utf8Fixture('directives/disable-enable.html'), function (lint) {
+            lint.elements.each(function (_, element) {
+                lines.push(element.startLocation.line);
+            });
+        }, []);
+        test.deepEqual(lines, [26], 'should still report the elements outside of the disabled range.');
+        test.done();
+    },
+    'unused inline directives': function (test) {
+        test.expect(2);
+        test.deepEqual(lintHtml(utf8Fixture('directives/unused.html'), {reportUnusedDisableDirectives: true}),
+            ['Unused `bootlint-disable-next-element` directive for E013; no problems were suppressed by it.'],
+            'should complain about disable directives that suppress nothing when asked to.');
+        test.deepEqual(lintHtml(utf8Fixture('directives/disable-enable.html'), {reportUnusedDisableDirectives: true}),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should not complain about disable directives that suppress problems.');
+        test.done();
+    },
     'UTF-8 charset meta tag': function (test) {
         test.expect(4);
         test.deepEqual(lintHtml(utf8Fixture('charset/utf8.html')),
@@ -173,7 +400,10 @@ exports.bootlint = {
     'remote modals': function (test) {
         test.expect(1);
         test.deepEqual(lintHtml(utf8Fixture('modal/remote.html')),
-            ['Found one or more modals using the deprecated `remote` option'],
+            [
+                'Found one or more modals using the deprecated `remote` option',
+                'Elements with `data-toggle="modal"` should use `data-target` or `href` to reference an element with class `.modal`.'
+            ],
             'should complain when remote modals are present.');
         test.done();
     },
@@ -479,6 +709,122 @@ exports.bootlint = {
         test.done();
     },
 
+    'grid arithmetic': function (test) {
+        test.expect(2);
+        test.deepEqual(lintHtml(utf8Fixture('grid/columns-wrap.html')),
+            ['The grid columns of this `.row` add up to more than 12 at the `xs`, `sm`, `md` and `lg` breakpoints, so they wrap onto new lines, where they can snag on taller columns. Add a responsive column reset (e.g. `<div class="clearfix visible-xs-block"></div>`) where each line ends.'],
+            'should complain about rows whose columns wrap without responsive column resets, but not about stacked or full-width columns.'
+        );
+        test.deepEqual(lintHtml(utf8Fixture('grid/columns-overflow.html')),
+            [
+                '`.col-sm-offset-4` makes this column overflow its `.row` at the `sm`, `md` and `lg` breakpoints.',
+                '`.col-xs-push-8` makes this column overflow its `.row` at the `xs`, `sm`, `md` and `lg` breakpoints.',
+                '`.col-lg-pull-8` makes this column overflow its `.row` at the `lg` breakpoint.'
+            ],
+            'should complain about offsets, pushes and pulls that move columns out of their rows.'
+        );
+        test.done();
+    },
+
+    'custom grids': function (test) {
+        test.expect(7);
+        var grid = {
+            columns: 24,
+            breakpoints: ['xs', 'sm', 'md', 'lg', 'xl'],
+            containers: ['page-wrapper']
+        };
+        test.deepEqual(lintHtml(utf8Fixture('grid/custom-grid.html')),
+            [
+                'Found one or more `.row`s that were not children of a grid column or descendants of a `.container` or `.container-fluid` or `.modal-body`',
+                'Only columns (`.col-*-*`) may be children of `.row`s'
+            ],
+            'should complain about the classes of custom grids by default.'
+        );
+        test.deepEqual(lintHtml(utf8Fixture('grid/custom-grid.html'), {grid: grid}),
+            [],
+            'should not complain about the columns, breakpoints and containers of the configured grid.'
+        );
+        var problems = lintHtml('<div class="container"><div class="row"><div class="col-lg-6 col-xl-6">A</div></div></div>', {
+            fragment: true,
+            grid: grid
+        });
+        test.deepEqual(problems,
+            ['Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), `class="col-lg-6 col-xl-6"` is redundant and can be simplified to `class="col-lg-6"`'],
+            'should apply the breakpoints of the configured grid to redundant column classes.'
+        );
+        problems = lintHtml('<div class="well"><div class="row"><div class="col-xs-24">A</div></div></div>', {
+            fragment: true,
+            grid: grid
+        });
+        test.deepEqual(problems,
+            ['Found one or more `.row`s that were not children of a grid column or descendants of a `.container` or `.container-fluid` or `.modal-body` or `.page-wrapper`'],
+            'should list the containers of the configured grid.'
+        );
+        problems = lintHtml('<div class="container"><div class="row"><div class="col-xs-24 col-xl-0">A</div></div></div>', {
+            fragment: true,
+            grid: grid
+        });
+        test.deepEqual(problems,
+            ['Column widths must be positive integers (and <= 24). Found usage(s) of invalid nonexistent `.col-*-0` classes.'],
+            'should state the number of columns of the configured grid.'
+        );
+        problems = lintHtml('<div class="container"><div class="row"><div class="col-xs-13 col-xl-push-1 hidden-xl">A</div></div></div>', {
+            fragment: true,
+            grid: grid,
+            migrateTo: 4
+        });
+        test.deepEqual(problems,
+            [
+                '`.col-xs-13` is Bootstrap v3 markup; in Bootstrap v4, use `.col-13` instead.',
+                '`.col-xl-push-1` is Bootstrap v3 markup; in Bootstrap v4, reorder columns with `.order-*` classes instead.',
+                '`.hidden-xl` is Bootstrap v3 markup; in Bootstrap v4, use display utilities such as `.d-none` and `.d-md-block` instead.'
+            ],
+            'should report the migration of the classes of the configured grid.'
+        );
+        test.throws(function () {
+            lintHtml('<div></div>', {grid: {columns: 0}});
+        }, /Grid columns must be a positive integer: 0/, 'should reject grids without columns.');
+        test.done();
+    },
+    'class aliases': function (test) {
+        test.expect(6);
+        var html = utf8Fixture('class-aliases/mixins.html');
+        var config = {
+            classPrefix: 'bs-',
+            classAliases: {
+                'product-col': 'col-xs-12 col-md-8',
+                'product-card': 'panel panel-default',
+                'product-card__body': 'panel-body'
+            }
+        };
+        test.deepEqual(lintHtml(html),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should complain about the project\'s class names by default.'
+        );
+        test.deepEqual(lintHtml(html, config),
+            ['Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), `class="bs-col-xs-6 bs-col-sm-6"` is redundant and can be simplified to `class="bs-col-xs-6"`'],
+            'should lint the aliased and prefixed classes as Bootstrap\'s, reporting the project\'s names.'
+        );
+        test.deepEqual(lintHtml('<div class="container"><div class="bs-row"><span>A</span></div></div>', {
+            fragment: true,
+            classPrefix: 'bs-'
+        }), ['Only columns (`.col-*-*`) may be children of `.bs-row`s'], 'should report the project\'s names in class selectors.');
+        var classes = [];
+        bootlint.lintHtml(html, function (problem) {
+            problem.elements.each(function (_, element) {
+                classes.push(element.attribs.class);
+            });
+        }, config);
+        test.deepEqual(classes, ['bs-col-xs-6 bs-col-sm-6'], 'should restore the original classes of the elements.');
+        test.ok(bootlint.fixHtml(html, config).output.indexOf('<div class="bs-col-xs-6">Sidebar</div>') !== -1,
+            'should fix the classes with the project\'s names.');
+        test.strictEqual(bootlint.fixHtml('<div class="row"><div class="col-xs-6 bs-col-sm-6">A</div></div>', {
+            fragment: true,
+            classPrefix: 'bs-'
+        }).output, '<div class="row"><div class="col-xs-6">A</div></div>', 'should keep the names of classes that the project doesn\'t prefix.');
+        test.done();
+    },
+
     'empty spacer grid columns': function (test) {
         test.expect(10);
         test.deepEqual(lintHtml(utf8Fixture('grid/spacer-col/blank-text.html')),
@@ -660,28 +1006,28 @@ exports.bootlint = {
         test.deepEqual(lintHtml(utf8Fixture('grid/col-xs-0.html')),
             [
                 'Only columns (`.col-*-*`) may be children of `.row`s',
-                'Column widths must be positive integers (and <= 12 by default). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
+                'Column widths must be positive integers (and <= 12). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
             ],
             'should complain about usage of .col-*-0 class.'
         );
         test.deepEqual(lintHtml(utf8Fixture('grid/col-sm-0.html')),
             [
                 'Only columns (`.col-*-*`) may be children of `.row`s',
-                'Column widths must be positive integers (and <= 12 by default). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
+                'Column widths must be positive integers (and <= 12). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
             ],
             'should complain about usage of .col-*-0 class.'
         );
         test.deepEqual(lintHtml(utf8Fixture('grid/col-md-0.html')),
             [
                 'Only columns (`.col-*-*`) may be children of `.row`s',
-                'Column widths must be positive integers (and <= 12 by default). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
+                'Column widths must be positive integers (and <= 12). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
             ],
             'should complain about usage of .col-*-0 class.'
         );
         test.deepEqual(lintHtml(utf8Fixture('grid/col-lg-0.html')),
             [
                 'Only columns (`.col-*-*`) may be children of `.row`s',
-                'Column widths must be positive integers (and <= 12 by default). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
+                'Column widths must be positive integers (and <= 12). Found usage(s) of invalid nonexistent `.col-*-0` classes.'
             ],
             'should complain about usage of .col-lg-0 class.'
         );
@@ -711,23 +1057,43 @@ exports.bootlint = {
     'version 4 of Bootstrap': function (test) {
         test.expect(5);
         test.deepEqual(lintHtml(utf8Fixture('version-4/bootstrap-css.html')),
-            ['Detected what appears to be Bootstrap v4 or later. This version of Bootlint only supports Bootstrap v3.'],
-            'should complain about version 4 of bootstrap.css.');
+            [],
+            'should not complain about version 4 of bootstrap.css.');
         test.deepEqual(lintHtml(utf8Fixture('version-4/bootstrap-min-css.html')),
-            ['Detected what appears to be Bootstrap v4 or later. This version of Bootlint only supports Bootstrap v3.'],
-            'should complain about version 4 of bootstrap.min.css.');
+            [],
+            'should not complain about version 4 of bootstrap.min.css.');
         test.deepEqual(lintHtml(utf8Fixture('version-4/bootstrap-js.html')),
-            ['Detected what appears to be Bootstrap v4 or later. This version of Bootlint only supports Bootstrap v3.'],
-            'should complain about version 4 of bootstrap.js.');
+            [],
+            'should not complain about version 4 of bootstrap.js.');
         test.deepEqual(lintHtml(utf8Fixture('version-4/bootstrap-min-js.html')),
-            ['Detected what appears to be Bootstrap v4 or later. This version of Bootlint only supports Bootstrap v3.'],
-            'should complain about version 4 of bootstrap.min.js.');
+            [],
+            'should not complain about version 4 of bootstrap.min.js.');
         test.deepEqual(lintHtml(utf8Fixture('version-4/bootstrap-extensions-okay.html')),
             [],
             'should not complain about v4.0.0+ libraries that just have "bootstrap" in their name.');
         test.done();
     },
 
+    'version 5 of Bootstrap': function (test) {
+        test.expect(5);
+        test.deepEqual(lintHtml(utf8Fixture('version-5/bootstrap-css.html')),
+            ['Detected what appears to be Bootstrap v5 or later. This version of Bootlint only supports Bootstrap v3 and v4.'],
+            'should complain about version 5 of bootstrap.css.');
+        test.deepEqual(lintHtml(utf8Fixture('version-5/bootstrap-min-css.html')),
+            ['Detected what appears to be Bootstrap v5 or later. This version of Bootlint only supports Bootstrap v3 and v4.'],
+            'should complain about version 5 of bootstrap.min.css.');
+        test.deepEqual(lintHtml(utf8Fixture('version-5/bootstrap-js.html')),
+            ['Detected what appears to be Bootstrap v5 or later. This version of Bootlint only supports Bootstrap v3 and v4.'],
+            'should complain about version 5 of bootstrap.js.');
+        test.deepEqual(lintHtml(utf8Fixture('version-5/bootstrap-min-js.html')),
+            ['Detected what appears to be Bootstrap v5 or later. This version of Bootlint only supports Bootstrap v3 and v4.'],
+            'should complain about version 5 of bootstrap.min.js.');
+        test.deepEqual(lintHtml(utf8Fixture('version-5/bootstrap-extensions-okay.html')),
+            [],
+            'should not complain about v5.0.0+ libraries that just have "bootstrap" in their name.');
+        test.done();
+    },
+
     'carousel control target': function (test) {
         test.expect(3);
         test.deepEqual(lintHtml(utf8Fixture('carousel/indicators.html')),
@@ -980,5 +1346,245 @@ exports.bootlint = {
             'should complain about a `.pull-right/.pull-left` classes on `.row` AND manual `style="float:left;"/style="float:right;"` on a `.row`'
         );
         test.done();
+    },
+    'Bootstrap version option': function (test) {
+        test.expect(4);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/grid-valid.html'), {bootstrapVersion: 'auto'}),
+            [],
+            'should apply the Bootstrap 4 rules to documents that link to Bootstrap 4.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/grid-valid.html'), {bootstrapVersion: 3}),
+            ['Only columns (`.col-*-*`) may be children of `.row`s'],
+            'should apply the Bootstrap 3 rules when asked to, regardless of the linked version.');
+        test.deepEqual(lintHtml(utf8Fixture('images/img-responsive-bad.html'), {bootstrapVersion: 4}),
+            [],
+            'should not apply the Bootstrap 3 rules when asked for Bootstrap 4.');
+        test.throws(function () {
+            lintHtml(utf8Fixture('images/img-responsive-bad.html'), {bootstrapVersion: 2});
+        }, /Unsupported Bootstrap version: 2/, 'should reject unsupported versions.');
+        test.done();
+    },
+    'Bootstrap 4 grid': function (test) {
+        test.expect(5);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/grid-valid.html')),
+            [],
+            'should not complain about valid grids, including auto-layout and `xl` columns.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/col-outside-row.html')),
+            ['Columns (`.col`, `.col-*`) can only be children of `.row`s or `.form-row`s'],
+            'should complain about columns outside of rows.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/row-children.html')),
+            ['Only columns (`.col`, `.col-*`) may be children of `.row`s and `.form-row`s'],
+            'should complain about non-column children of form rows.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/row-and-col.html')),
+            ['Found both `.row` (or `.form-row`) and `.col`/`.col-*` used on the same element'],
+            'should complain about rows that are also columns.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/redundant-cols.html')),
+            ['Since grid classes apply to devices with screen widths greater than or equal to the breakpoint sizes (unless overridden by grid classes targeting larger screens), `class="col-6 col-sm-6 col-lg-4 col-xl-4"` is redundant and can be simplified to `class="col-6 col-lg-4"`'],
+            'should complain about redundant column classes.');
+        test.done();
+    },
+    'Bootstrap 4 cards': function (test) {
+        test.expect(2);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/card-parts-outside-card.html')),
+            ['`.card-header`, `.card-body`, `.card-footer`, `.card-img-top`, `.card-img-bottom`, and `.card-img-overlay` should not be used outside of `.card`s.'],
+            'should complain about card parts outside of cards.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/card-deck-children.html')),
+            ['Only `.card`s may be children of `.card-group`s, `.card-deck`s, and `.card-columns`.'],
+            'should complain about non-card children of card layouts.');
+        test.done();
+    },
+    'Bootstrap 4 custom controls': function (test) {
+        test.expect(1);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/custom-control.html')),
+            [
+                '`.custom-control` must be used together with `.custom-checkbox`, `.custom-radio`, or `.custom-switch`.',
+                'Incorrect markup used with the `.custom-control` class. The correct markup structure is `.custom-control>input.custom-control-input+label.custom-control-label`'
+            ],
+            'should complain about untyped and incorrectly structured custom controls.');
+        test.done();
+    },
+    'Bootstrap 4 navbars': function (test) {
+        test.expect(2);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/navbar-expand-outside-navbar.html')),
+            ['`.navbar-expand` and `.navbar-expand-*` should only be used on `.navbar`s.'],
+            'should complain about `.navbar-expand-*` outside of navbars.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/navbar-without-expand.html')),
+            ['`.navbar`s with a `.navbar-collapse` should have a `.navbar-expand` or `.navbar-expand-*` class; otherwise they are collapsed on all screen sizes.'],
+            'should complain about collapsible navbars that never expand.');
+        test.done();
+    },
+    'Bootstrap 4 modal triggers': function (test) {
+        test.expect(1);
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/modal-trigger-targets.html')),
+            ['Elements with `data-toggle="modal"` must use `data-target` or `href` to reference an element with class `.modal`.'],
+            'should complain about modal triggers that do not reference a modal.');
+        test.done();
+    },
+    'data-API targets': function (test) {
+        test.expect(8);
+        test.deepEqual(lintHtml(utf8Fixture('data-api/modal.html')),
+            ['Elements with `data-toggle="modal"` should use `data-target` or `href` to reference an element with class `.modal`.'],
+            'should warn about Bootstrap 3 modal triggers that do not reference a modal.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/collapse.html')),
+            ['Elements with `data-toggle="collapse"` must use `data-target` or `href` to reference elements with class `.collapse`.'],
+            'should complain about collapse toggles that do not reference a `.collapse`.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/tabs.html')),
+            ['Elements with `data-toggle="tab"` or `data-toggle="pill"` must use `data-target` or `href` to reference a `.tab-pane` that is a child of a `.tab-content`.'],
+            'should complain about tabs that do not reference a `.tab-pane` in a `.tab-content`.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/scrollspy.html')),
+            ['Elements with `data-spy="scroll"` must use `data-target` to reference a `.nav` (or, in Bootstrap v4, a `.list-group`), or an element that contains one.'],
+            'should complain about scrollspies that do not reference a navigation.');
+        test.deepEqual(lintHtml(utf8Fixture('bootstrap-4/scrollspy-list-group.html')),
+            [],
+            'should not complain about scrollspies that reference a `.list-group` itself.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/accordion.html')),
+            ['`data-parent` must reference a `.panel-group` that contains the element.'],
+            'should complain about `data-parent` attributes that do not reference an ancestor `.panel-group`.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/navbar-toggle.html')),
+            ['`.navbar-toggle`s and `.navbar-toggler`s must use `data-target` to reference a `.navbar-collapse`.'],
+            'should complain about navbar toggles that do not reference a `.navbar-collapse`.');
+        test.deepEqual(lintHtml(utf8Fixture('data-api/duplicate-ids.html')),
+            ['More than one element has `id="details"`, so the `data-target`, `href` or `data-parent` attributes that reference it are ambiguous.'],
+            'should complain about duplicate ids that data-API attributes reference, but not about other duplicate ids.');
+        test.done();
+    },
+    'migration to Bootstrap 4': function (test) {
+        test.expect(3);
+        test.deepEqual(lintHtml(utf8Fixture('migration/v3-page.html')),
+            [],
+            'should not report migration problems when linting.');
+        test.deepEqual(lintHtml(utf8Fixture('migration/v3-page.html'), {migrateTo: 4}),
+            [
+                '`.col-xs-6` is Bootstrap v3 markup; in Bootstrap v4, use `.col-6` instead.',
+                '`.panel` is Bootstrap v3 markup; in Bootstrap v4, use `.card` instead.',
+                '`.panel-body` is Bootstrap v3 markup; in Bootstrap v4, use `.card-body` instead.',
+                '`.glyphicon` is Bootstrap v3 markup; in Bootstrap v4, there is no icon font; use an icon library such as Font Awesome or Bootstrap Icons instead.',
+                '`.pull-left` is Bootstrap v3 markup; in Bootstrap v4, use `.float-left` instead.',
+                '`.img-responsive` is Bootstrap v3 markup; in Bootstrap v4, use `.img-fluid` instead.',
+                '`.navbar-left` is Bootstrap v3 markup; in Bootstrap v4, use `.mr-auto` instead.',
+                '`.navbar-nav>li:not(.nav-item)` is Bootstrap v3 markup; in Bootstrap v4, use `.nav-item` on the `<li>`s and `.nav-link` on their links instead.'
+            ],
+            'should report only the Bootstrap v3 markup along with its v4 replacement when migrating.');
+        test.throws(function () {
+            lintHtml(utf8Fixture('migration/v3-page.html'), {migrateTo: 5});
+        }, /Unsupported Bootstrap version to migrate to: 5/, 'should reject unsupported migration targets.');
+        test.done();
+    },
+    'accessibility rule pack': function (test) {
+        test.expect(3);
+        test.deepEqual(lintHtml(utf8Fixture('accessibility/components.html')),
+            [],
+            'should not run the accessibility linters unless the rule pack is enabled.');
+        test.deepEqual(lintHtml(utf8Fixture('accessibility/components.html'), {packs: ['accessibility']}),
+            [
+                '`.modal` must have an `aria-labelledby` attribute that refers to the `id` of its `.modal-title`.',
+                'Icon-only `.btn`s must have an `aria-label` attribute or text in an `.sr-only` element, so that screen readers can announce them.',
+                '`.progress-bar` must have `aria-valuenow`, `aria-valuemin` and `aria-valuemax` attributes.',
+                '`.dropdown-toggle` must have `aria-haspopup` and `aria-expanded` attributes.',
+                '`.alert` must have a `role="alert"` attribute.',
+                '`.form-control`s must have an associated `<label>`, or an `aria-label` or `aria-labelledby` attribute.'
+            ],
+            'should complain about unlabeled modals, buttons and form controls, and about ARIA attributes missing from components.');
+        test.throws(function () {
+            lintHtml(utf8Fixture('accessibility/components.html'), {packs: ['a11y']});
+        }, /Unknown rule pack: a11y/, 'should reject unknown rule packs.');
+        test.done();
+    },
+    'plugins': function (test) {
+        test.expect(6);
+        var pluginsDir = _fixtureNameToFilepath('plugins');
+        test.strictEqual(bootlint.loadPlugin('acme', pluginsDir), 'acme', 'should return the namespace of the plugin.');
+        test.strictEqual(bootlint.loadPlugin('@acme/widgets', pluginsDir), '@acme/widgets', 'should load scoped plugin packages.');
+
+        var html = utf8Fixture('plugins/widgets.html');
+        test.deepEqual(lintHtml(html),
+            [],
+            'should not run the linters of plugins that the configuration does not name.');
+        var problems = [];
+        bootlint.lintHtml(html, function (problem) {
+            problems.push(problem);
+        }, {plugins: ['bootlint-plugin-acme', '@acme/widgets']});
+        test.deepEqual(problems.map(function (problem) {
+            return [problem.id, problem.message, problem.url];
+        }), [
+            ['@acme/widgets/W001', '`.widget-body` should not be empty.', null],
+            ['acme/E001', '`.widget` must have a `.widget-body` child.', null],
+            ['acme/W001', '`.widget-title` should be a child of a `.widget-header`.', 'https://example.com/acme/W001']
+        ], 'should report the problems of the named plugins with their namespaced IDs.');
+        test.ok(problems[1] instanceof bootlint.LintError && problems[2] instanceof bootlint.LintWarning,
+            'should report errors and warnings according to the IDs.');
+        test.deepEqual(lintHtml(html, {
+            plugins: ['acme'],
+            disabledIds: ['acme/E001'],
+            rules: {'acme/W001': 'off'}
+        }), [], 'should let the configuration disable the linters of plugins.');
+        test.done();
+    },
+    'registering linters': function (test) {
+        test.expect(7);
+        function noop() {
+            // reports nothing
+        }
+        test.throws(function () {
+            bootlint.addLinter('W999', noop);
+        }, /must have namespaced IDs/, 'should reject IDs without namespace.');
+        test.throws(function () {
+            bootlint.addLinter('acme/X001', noop);
+        }, /Invalid linter ID: acme\/X001/, 'should reject IDs that are neither errors nor warnings.');
+        test.throws(function () {
+            bootlint.addLinter('acme/W001', noop);
+        }, /Linter already registered with ID: acme\/W001/, 'should reject duplicate IDs.');
+        test.throws(function () {
+            bootlint.addLinter('in-house/E001', noop, {scope: 'page'});
+        }, /Linter scope must be one of: document, element: in-house\/E001/, 'should reject unknown scopes.');
+        test.throws(function () {
+            bootlint.addLinter('in-house/E002', {handlers: {}});
+        }, /Linter must be a function or an object with a create\(\) method: in-house\/E002/, 'should reject objects that are not visitors.');
+        test.doesNotThrow(function () {
+            bootlint.addLinter('in-house/W001', noop, {bootstrapVersions: [3]});
+        }, 'should accept new namespaced IDs.');
+        test.doesNotThrow(function () {
+            bootlint.addLinter('in-house/W003', {create: noop});
+        }, 'should accept visitors.');
+        test.done();
+    },
+    'visitor linters': function (test) {
+        test.expect(3);
+        var calls = [];
+        var indexes = [];
+        bootlint.addLinter('visitors/W001', {
+            create: function ($, reporter, index) {
+                indexes.push(index);
+                var tagged = [];
+                var handler = function (element) {
+                    tagged.push(element);
+                };
+                return {
+                    '*': function (element) {
+                        calls.push(element.name);
+                    },
+                    '.tag': handler,
+                    '[data-tag]': handler,
+                    'span': handler,
+                    'end': function () {
+                        reporter('Tagged elements', $(tagged));
+                    }
+                };
+            }
+        });
+        var problems = [];
+        bootlint.lintHtml('<div class="tag"><span class="tag" data-tag></span></div><p>Text</p>', function (problem) {
+            problems.push(problem);
+        }, {
+            plugins: ['visitors'],
+            fragment: true
+        });
+        test.deepEqual(calls, ['div', 'span', 'p'], 'should visit the elements in document order.');
+        test.deepEqual(problems.map(function (problem) {
+            return [problem.id, problem.elements.length];
+        }), [['visitors/W001', 2]], 'should call a handler once per element, even if it is subscribed to several of its events.');
+        test.deepEqual(indexes[0].withClass('tag').map(function (element) {
+            return element.name;
+        }), ['div', 'span'], 'should pass the index of the document.');
+        test.done();
     }
 };
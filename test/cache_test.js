@@ -0,0 +1,123 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var LintCache = require('../src/cache.js').LintCache;
+var configModule = require('../src/config.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var dir = null;
+var cachePath = null;
+var RESULT = {
+    problems: [],
+    output: null
+};
+
+exports.cache = {
+    'setUp': function (done) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootlint-cache-'));
+        cachePath = path.join(dir, '.bootlintcache');
+        done();
+    },
+    'tearDown': function (done) {
+        if (fs.existsSync(cachePath)) {
+            fs.unlinkSync(cachePath);
+        }
+        fs.rmdirSync(dir);
+        done();
+    },
+    'keys': function (test) {
+        test.expect(5);
+        var cache = new LintCache(cachePath);
+        var config = {disabledIds: ['W001']};
+        var key = cache.keyOf('<p>Hi</p>', config, false);
+        test.strictEqual(cache.keyOf('<p>Hi</p>', {disabledIds: ['W001']}, false), key, 'should be the same for the same contents and configuration.');
+        test.notStrictEqual(cache.keyOf('<p>Hello</p>', config, false), key, 'should depend on the contents.');
+        test.notStrictEqual(cache.keyOf('<p>Hi</p>', {disabledIds: ['W002']}, false), key, 'should depend on the configuration.');
+        test.notStrictEqual(cache.keyOf('<p>Hi</p>', {
+            preprocessor: function (html) {
+                return html.toLowerCase();
+            }
+        }, false), cache.keyOf('<p>Hi</p>', {
+            preprocessor: function (html) {
+                return html.toUpperCase();
+            }
+        }, false), 'should depend on the source code of preprocessor functions.');
+        test.notStrictEqual(cache.keyOf('<p>Hi</p>', config, true), key, 'should depend on whether fixes are requested.');
+        test.done();
+    },
+    'plugin and preprocessor versions': function (test) {
+        test.expect(2);
+        var modulesDir = path.join(dir, 'node_modules');
+        var pluginDir = path.join(modulesDir, 'bootlint-plugin-cached');
+        var preprocessorPath = path.join(dir, 'preprocessor.js');
+        var files = [path.join(pluginDir, 'index.js'), path.join(pluginDir, 'package.json'), preprocessorPath, path.join(dir, '.bootlintrc.json')];
+        fs.mkdirSync(modulesDir);
+        fs.mkdirSync(pluginDir);
+        fs.writeFileSync(files[0], 'module.exports = {linters: {}};', {encoding: 'utf8'});
+        fs.writeFileSync(files[1], '{"name": "bootlint-plugin-cached", "version": "1.0.0"}', {encoding: 'utf8'});
+        fs.writeFileSync(preprocessorPath, 'module.exports = function (html) { return html; };', {encoding: 'utf8'});
+        fs.writeFileSync(files[3], '{"plugins": ["cached"], "preprocessors": {".tmpl": "./preprocessor.js"}}', {encoding: 'utf8'});
+        var cache = new LintCache(cachePath);
+        function currentKey() {
+            var fileConfig = configModule.loadConfigForFile(path.join(dir, 'page.tmpl'));
+            configModule.loadPlugin('cached', dir);
+            return cache.keyOf('<p>Hi</p>', fileConfig, false);
+        }
+
+        var key = currentKey();
+        fs.writeFileSync(files[1], '{"name": "bootlint-plugin-cached", "version": "1.1.0"}', {encoding: 'utf8'});
+        test.notStrictEqual(currentKey(), key, 'should depend on the versions of the plugins.');
+        key = currentKey();
+        fs.utimesSync(preprocessorPath, new Date(2000, 0, 1), new Date(2000, 0, 1));
+        test.notStrictEqual(currentKey(), key, 'should depend on the versions of preprocessor modules.');
+
+        files.forEach(function (file) {
+            fs.unlinkSync(file);
+        });
+        fs.rmdirSync(pluginDir);
+        fs.rmdirSync(modulesDir);
+        test.done();
+    },
+    'storing results': function (test) {
+        test.expect(4);
+        var cache = new LintCache(cachePath);
+        cache.load();
+        test.strictEqual(cache.get('index.html', 'abc'), null, 'should start out empty without a cache file.');
+        cache.set('index.html', 'abc', RESULT);
+        cache.save().then(function () {
+            var reloaded = new LintCache(cachePath);
+            reloaded.load();
+            test.deepEqual(reloaded.get('index.html', 'abc'), RESULT, 'should keep the results in the cache file.');
+            test.deepEqual(reloaded.get(path.resolve('index.html'), 'abc'), RESULT, 'should look up files by their absolute paths.');
+            test.strictEqual(reloaded.get('index.html', 'def'), null, 'should not return the results of outdated keys.');
+        }).finally(test.done);
+    },
+    'unreadable cache files': function (test) {
+        test.expect(1);
+        fs.writeFileSync(cachePath, '{"version": 1, "entries": ', {encoding: 'utf8'});
+        var cache = new LintCache(cachePath);
+        test.doesNotThrow(function () {
+            cache.load();
+        }, 'should start out empty instead of failing.');
+        test.done();
+    }
+};
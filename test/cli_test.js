@@ -84,5 +84,30 @@ exports.bootlint = {
         cli();
 
         test.done();
+    },
+    'Exit code on errors': function (test) {
+        test.expect(1);
+        var fakeProcess = {
+            argv: ['', '', 'test/fixtures/config/circular/page.html', '--concurrency', '0'],
+            stdin: {
+                isTTY: process.stdin.isTTY
+            },
+            stdout: {
+                isTTY: false
+            }
+        };
+
+        sinon.stub(console, 'error').callsFake(function (message) {
+            if (!/Circular "extends"/.test(message)) {
+                return;
+            }
+            console.error.restore();
+            test.strictEqual(fakeProcess.exitCode, 1, 'should fail the run when the config is invalid.');
+            test.done();
+        });
+
+        cli.__set__('process', fakeProcess);
+
+        cli();
     }
 };
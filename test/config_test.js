@@ -0,0 +1,159 @@
+'use strict';
+
+var path = require('path');
+var config = require('../src/config.js');
+
+var ConfigResolver = config.ConfigResolver;
+
+function fixturePath(name) {
+    return path.join(__dirname, '/fixtures/config/', name);
+}
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+exports.config = {
+    'config file with extends': function (test) {
+        test.expect(3);
+        var resolved = config.loadConfigForFile(fixturePath('page.html'));
+        test.deepEqual(resolved.disabledIds, ['W002', 'W001'],
+            'should merge the disabled IDs of the extended config and the extending config.');
+        test.deepEqual(resolved.rules,
+            {
+                W003: 'off',
+                E037: 'warn'
+            },
+            'should let the extending config override the severities of the extended config.');
+        test.deepEqual(resolved.plugins, ['acme'],
+            'should inherit the plugins of the extended config.');
+        test.done();
+    },
+    'overrides': function (test) {
+        test.expect(2);
+        test.deepEqual(config.loadConfigForFile(fixturePath('partials/nav.html')).disabledIds, ['W002', 'W001', 'E001'],
+            'should apply overrides whose patterns match the file.');
+        test.deepEqual(config.loadConfigForFile(fixturePath('nested/../page.html')).disabledIds, ['W002', 'W001'],
+            'should not apply overrides whose patterns do not match the file.');
+        test.done();
+    },
+    'hierarchical lookup': function (test) {
+        test.expect(6);
+        test.deepEqual(config.loadConfigForFile(fixturePath('nested/page.html')).disabledIds, ['W002', 'W001', 'W005'],
+            'should merge the "bootlint" property of package.json with the configs of ancestor directories.');
+        test.strictEqual(config.loadConfigForFile(fixturePath('nested/page.html')).bootstrapVersion, 4,
+            'should let nested configs pick the Bootstrap version.');
+        test.deepEqual(config.loadConfigForFile(fixturePath('js/page.html')).disabledIds, ['W002', 'W001', 'E007'],
+            'should load .bootlintrc.js files.');
+        test.deepEqual(config.loadConfigForFile(fixturePath('nested/page.html')).grid,
+            {
+                columns: 24,
+                breakpoints: ['xs', 'sm', 'md', 'lg', 'xl'],
+                containers: ['page-wrapper']
+            },
+            'should merge the grid definitions of nested configs with those of ancestor directories.');
+        test.deepEqual(config.loadConfigForFile(fixturePath('nested/page.html')).classAliases,
+            {
+                'product-card': 'panel panel-primary',
+                'product-card__body': 'panel-body'
+            },
+            'should merge the class aliases of nested configs with those of ancestor directories.');
+        test.strictEqual(config.loadConfigForFile(fixturePath('nested/page.html')).classPrefix, 'bs-',
+            'should let nested configs pick the class prefix.');
+        test.done();
+    },
+    'extra configuration': function (test) {
+        test.expect(4);
+        var resolved = new ConfigResolver().configForFile(fixturePath('page.html'), {
+            disabledIds: ['E001'],
+            rules: {E037: 'error'},
+            packs: ['accessibility'],
+            reportUnusedDisableDirectives: true
+        });
+        test.deepEqual(resolved.disabledIds, ['W002', 'W001', 'E001'],
+            'should add the extra disabled IDs to those of the config files.');
+        test.deepEqual(resolved.rules.E037, 'error',
+            'should let the extra configuration override the severities of the config files.');
+        test.deepEqual(resolved.packs, ['accessibility'],
+            'should add the extra rule packs to those of the config files.');
+        test.strictEqual(resolved.reportUnusedDisableDirectives, true,
+            'should copy the other properties of the extra configuration.');
+        test.done();
+    },
+    'preprocessors': function (test) {
+        test.expect(3);
+        var templatePath = path.join(__dirname, 'fixtures/templates/');
+        test.strictEqual(config.loadConfigForFile(templatePath + 'page.hbs').preprocessor, 'handlebars',
+            'should pick built-in preprocessors by file extension.');
+        var preprocessor = config.loadConfigForFile(templatePath + 'custom/page.tmpl').preprocessor;
+        test.strictEqual(preprocessor.name, 'brackets', 'should load preprocessors from modules named in config files.');
+        test.strictEqual(config.loadConfigForFile(fixturePath('page.html')).preprocessor, undefined,
+            'should not pick preprocessors for HTML files.');
+        test.done();
+    },
+    'ignore patterns': function (test) {
+        test.expect(2);
+        var resolver = new ConfigResolver();
+        test.strictEqual(resolver.isIgnored(fixturePath('vendor/lib.html')), true,
+            'should ignore files within ignored directories.');
+        test.strictEqual(resolver.isIgnored(fixturePath('page.html')), false,
+            'should not ignore other files.');
+        test.done();
+    },
+    'config files': function (test) {
+        test.expect(3);
+        var resolver = new ConfigResolver();
+        resolver.configForFile(fixturePath('nested/page.html'));
+        var configFiles = resolver.configFiles();
+        var nestedConfigFiles = configFiles.filter(function (filePath) {
+            return path.dirname(filePath) === fixturePath('nested');
+        });
+        test.deepEqual(nestedConfigFiles.sort(), [fixturePath('nested/.bootlintrc.js'), fixturePath('nested/.bootlintrc.json'), fixturePath('nested/package.json')],
+            'should list all of the candidate config files of the directory, including those that do not exist.');
+        test.ok(configFiles.indexOf(fixturePath('base.json')) !== -1,
+            'should list the config files that are extended.');
+        test.ok(configFiles.indexOf(path.dirname(fixturePath('')) + path.sep + '.bootlintrc.json') === -1,
+            'should not list the config files above a root config.');
+        test.done();
+    },
+    'invalid configs': function (test) {
+        test.expect(7);
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid.json'));
+        }, /severity of "E001" must be one of: off, warn, error/, 'should reject unknown severities.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('circular/.bootlintrc.json'));
+        }, /Circular "extends"/, 'should reject circular extends.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid-preprocessor.json'));
+        }, /preprocessor file extensions must start with a dot: "hbs"/, 'should reject preprocessors for extensions without dots.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid-bootstrap-version.json'));
+        }, /"bootstrapVersion" must be one of: 3, 4, auto/, 'should reject unsupported Bootstrap versions.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid-fragment.json'));
+        }, /"fragment" must be one of: true, false, auto/, 'should reject unknown fragment modes.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid-grid.json'));
+        }, /"grid.columns" must be a positive integer/, 'should reject grids without a valid number of columns.');
+        test.throws(function () {
+            config.loadConfigFile(fixturePath('invalid-class-aliases.json'));
+        }, /"classAliases" must map class names to space-separated Bootstrap classes: "product-card"/,
+        'should reject class aliases that are not strings of classes.');
+        test.done();
+    }
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+var http = require('http');
+var crawl = require('../src/crawl.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+function page(links) {
+    return '<!DOCTYPE html><html><head><title>Test</title></head><body>' + links.map(function (href) {
+        return '<a href="' + href + '">Link</a>';
+    }).join('') + '</body></html>';
+}
+
+var SITE = {
+    '/': page(['/about.html#team', 'docs/', 'http://example.com/', 'mailto:someone@example.com', '/logo.png', '/missing.html', '/old.html']),
+    '/about.html': page(['/', '/about/team.html']),
+    '/about/team.html': page([]),
+    '/docs/': page(['/docs/private/secrets.html', '/docs/private/public.html']),
+    '/docs/private/secrets.html': page([]),
+    '/docs/private/public.html': page([]),
+    '/old.html': null,
+    '/logo.png': '',
+    '/nofollow.html': '<html><head><meta name="robots" content="noindex, nofollow"></head><body><a href="/">Home</a></body></html>',
+    '/robots.txt': [
+        '# robots.txt of the test site',
+        'User-agent: googlebot',
+        'Disallow: /',
+        '',
+        'User-agent: *',
+        'Disallow: /docs/private/',
+        'Allow: /docs/private/public.html'
+    ].join('\n')
+};
+
+function serve(request, response) {
+    var body = SITE[request.url];
+    if (typeof body === 'undefined') {
+        response.writeHead(404, {'Content-Type': 'text/plain'});
+        response.end('Not found');
+    } else if (body === null) {
+        response.writeHead(301, {Location: '/about.html'});
+        response.end();
+    } else {
+        var contentType = /\.png$/.test(request.url) ? 'image/png' : 'text/html; charset=utf-8';
+        if (/\.txt$/.test(request.url)) {
+            contentType = 'text/plain';
+        }
+        response.writeHead(200, {'Content-Type': contentType});
+        response.end(body);
+    }
+}
+
+var server = null;
+var origin = null;
+
+function pathsOf(pages) {
+    return pages.map(function (fetched) {
+        return fetched.url.slice(origin.length);
+    });
+}
+
+exports.crawl = {
+    'setUp': function (done) {
+        server = http.createServer(serve).listen(0, '127.0.0.1', function () {
+            origin = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    },
+    'tearDown': function (done) {
+        server.close(done);
+    },
+    'fetching a page': function (test) {
+        test.expect(2);
+        crawl.crawl(origin + '/about.html').then(function (pages) {
+            test.deepEqual(pages, [{
+                url: origin + '/about.html',
+                contents: SITE['/about.html']
+            }], 'should fetch just the given page by default.');
+            return crawl.crawl(origin + '/missing.html');
+        }).then(function () {
+            test.ok(false, 'should not fetch missing pages.');
+        }, function (err) {
+            test.strictEqual(err.message, origin + '/missing.html: HTTP status 404', 'should reject pages that cannot be fetched.');
+        }).finally(test.done);
+    },
+    'crawling': function (test) {
+        test.expect(3);
+        crawl.crawl(origin + '/', {depth: 1}).then(function (pages) {
+            test.deepEqual(pathsOf(pages), ['/', '/about.html', '/docs/'],
+                'should follow same-origin links to HTML pages, skipping broken links and those that redirect to pages already seen.');
+            return crawl.crawl(origin + '/', {depth: 2});
+        }).then(function (pages) {
+            test.deepEqual(pathsOf(pages), ['/', '/about.html', '/docs/', '/about/team.html', '/docs/private/public.html'],
+                'should crawl breadth-first up to the given depth, honoring robots.txt.');
+            return crawl.crawl(origin + '/', {
+                depth: 2,
+                maxPages: 2
+            });
+        }).then(function (pages) {
+            test.deepEqual(pathsOf(pages), ['/', '/about.html'], 'should stop at the page limit.');
+        }).finally(test.done);
+    },
+    'nofollow': function (test) {
+        test.expect(1);
+        crawl.crawl(origin + '/nofollow.html', {depth: 1}).then(function (pages) {
+            test.deepEqual(pathsOf(pages), ['/nofollow.html'], 'should not follow the links of pages whose robots meta tag says nofollow.');
+        }).finally(test.done);
+    },
+    'robots.txt': function (test) {
+        test.expect(5);
+        var rules = crawl.parseRobotsTxt(SITE['/robots.txt']);
+        test.deepEqual(rules, [
+            {
+                allow: false,
+                path: '/docs/private/'
+            },
+            {
+                allow: true,
+                path: '/docs/private/public.html'
+            }
+        ], 'should use the rules of the group for all user agents if there is no group for Bootlint.');
+        test.deepEqual(crawl.parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: Bootlint\nDisallow: /drafts/\n'), [{
+            allow: false,
+            path: '/drafts/'
+        }], 'should prefer the group for Bootlint.');
+        test.strictEqual(crawl.isAllowedByRobots(rules, origin + '/docs/private/secrets.html'), false, 'should disallow matching paths.');
+        test.strictEqual(crawl.isAllowedByRobots(rules, origin + '/docs/private/public.html'), true, 'should let the longest matching rule win.');
+        test.strictEqual(crawl.isAllowedByRobots([{
+            allow: false,
+            path: '/*.php$'
+        }], origin + '/index.php?page=1'), true, 'should support wildcards and end anchors.');
+        test.done();
+    }
+};
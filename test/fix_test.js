@@ -0,0 +1,187 @@
+'use strict';
+
+var bootlint = require('../src/bootlint.js');
+var fix = require('../src/fix.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+function page(bodyLines) {
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta http-equiv="X-UA-Compatible" content="IE=edge">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        '<script src="../../lib/jquery.min.js"></script>',
+        '</head>',
+        '<body>'
+    ].concat(bodyLines, [
+        '</body>',
+        '</html>'
+    ]).join('\n');
+}
+
+function fixedBody(bodyLines) {
+    return bootlint.fixHtml(page(bodyLines), []).output;
+}
+
+exports.fix = {
+    'startTagAt': function (test) {
+        test.expect(4);
+        var html = '<div class=\'a\' hidden data-x=1>';
+        var tag = fix.startTagAt(html, 0);
+        test.strictEqual(tag.name, 'div', 'should find the tag name.');
+        test.deepEqual(tag.attributes.map(function (attribute) {
+            return attribute.name;
+        }), ['class', 'hidden', 'data-x'], 'should find quoted, valueless and unquoted attributes.');
+        test.strictEqual(tag.end, html.length, 'should find the end of the tag.');
+        test.strictEqual(fix.startTagAt(html, 1), null, 'should return null if there is no start tag at the index.');
+        test.done();
+    },
+    'applyFixes': function (test) {
+        test.expect(2);
+        test.strictEqual(fix.applyFixes('abcdef', [
+            {
+                range: [4, 5],
+                text: 'E'
+            },
+            {
+                range: [0, 2],
+                text: 'AB'
+            },
+            {
+                range: [1, 3],
+                text: 'X'
+            }
+        ]), 'ABcdEf', 'should apply fixes in source order and skip overlapping ones.');
+        test.strictEqual(fix.applyFixes('abc', [
+            {
+                range: [1, 1],
+                text: '-'
+            },
+            {
+                range: [1, 1],
+                text: '-'
+            }
+        ]), 'a-bc', 'should apply identical fixes only once.');
+        test.done();
+    },
+    'problems carry fixes': function (test) {
+        test.expect(2);
+        var html = page(['<button class="btn btn-default">Go</button>']);
+        var problems = [];
+        bootlint.lintHtml(html, function (problem) {
+            problems.push(problem);
+        }, []);
+        test.strictEqual(problems.length, 1, 'should report the button.');
+        var insertionPoint = html.indexOf('btn-default"') + 'btn-default"'.length;
+        test.deepEqual(problems[0].fixes, [{
+            range: [insertionPoint, insertionPoint],
+            text: ' type="button"'
+        }], 'should describe the fix as a replacement of a range of the source.');
+        test.done();
+    },
+    'button types': function (test) {
+        test.expect(1);
+        test.strictEqual(fixedBody([
+            '<form><button class="btn btn-default">Send</button></form>',
+            '<button class="btn btn-default">Close</button>'
+        ]), page([
+            '<form><button class="btn btn-default" type="submit">Send</button></form>',
+            '<button class="btn btn-default" type="button">Close</button>'
+        ]), 'should add type="submit" to buttons in forms and type="button" to others.');
+        test.done();
+    },
+    'input types': function (test) {
+        test.expect(1);
+        test.strictEqual(fixedBody(['<input class="form-control" name=q>']),
+            page(['<input class="form-control" name=q type="text">']),
+            'should add type="text" to inputs without a type.');
+        test.done();
+    },
+    'modal attributes': function (test) {
+        test.expect(1);
+        test.strictEqual(fixedBody(['<div class=\'modal fade\'><div class="modal-dialog"></div></div>']),
+            page(['<div class=\'modal fade\' tabindex="-1" role="dialog"><div class="modal-dialog"></div></div>']),
+            'should add the tabindex and role of modals.');
+        test.done();
+    },
+    'accessibility attributes': function (test) {
+        test.expect(1);
+        var html = page([
+            '<div class="alert alert-info">Saved</div>',
+            '<div class="dropdown"><button type="button" class="btn btn-default dropdown-toggle" data-toggle="dropdown" aria-expanded="false">Menu</button></div>'
+        ]);
+        test.strictEqual(bootlint.fixHtml(html, {packs: ['accessibility']}).output, page([
+            '<div class="alert alert-info" role="alert">Saved</div>',
+            '<div class="dropdown"><button type="button" class="btn btn-default dropdown-toggle" data-toggle="dropdown" aria-expanded="false" aria-haspopup="true">Menu</button></div>'
+        ]), 'should add the ARIA attributes of alerts and dropdown toggles.');
+        test.done();
+    },
+    'redundant column classes': function (test) {
+        test.expect(1);
+        test.strictEqual(fixedBody([
+            '<div class="container"><div class="row">',
+            '    <div class="col-xs-6 col-sm-6 col-md-4">A</div>',
+            '</div></div>'
+        ]), page([
+            '<div class="container"><div class="row">',
+            '    <div class="col-xs-6 col-md-4">A</div>',
+            '</div></div>'
+        ]), 'should simplify the redundant column classes.');
+        test.done();
+    },
+    'spacer columns': function (test) {
+        test.expect(2);
+        test.strictEqual(fixedBody([
+            '<div class="container"><div class="row">',
+            '    <div class="col-xs-6"></div>',
+            '    <div class="col-xs-6">A</div>',
+            '</div></div>'
+        ]), page([
+            '<div class="container"><div class="row">',
+            '    <div class="col-xs-6 col-xs-offset-6">A</div>',
+            '</div></div>'
+        ]), 'should replace spacer columns with offsets of the next column.');
+        var alreadyOffset = [
+            '<div class="container"><div class="row">',
+            '    <div class="col-xs-3"></div>',
+            '    <div class="col-xs-6 col-xs-offset-3">A</div>',
+            '</div></div>'
+        ];
+        test.strictEqual(fixedBody(alreadyOffset), page(alreadyOffset),
+            'should not fix spacer columns followed by columns that already have offsets.');
+        test.done();
+    },
+    'disabled problems': function (test) {
+        test.expect(2);
+        var html = page(['<button class="btn btn-default">Close</button>']);
+        var result = bootlint.fixHtml(html, ['W007']);
+        test.strictEqual(result.output, html, 'should not fix problems of disabled linters.');
+
+        var suppressed = page([
+            '<!-- bootlint-disable-next-element W007 -->',
+            '<button class="btn btn-default">Close</button>'
+        ]);
+        test.strictEqual(bootlint.fixHtml(suppressed, []).output, suppressed,
+            'should not fix problems suppressed by inline directives.');
+        test.done();
+    }
+};
@@ -0,0 +1,8 @@
+import {html} from 'lit-html';
+
+export const card = (title, cls) => html`
+    <div class="card ${cls}" data-x=${title}>
+        <button class="btn btn-primary">${title}</button>
+    </div>`;
+
+export const row = html`<div class="row"><p>${`nested ${1}`}</p></div>`;
@@ -0,0 +1,15 @@
+/* eslint-env browser, jquery */
+
+(function () {
+    'use strict';
+
+    setTimeout(function () {
+        $('body').append(
+            '<div class="modal fade" id="dialog" tabindex="-1">' +
+                '<div class="modal-dialog" role="document">' +
+                    '<div class="modal-content"><div class="modal-body">Inserted by a script</div></div>' +
+                '</div>' +
+            '</div>'
+        );
+    }, 10);
+})();
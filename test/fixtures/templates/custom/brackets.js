@@ -0,0 +1,8 @@
+'use strict';
+
+// blanks out [% directives %]
+module.exports = function brackets(source) {
+    return source.replace(/\[%[\s\S]*?%\]/g, function (directive) {
+        return directive.replace(/[^\r\n]/g, ' ');
+    });
+};
@@ -0,0 +1,14 @@
+import React from 'react';
+
+export default function Toolbar(props) {
+    return (
+        <form className="form-inline" onSubmit={(event) => props.onSubmit(event, {query: props.query})}>
+            {/* search field */}
+            <label htmlFor="query" className="sr-only">Search</label>
+            <input id="query" className="form-control" type="text" value={props.query} {...props.inputProps} />
+            <div className="btn-group">
+                <button className="btn btn-default" disabled={!props.query}>Go</button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,135 @@
+'use strict';
+
+var bootlint = require('../src/bootlint.js');
+var formatters = require('../src/formatters.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var HTML = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta http-equiv="X-UA-Compatible" content="IE=edge">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<script src="../../lib/jquery.min.js"></script>',
+    '</head>',
+    '<body>',
+    '<button class="btn btn-default">Go & "see"</button>',
+    '</body>',
+    '</html>'
+].join('\n');
+
+function lintResults() {
+    var problems = [];
+    bootlint.lintHtml(HTML, function (lint) {
+        problems.push(lint);
+    }, []);
+    return [{
+        filePath: 'page.html',
+        problems: problems
+    }];
+}
+
+exports.formatters = {
+    'text': function (test) {
+        test.expect(1);
+        test.strictEqual(formatters.text(lintResults(), {color: false}),
+            'page.html:10:1 W007 Found one or more `<button>`s missing a `type` attribute.',
+            'should output one line per problem location.');
+        test.done();
+    },
+    'compact': function (test) {
+        test.expect(1);
+        test.strictEqual(formatters.compact(lintResults()),
+            'page.html: line 10, col 1, Warning - Found one or more `<button>`s missing a `type` attribute. (W007)',
+            'should output one uncolored line per problem location.');
+        test.done();
+    },
+    'json': function (test) {
+        test.expect(1);
+        test.deepEqual(JSON.parse(formatters.json(lintResults())),
+            [{
+                filePath: 'page.html',
+                problems: [{
+                    id: 'W007',
+                    severity: 'warning',
+                    message: 'Found one or more `<button>`s missing a `type` attribute.',
+                    url: 'https://github.com/twbs/bootlint/wiki/W007',
+                    locations: [{
+                        line: 9,
+                        column: 0
+                    }]
+                }]
+            }],
+            'should output the problems as JSON.');
+        test.done();
+    },
+    'sarif': function (test) {
+        test.expect(4);
+        var log = JSON.parse(formatters.sarif(lintResults()));
+        test.strictEqual(log.version, '2.1.0', 'should output SARIF v2.1.0.');
+        test.deepEqual(log.runs[0].tool.driver.rules,
+            [{
+                id: 'W007',
+                helpUri: 'https://github.com/twbs/bootlint/wiki/W007'
+            }],
+            'should list the rules of the reported problems.');
+        test.strictEqual(log.runs[0].results[0].level, 'warning', 'should map warnings to the "warning" level.');
+        test.deepEqual(log.runs[0].results[0].locations[0].physicalLocation,
+            {
+                artifactLocation: {uri: 'page.html'},
+                region: {
+                    startLine: 10,
+                    startColumn: 1,
+                    endLine: 10,
+                    endColumn: 33
+                }
+            },
+            'should use 1-based regions spanning the start tag.');
+        test.done();
+    },
+    'checkstyle-xml': function (test) {
+        test.expect(1);
+        test.strictEqual(formatters['checkstyle-xml'](lintResults()),
+            [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<checkstyle version="4.3">',
+                '<file name="page.html">',
+                '<error line="10" column="1" severity="warning" message="Found one or more `&lt;button&gt;`s missing a `type` attribute." source="bootlint.W007" />',
+                '</file>',
+                '</checkstyle>'
+            ].join('\n'),
+            'should output escaped Checkstyle XML.');
+        test.done();
+    },
+    'junit-xml': function (test) {
+        test.expect(2);
+        var clean = formatters['junit-xml']([{
+            filePath: 'clean.html',
+            problems: []
+        }]);
+        test.ok(clean.indexOf('<testcase time="0" name="clean.html" classname="clean.html" />') !== -1,
+            'should output a passing test case for files without problems.');
+        var dirty = formatters['junit-xml'](lintResults());
+        test.ok(dirty.indexOf('<testcase time="0" name="org.bootlint.W007" classname="page.html">') !== -1,
+            'should output a test case per problem location.');
+        test.done();
+    }
+};
@@ -77,5 +77,19 @@ exports.bootlint = {
         ];
         test.deepEqual(index._lineStartEndTriples, triples, 'should internally generate the right extents data.');
         test.done();
+    },
+    'LocationIndex reverse mapping': function (test) {
+        var index = new LocationIndex(EXAMPLE_WITHOUT_TERMINATOR);
+        test.expect(6);
+        test.strictEqual(index.charIndexOf(new Location(0, 0)), 0, 'should give the right index for the start of the string.');
+        test.strictEqual(index.charIndexOf(new Location(3, 0)), 23, 'should give the right index for the start of a line.');
+        test.strictEqual(index.charIndexOf(new Location(4, 7)), 34, 'should give the right index for the true end of the string.');
+        test.strictEqual(index.charIndexOf(new Location(1, 1)), null, 'should give null when the column is past the end of the line.');
+        test.strictEqual(index.charIndexOf(new Location(5, 0)), null, 'should give null when the line is past the end of the string.');
+        var roundTrips = [0, 5, 11, 21, 22, 33].every(function (charIndex) {
+            return index.charIndexOf(index.locationOf(charIndex)) === charIndex;
+        });
+        test.ok(roundTrips, 'should be the reverse of locationOf().');
+        test.done();
     }
 };
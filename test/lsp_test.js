@@ -0,0 +1,246 @@
+'use strict';
+
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+var LanguageServer = require('../src/lsp.js').LanguageServer;
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var URI = 'file://' + path.join(__dirname, 'fixtures/page.html').replace(/\\/g, '/');
+
+var HTML = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta http-equiv="X-UA-Compatible" content="IE=edge">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<script src="../../lib/jquery.min.js"></script>',
+    '</head>',
+    '<body>',
+    '<button class="btn btn-default">Go</button>',
+    '</body>',
+    '</html>'
+].join('\n');
+
+/**
+ * Starts a language server and returns functions to send it messages and to read the messages it sent back.
+ * @returns {Object} Object with `send`, `sendContent` (for raw message contents), `received` and `exitCodes` properties
+ */
+function startServer() {
+    var input = new PassThrough();
+    var output = new PassThrough();
+    var exitCodes = [];
+    new LanguageServer(input, output, function (code) {
+        exitCodes.push(code);
+    }).listen();
+    function write(content) {
+        input.write('Content-Length: ' + Buffer.byteLength(content, 'utf8') + '\r\n\r\n' + content);
+    }
+    return {
+        send: function (message) {
+            message.jsonrpc = '2.0';
+            write(JSON.stringify(message));
+        },
+        sendContent: write,
+        received: function () {
+            var data = String(output.read() || '');
+            return data.split(/Content-Length: \d+\r\n\r\n/).filter(Boolean).map(JSON.parse);
+        },
+        exitCodes: exitCodes
+    };
+}
+
+exports.lsp = {
+    'initialize': function (test) {
+        test.expect(2);
+        var server = startServer();
+        server.send({
+            id: 1,
+            method: 'initialize',
+            params: {}
+        });
+        setImmediate(function () {
+            var response = server.received()[0];
+            test.strictEqual(response.id, 1, 'should answer the request.');
+            test.deepEqual(response.result.capabilities.codeActionProvider, {codeActionKinds: ['quickfix']},
+                'should offer quick fixes.');
+            test.done();
+        });
+    },
+    'diagnostics': function (test) {
+        test.expect(4);
+        var server = startServer();
+        server.send({
+            method: 'textDocument/didOpen',
+            params: {
+                textDocument: {
+                    uri: URI,
+                    languageId: 'html',
+                    version: 1,
+                    text: HTML
+                }
+            }
+        });
+        setImmediate(function () {
+            var notification = server.received()[0];
+            test.strictEqual(notification.method, 'textDocument/publishDiagnostics', 'should publish diagnostics when a document is opened.');
+            var diagnostic = notification.params.diagnostics[0];
+            test.deepEqual({
+                range: diagnostic.range,
+                severity: diagnostic.severity,
+                code: diagnostic.code,
+                codeDescription: diagnostic.codeDescription
+            }, {
+                range: {
+                    start: {
+                        line: 9,
+                        character: 0
+                    },
+                    end: {
+                        line: 9,
+                        character: '<button class="btn btn-default">'.length
+                    }
+                },
+                severity: 2,
+                code: 'W007',
+                codeDescription: {href: 'https://github.com/twbs/bootlint/wiki/W007'}
+            }, 'should underline the start tag and link to the documentation of the problem.');
+
+            server.send({
+                method: 'textDocument/didChange',
+                params: {
+                    textDocument: {
+                        uri: URI,
+                        version: 2
+                    },
+                    contentChanges: [{
+                        range: {
+                            start: {
+                                line: 9,
+                                character: 31
+                            },
+                            end: {
+                                line: 9,
+                                character: 31
+                            }
+                        },
+                        text: ' type="button"'
+                    }]
+                }
+            });
+            setImmediate(function () {
+                var diagnostics = server.received()[0].params.diagnostics;
+                test.deepEqual(diagnostics, [], 'should apply incremental changes and publish the new diagnostics.');
+
+                server.send({
+                    method: 'textDocument/didClose',
+                    params: {
+                        textDocument: {uri: URI}
+                    }
+                });
+                setImmediate(function () {
+                    test.deepEqual(server.received()[0].params.diagnostics, [], 'should clear the diagnostics of closed documents.');
+                    test.done();
+                });
+            });
+        });
+    },
+    'code actions': function (test) {
+        test.expect(2);
+        var server = startServer();
+        server.send({
+            method: 'textDocument/didOpen',
+            params: {
+                textDocument: {
+                    uri: URI,
+                    languageId: 'html',
+                    version: 1,
+                    text: HTML
+                }
+            }
+        });
+        setImmediate(function () {
+            var diagnostics = server.received()[0].params.diagnostics;
+            server.send({
+                id: 2,
+                method: 'textDocument/codeAction',
+                params: {
+                    textDocument: {uri: URI},
+                    range: diagnostics[0].range,
+                    context: {diagnostics: diagnostics}
+                }
+            });
+            setImmediate(function () {
+                var actions = server.received()[0].result;
+                test.strictEqual(actions[0].kind, 'quickfix', 'should offer quick fixes for fixable problems.');
+                test.deepEqual(actions[0].edit.changes[URI], [{
+                    range: {
+                        start: {
+                            line: 9,
+                            character: 31
+                        },
+                        end: {
+                            line: 9,
+                            character: 31
+                        }
+                    },
+                    newText: ' type="button"'
+                }], 'should describe the fix as a text edit.');
+                test.done();
+            });
+        });
+    },
+    'malformed messages': function (test) {
+        test.expect(3);
+        var server = startServer();
+        server.sendContent('{"jsonrpc": "2.0", "id": 1, "method": "initia');
+        server.sendContent('null');
+        server.send({
+            id: 2,
+            method: 'initialize',
+            params: {}
+        });
+        setImmediate(function () {
+            var responses = server.received();
+            test.deepEqual([responses[0].id, responses[0].error.code], [null, -32700], 'should answer unreadable messages with a parse error.');
+            test.deepEqual([responses[1].id, responses[1].error.code], [null, -32600], 'should answer messages that are not objects with an invalid request error.');
+            test.strictEqual(responses[2].id, 2, 'should keep answering requests.');
+            test.done();
+        });
+    },
+    'shutdown and exit': function (test) {
+        test.expect(2);
+        var server = startServer();
+        server.send({
+            id: 3,
+            method: 'unknown/method'
+        });
+        server.send({
+            id: 4,
+            method: 'shutdown'
+        });
+        server.send({method: 'exit'});
+        setImmediate(function () {
+            test.strictEqual(server.received()[0].error.code, -32601, 'should reject unknown requests.');
+            test.deepEqual(server.exitCodes, [0], 'should exit successfully after a shutdown request.');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+var preprocessors = require('../src/preprocessors.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var preprocess = preprocessors.preprocess;
+
+function blank(text) {
+    return text.replace(/./g, ' ');
+}
+
+exports.preprocessors = {
+    'handlebars': function (test) {
+        test.expect(2);
+        test.strictEqual(preprocess('<p class="a {{#if b}}b{{/if}}">{{{html}}}</p>', 'handlebars'),
+            '<p class="a ' + blank('{{#if b}}') + 'b' + blank('{{/if}}') + '">' + blank('{{{html}}}') + '</p>',
+            'should blank out Handlebars expressions and blocks.');
+        test.strictEqual(preprocess('{{!-- a\n}} b --}}<p>', 'handlebars'),
+            '       \n         <p>',
+            'should blank out multi-line comments, keeping their line breaks.');
+        test.done();
+    },
+    'EJS and ERB': function (test) {
+        test.expect(2);
+        test.strictEqual(preprocess('<% if (a) { %><p class="<%= b %>"></p><% } %>', 'ejs'),
+            '              <p class="        "></p>       ',
+            'should blank out EJS tags.');
+        test.strictEqual(preprocess('<% @a.each do |b| -%>\n<p><%= b %></p>', 'erb'),
+            '                     \n<p>        </p>',
+            'should blank out ERB tags.');
+        test.done();
+    },
+    'Jinja': function (test) {
+        test.expect(1);
+        test.strictEqual(preprocess('{# c #}{% for a in b %}<p>{{ a }}</p>{% endfor %}', 'jinja'),
+            '                       <p>       </p>            ',
+            'should blank out Jinja statements, expressions and comments.');
+        test.done();
+    },
+    'JSX': function (test) {
+        test.expect(2);
+        test.strictEqual(preprocess('<label htmlFor="a" className={b({c: "}"})} {...d}>{/* e */}{f}</label>', 'jsx'),
+            '<label for    ="a" class    ="           "       >         {f}</label>',
+            'should map className and htmlFor, blank out prop expressions, spread props and comments, and keep other expressions.');
+        test.strictEqual(preprocess('<p className={`a ${b}`}>', 'jsx'),
+            '<p class    ="        ">',
+            'should skip braces in string literals.');
+        test.done();
+    },
+    'embedded HTML': function (test) {
+        test.expect(3);
+        test.deepEqual(preprocess('f(html`<p class=${a}>${b}</p>`, html`<br>`);', 'javascript'), [
+            blank('f(html`') + '<p class="  ">' + blank('${b}') + '</p>' + blank('`, html`<br>`);'),
+            blank('f(html`<p class=${a}>${b}</p>`, html`') + '<br>' + blank('`);')
+        ], 'should extract each html`` template, blanking out substitutions.');
+        test.deepEqual(preprocess('<template>\n<p>{{ a }}</p>\n</template>\n<style>p {}</style>', 'vue'), [
+            blank('<template>') + '\n<p>' + blank('{{ a }}') + '</p>\n' + blank('</template>') + '\n' + blank('<style>p {}</style>')
+        ], 'should extract the template of Vue components, blanking out interpolations.');
+        test.deepEqual(preprocess('````html\n<p>\n````\n```css\np {}\n```\n', 'markdown'), [
+            blank('````html') + '\n<p>\n' + blank('````') + '\n' + blank('```css') + '\n' + blank('p {}') + '\n' + blank('```') + '\n'
+        ], 'should extract the fenced HTML code blocks of Markdown.');
+        test.done();
+    },
+    'choosing preprocessors': function (test) {
+        test.expect(4);
+        test.strictEqual(preprocessors.preprocessorForFile('views/page.html.erb'), 'erb', 'should choose preprocessors by file extension.');
+        test.strictEqual(preprocessors.preprocessorForFile('page.html'), null, 'should not preprocess HTML files.');
+        var custom = function (source) {
+            return source;
+        };
+        test.strictEqual(preprocessors.preprocessorForFile('page.TMPL', {'.tmpl': custom}), custom,
+            'should prefer configured preprocessors and ignore the case of extensions.');
+        test.throws(function () {
+            preprocess('{{a}}', function () {
+                return '';
+            });
+        }, /must return a string of the same length as the source/, 'should reject preprocessors that change the length of the source.');
+        test.done();
+    }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var semver = require('semver');
+var bootlint = require('../src/bootlint.js');
+var render = require('../src/render.js');
+var Location = require('../src/location.js').Location;
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var FIXTURE_PATH = path.join(__dirname, 'fixtures/render/dynamic-modal.html');
+
+function installedJsdomPackage() {
+    try {
+        return require('jsdom/package.json'); // eslint-disable-line global-require
+    } catch (err) {
+        return null;
+    }
+}
+
+exports.render = {
+    'file URLs': function (test) {
+        test.expect(2);
+        var fileUrl = render.fileUrlOf(FIXTURE_PATH);
+        test.ok(/^file:\/\/\/(?:[A-Za-z]:\/)?.*\/test\/fixtures\/render\/dynamic-modal\.html$/.test(fileUrl), 'should turn paths into file: URLs.');
+        test.ok(/\/a%20b%23c\.html$/.test(render.fileUrlOf('a b#c.html')), 'should escape the characters of paths that are special in URLs.');
+        test.done();
+    },
+    'local resources': function (test) {
+        test.expect(4);
+        test.strictEqual(render.isLocalResource('file:///srv/site/app.js', 'file:///srv/site/index.html'), true,
+            'should run the scripts of files.');
+        test.strictEqual(render.isLocalResource('http://localhost:8080/app.js', 'http://localhost:8080/index.html'), true,
+            'should run the scripts from the origin of the page.');
+        test.strictEqual(render.isLocalResource('https://example.com/app.js', 'file:///srv/site/index.html'), false,
+            'should not run remote scripts of files.');
+        test.strictEqual(render.isLocalResource('http://localhost:9090/app.js', 'http://localhost:8080/index.html'), false,
+            'should not run scripts from other origins.');
+        test.done();
+    },
+    'rendering': function (test) {
+        var html = fs.readFileSync(FIXTURE_PATH, {encoding: 'utf8'});
+        var jsdomPackage = installedJsdomPackage();
+        if (!jsdomPackage) {
+            test.expect(1);
+            render.lintRenderedHtml(html, function () {
+                // nothing can be reported without jsdom
+            }).then(function () {
+                test.ok(false, 'should not render pages without jsdom.');
+            }, function (err) {
+                test.ok(/requires the jsdom package/.test(err.message), 'should explain that rendering requires jsdom.');
+            }).finally(test.done);
+            return;
+        }
+        if (!semver.satisfies(process.version, jsdomPackage.engines.node)) {
+            // the development version of jsdom doesn't run on the oldest supported versions of Node.js
+            test.done();
+            return;
+        }
+        test.expect(4);
+        var problems = [];
+        render.lintRenderedHtml(html, function (problem) {
+            problems.push(problem);
+        }, {url: render.fileUrlOf(FIXTURE_PATH)}).then(function () {
+            var staticIds = bootlint.lint(html).map(function (problem) {
+                return problem.id;
+            });
+            var ids = problems.map(function (problem) {
+                return problem.id;
+            });
+            test.ok(staticIds.indexOf('E048') === -1 && ids.indexOf('E048') !== -1,
+                'should lint the elements that scripts insert.');
+            var modal = problems[ids.indexOf('E048')].elements[0];
+            test.strictEqual(typeof modal.startLocation, 'undefined', 'should not locate the elements that scripts insert.');
+            var button = problems[ids.indexOf('W007')].elements[0];
+            test.deepEqual([button.startLocation, button.startTagEndLocation], [new Location(12, 8), new Location(12, 39)],
+                'should locate the elements of the HTML source.');
+            test.deepEqual(problems[0].fixes, [], 'should not offer fixes.');
+        }).finally(test.done);
+    }
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+var Deferred = require('bluebird');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var watch = require('../src/watch.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var dir = null;
+
+function write(name, contents) {
+    fs.writeFileSync(path.join(dir, name), contents, {encoding: 'utf8'});
+}
+
+function removeRecursively(target) {
+    if (fs.statSync(target).isDirectory()) {
+        fs.readdirSync(target).forEach(function (name) {
+            removeRecursively(path.join(target, name));
+        });
+        fs.rmdirSync(target);
+    } else {
+        fs.unlinkSync(target);
+    }
+}
+
+exports.watch = {
+    'setUp': function (done) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootlint-watch-'));
+        fs.mkdirSync(path.join(dir, 'partials'));
+        write('index.html', '<p>Home</p>');
+        write('partials/_navbar.html', '<nav></nav>');
+        write('notes.txt', 'Not HTML');
+        done();
+    },
+    'tearDown': function (done) {
+        removeRecursively(dir);
+        done();
+    },
+    'base directories': function (test) {
+        test.expect(5);
+        test.strictEqual(watch.baseDirectoryOf('templates/**/*.html'), 'templates', 'should strip the segments with wildcards.');
+        test.strictEqual(watch.baseDirectoryOf('*.html'), '.', 'should use the current directory for relative patterns without directories.');
+        test.strictEqual(watch.baseDirectoryOf('/srv/site/{a,b}/*.html'), '/srv/site', 'should keep absolute directories.');
+        test.strictEqual(watch.baseDirectoryOf('/*.html'), '/', 'should keep the root directory.');
+        test.strictEqual(watch.baseDirectoryOf('site/index.html'), 'site', 'should use the directory of plain file paths.');
+        test.done();
+    },
+    'watched directories': function (test) {
+        test.expect(3);
+        var base = dir.replace(/\\/g, '/');
+        Deferred.all([
+            watch.watchedDirectoriesOf(base + '/index.html'),
+            watch.watchedDirectoriesOf(base + '/*.html'),
+            watch.watchedDirectoriesOf(base + '/**/*.html')
+        ]).then(function (dirLists) {
+            test.deepEqual(dirLists[0].map(path.normalize), [dir], 'should only watch the directory of plain file paths.');
+            test.deepEqual(dirLists[1].map(path.normalize), [dir], 'should not watch subdirectories for wildcards in file names.');
+            test.deepEqual(dirLists[2].map(path.normalize).sort(), [dir, path.join(dir, 'partials')],
+                'should watch subdirectories for wildcards in directories.');
+            test.done();
+        });
+    },
+    'watching files': function (test) {
+        test.expect(3);
+        var patterns = [dir.replace(/\\/g, '/') + '/**/*.html'];
+        var expectedChanges = [
+            {
+                added: [],
+                changed: [path.join(dir, 'index.html')],
+                deleted: []
+            },
+            {
+                added: [path.join(dir, 'partials/_footer.html')],
+                changed: [],
+                deleted: [path.join(dir, 'partials/_navbar.html')]
+            },
+            {
+                added: [path.join(dir, 'partials/cards/_card.html')],
+                changed: [],
+                deleted: []
+            }
+        ];
+        var steps = [
+            function () {
+                write('index.html', '<p>Home, sweet home</p>');
+            },
+            function () {
+                write('notes.txt', 'Still not HTML');
+                fs.unlinkSync(path.join(dir, 'partials/_navbar.html'));
+                write('partials/_footer.html', '<footer></footer>');
+            },
+            function () {
+                fs.mkdirSync(path.join(dir, 'partials/cards'));
+                // give the watcher a chance to notice the new directory first
+                setTimeout(function () {
+                    write('partials/cards/_card.html', '<div class="card"></div>');
+                }, 300);
+            }
+        ];
+        var timeout = null;
+        var watcher = new watch.FileWatcher(patterns, function () {
+            return false;
+        }, function (changes) {
+            function normalized(filePaths) {
+                return filePaths.map(function (filePath) {
+                    return path.normalize(filePath);
+                });
+            }
+            test.deepEqual({
+                added: normalized(changes.added),
+                changed: normalized(changes.changed),
+                deleted: normalized(changes.deleted)
+            }, expectedChanges.shift(), 'should report the added, changed and deleted files that match the patterns.');
+            if (steps.length) {
+                steps.shift()();
+            } else {
+                clearTimeout(timeout);
+                watcher.close();
+                test.done();
+            }
+        });
+        timeout = setTimeout(function () {
+            watcher.close();
+            test.ok(false, 'should notice all of the changes within 10 seconds (' + expectedChanges.length + ' left).');
+            test.done();
+        }, 10000);
+        watcher.start().then(function () {
+            steps.shift()();
+        });
+    },
+    'watching config files': function (test) {
+        test.expect(3);
+        var configPath = path.join(dir, '.bootlintrc.json');
+        var configChanges = 0;
+        var timeout = null;
+        var watcher = new watch.FileWatcher([dir.replace(/\\/g, '/') + '/*.html'], function () {
+            return false;
+        }, function (changes) {
+            clearTimeout(timeout);
+            watcher.close();
+            test.strictEqual(configChanges, 1, 'should report the config change before matching the files again.');
+            test.strictEqual(changes.configChanged, true, 'should report that the config changed.');
+            test.deepEqual(changes.changed.map(path.normalize), [path.join(dir, 'index.html')], 'should report all of the files as changed.');
+            test.done();
+        }, {
+            configFiles: function () {
+                return [configPath];
+            },
+            onConfigChange: function () {
+                configChanges++;
+            }
+        });
+        timeout = setTimeout(function () {
+            watcher.close();
+            test.ok(false, 'should notice the new config file within 10 seconds.');
+            test.done();
+        }, 10000);
+        watcher.start().then(function () {
+            write('.bootlintrc.json', '{"disabledIds": ["W001"]}');
+        });
+    }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+var path = require('path');
+var baseline = require('../src/baseline.js');
+var bootlint = require('../src/bootlint.js');
+var results = require('../src/results.js');
+var workers = require('../src/workers.js');
+
+/*
+    ======== A Handy Little Nodeunit Reference ========
+    https://github.com/caolan/nodeunit
+
+    Test methods:
+        test.expect(numAssertions)
+        test.done()
+    Test assertions:
+        test.ok(value, [message])
+        test.deepEqual(actual, expected, [message])
+        test.notDeepEqual(actual, expected, [message])
+        test.strictEqual(actual, expected, [message])
+        test.notStrictEqual(actual, expected, [message])
+        test.throws(block, [error], [message])
+        test.doesNotThrow(block, [error], [message])
+        test.ifError(value)
+*/
+
+var HTML = '<div>\n    <button class="btn">OK</button>\n    <span class="glyphicon glyphicon-ok">OK</span>\n</div>';
+var CLI_CONFIG = {
+    disabledIds: [],
+    plugins: [],
+    fragment: true
+};
+
+function problemsIn(html, config) {
+    var problems = [];
+    bootlint.lintHtml(html, function (problem) {
+        problems.push(problem);
+    }, config);
+    return problems;
+}
+
+exports.workers = {
+    'plain problems': function (test) {
+        test.expect(4);
+        var problems = problemsIn(HTML, CLI_CONFIG);
+        var copies = results.deserializeProblems(JSON.parse(JSON.stringify(results.serializeProblems(problems))));
+        test.deepEqual(copies.map(function (copy) {
+            return [copy.id, copy.severity, copy.message, copy.url];
+        }), problems.map(function (problem) {
+            return [problem.id, problem.severity, problem.message, problem.url];
+        }), 'should keep the details of the problems.');
+        test.ok(copies[0] instanceof bootlint.LintError || copies[0] instanceof bootlint.LintWarning, 'should restore the classes of the problems.');
+        var element = problems[0].elements[0];
+        var copy = copies[0].elements[0];
+        test.deepEqual([copy.startIndex, copy.endIndex, copy.startLocation, copy.startTagEndLocation],
+            [element.startIndex, element.endIndex, element.startLocation, element.startTagEndLocation],
+            'should keep the source positions of the elements.');
+        test.deepEqual(baseline.fingerprintsOf(copies[0]), baseline.fingerprintsOf(problems[0]), 'should keep the fingerprints of the problems.');
+        test.done();
+    },
+    'worker pool': function (test) {
+        if (!workers.isSupported()) {
+            test.done();
+            return;
+        }
+        test.expect(3);
+        var pool = new workers.WorkerPool(2, CLI_CONFIG);
+        var configPath = path.join(__dirname, 'fixtures/index.html');
+        var expected = workers.lintSource(HTML, CLI_CONFIG, false);
+        pool.run({
+            configPath: configPath,
+            contents: HTML,
+            isFixing: false
+        }).then(function (result) {
+            test.deepEqual(result, expected, 'should lint files the same way as the main thread.');
+            return pool.run({
+                configPath: configPath,
+                contents: HTML,
+                isFixing: true
+            });
+        }).then(function (result) {
+            test.deepEqual(result, workers.lintSource(HTML, CLI_CONFIG, true), 'should fix files the same way as the main thread.');
+            return pool.run({
+                configPath: configPath,
+                contents: null,
+                isFixing: false
+            });
+        }).then(function () {
+            test.ok(false, 'should not lint files that cannot be linted.');
+        }, function (err) {
+            test.ok(err instanceof Error, 'should pass on the errors of linting.');
+        }).finally(function () {
+            pool.close();
+            test.done();
+        });
+    }
+};